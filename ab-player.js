@@ -0,0 +1,364 @@
+// A/B Player for Studio Buddy Web
+// Shared transport for the original, the master, their difference (null test) and the
+// reference. All of them play as sample-locked sources so switching is gapless and keeps
+// the playhead. Optional loudness matching turns louder versions down to the quietest,
+// a loop region repeats one section, and per-channel analysers feed the level meters.
+// With a PreviewChain attached, 'preview' plays the original through the live mastering graph.
+
+const AB_MODES = {
+    original: 'Original',
+    mastered: 'Mastered',
+    difference: 'Difference',
+    reference: 'Reference',
+    preview: 'Live preview'
+};
+
+class ABPlayer {
+    constructor(audioContext) {
+        this.audioContext = audioContext;
+        this.buffers = {};          // mode -> AudioBuffer
+        this.loudness = {};         // mode -> integrated LUFS
+        this.mode = 'original';
+        this.levelMatch = true;
+        this.loop = { enabled: false, start: 0, end: 0 };
+        this.crossfade = 0.01;      // s, short enough to sound instant without clicks
+        this.differenceDepth = null;
+        this.previewChain = null;
+
+        // Mono tracks are up-mixed so both meters move
+        this.output = audioContext.createGain();
+        this.output.channelCount = 2;
+        this.output.channelCountMode = 'explicit';
+        this.output.channelInterpretation = 'speakers';
+        this.output.connect(audioContext.destination);
+
+        const splitter = audioContext.createChannelSplitter(2);
+        this.output.connect(splitter);
+        this.analysers = [0, 1].map(channel => {
+            const analyser = audioContext.createAnalyser();
+            analyser.fftSize = 2048;
+            splitter.connect(analyser, channel);
+            return analyser;
+        });
+        this.meterData = new Float32Array(2048);
+
+        this.sources = {};
+        this.gains = {};
+        this.playing = false;
+        this.startTime = 0;         // context time the current sources started
+        this.startOffset = 0;       // buffer position they started from
+        this.pausedAt = 0;
+        this.playToken = 0;
+        this.onEnded = null;
+    }
+
+    get duration() {
+        // The version being heard sets the length; the reference rarely matches the song
+        const buffer = this.buffers[this.mode];
+        return buffer ? buffer.duration : 0;
+    }
+
+    get position() {
+        if (!this.playing) return this.pausedAt;
+
+        const position = this.startOffset + Math.max(0, this.audioContext.currentTime - this.startTime);
+        if (this.loop.enabled && position >= this.loop.end) {
+            const length = this.loop.end - this.loop.start;
+            return this.loop.start + (position - this.loop.end) % length;
+        }
+        return Math.min(position, this.duration);
+    }
+
+    hasMode(mode) {
+        return !!this.buffers[mode];
+    }
+
+    setTrack(mode, buffer, integratedLoudness) {
+        // mode: 'original', 'mastered' or 'reference'; the difference track is derived
+        if (buffer) {
+            this.buffers[mode] = buffer;
+            this.loudness[mode] = isFinite(integratedLoudness) ? integratedLoudness : null;
+        } else {
+            delete this.buffers[mode];
+            delete this.loudness[mode];
+        }
+
+        const position = this.position;
+        this.updateDifference();
+        this.updatePreview();
+        if (!this.hasMode(this.mode)) {
+            this.mode = Object.keys(AB_MODES).find(candidate => this.hasMode(candidate)) || 'original';
+        }
+        this.restart(position);
+    }
+
+    setPreviewChain(chain) {
+        // chain: a prepared PreviewChain, or null to drop the preview track
+        this.previewChain = chain;
+        const position = this.position;
+        this.updatePreview();
+        if (!this.hasMode(this.mode)) this.mode = 'original';
+        this.restart(position);
+    }
+
+    updatePreview() {
+        // The preview plays the original buffer; the chain does the processing live
+        if (this.previewChain && this.buffers.original) {
+            this.buffers.preview = this.buffers.original;
+        } else {
+            delete this.buffers.preview;
+        }
+    }
+
+    updateDifference() {
+        delete this.buffers.difference;
+        this.differenceDepth = null;
+
+        const original = this.buffers.original;
+        const mastered = this.buffers.mastered;
+        if (!original || !mastered || original.sampleRate !== mastered.sampleRate) return;
+
+        this.buffers.difference = this.createDifferenceBuffer(original, mastered);
+    }
+
+    createDifferenceBuffer(original, mastered) {
+        // original - mastered. With level matching on, the master is brought to the original's
+        // loudness first so the residue is the processing, not the level change
+        const gain = this.levelMatch ? this.getMatchGain(this.getLoudness('mastered'), this.getLoudness('original')) : 1;
+        const channels = mastered.numberOfChannels;
+        const length = Math.min(original.length, mastered.length);
+        const difference = this.audioContext.createBuffer(channels, length, mastered.sampleRate);
+
+        let originalPower = 0;
+        let differencePower = 0;
+        for (let channel = 0; channel < channels; channel++) {
+            const a = original.getChannelData(Math.min(channel, original.numberOfChannels - 1));
+            const b = mastered.getChannelData(channel);
+            const output = difference.getChannelData(channel);
+            for (let i = 0; i < length; i++) {
+                output[i] = a[i] - b[i] * gain;
+                originalPower += a[i] * a[i];
+                differencePower += output[i] * output[i];
+            }
+        }
+
+        // How far the residue sits below the original, in dB - deeper means a subtler master
+        this.differenceDepth = originalPower > 0 && differencePower > 0 ?
+            10 * Math.log10(originalPower / differencePower) : null;
+        return difference;
+    }
+
+    getLoudness(mode) {
+        // Measured on first use unless the caller already knew it (e.g. from the mastering report).
+        // The preview is calibrated to the target loudness, so that stands in for a measurement
+        if (mode === 'preview') {
+            return this.previewChain ? this.previewChain.targetLoudness : null;
+        }
+        if (this.loudness[mode] === null) {
+            const buffer = this.buffers[mode];
+            this.loudness[mode] = new LoudnessMeter(buffer.sampleRate).measureBuffer(buffer).integrated;
+        }
+        return this.loudness[mode];
+    }
+
+    getLevelOffset() {
+        // dB the master sits above the original (negative: quieter)
+        if (!this.hasMode('original') || !this.hasMode('mastered')) return null;
+        const offset = this.getLoudness('mastered') - this.getLoudness('original');
+        return isFinite(offset) ? offset : null;
+    }
+
+    getMatchGain(fromLoudness, toLoudness) {
+        if (!isFinite(fromLoudness) || !isFinite(toLoudness)) return 1;
+        return Math.pow(10, (toLoudness - fromLoudness) / 20);
+    }
+
+    getTrackGain(mode) {
+        if (mode !== this.mode) return 0;
+        if (!this.levelMatch || mode === 'difference') return 1;
+
+        // Match to the quietest loaded version, so matching only ever turns things down
+        // and can't push the louder one into clipping
+        const levels = ['original', 'mastered', 'reference', 'preview']
+            .filter(candidate => this.hasMode(candidate))
+            .map(candidate => this.getLoudness(candidate))
+            .filter(level => isFinite(level));
+        if (levels.length < 2 || !isFinite(this.getLoudness(mode))) return 1;
+
+        return Math.min(1, this.getMatchGain(this.getLoudness(mode), Math.min(...levels)));
+    }
+
+    setMode(mode) {
+        if (!this.hasMode(mode)) return false;
+        this.mode = mode;
+        this.rampGains();
+
+        // Switching to a shorter version past its end has nothing left to play
+        if (this.playing && this.position >= this.duration) {
+            this.finish();
+        }
+        return true;
+    }
+
+    setLevelMatch(enabled) {
+        this.levelMatch = enabled;
+        if (this.buffers.difference) {
+            // The residue depends on the matching gain, so rebuild it in place
+            this.updateDifference();
+            this.restart();
+        } else {
+            this.rampGains();
+        }
+    }
+
+    setLoop(enabled, start, end) {
+        const duration = this.duration;
+        start = Math.max(0, Math.min(start, duration));
+        end = Math.max(0, Math.min(end, duration));
+
+        // The playhead has to be read with the old region, before it changes
+        const position = this.position;
+        this.loop = {
+            enabled: enabled && end - start >= 0.1,
+            start: start,
+            end: end
+        };
+        this.restart(position);
+        return this.loop.enabled;
+    }
+
+    async play(offset = this.position) {
+        if (!this.hasMode(this.mode)) return;
+        if (this.audioContext.state === 'suspended') {
+            await this.audioContext.resume();
+        }
+
+        this.stopSources();
+
+        if (this.loop.enabled && (offset < this.loop.start || offset >= this.loop.end)) {
+            offset = this.loop.start;
+        }
+        if (offset >= this.duration) {
+            offset = 0;
+        }
+
+        // Every track starts at the same context time and offset, so they stay sample-locked
+        const token = ++this.playToken;
+        const when = this.audioContext.currentTime + 0.02;
+        for (const [mode, buffer] of Object.entries(this.buffers)) {
+            const gain = this.audioContext.createGain();
+            gain.gain.value = this.getTrackGain(mode);
+            gain.connect(this.output);
+
+            const source = this.audioContext.createBufferSource();
+            source.buffer = buffer;
+            if (this.loop.enabled) {
+                source.loop = true;
+                source.loopStart = this.loop.start;
+                source.loopEnd = this.loop.end;
+            }
+            // The chain's FIR and look-ahead delay it, so its source reads that far ahead
+            let start = offset;
+            if (mode === 'preview') {
+                this.previewChain.output.connect(gain);
+                source.connect(this.previewChain.input);
+                start += this.previewChain.latency;
+            } else {
+                source.connect(gain);
+            }
+            source.start(when, Math.min(start, buffer.duration));
+
+            // Playback is over when the version being heard runs out
+            source.onended = () => {
+                if (token === this.playToken && mode === this.mode) this.finish();
+            };
+
+            this.sources[mode] = source;
+            this.gains[mode] = gain;
+        }
+
+        this.startTime = when;
+        this.startOffset = offset;
+        this.playing = true;
+    }
+
+    finish() {
+        this.playing = false;
+        this.playToken++;
+        this.pausedAt = this.loop.enabled ? this.loop.start : 0;
+        this.stopSources();
+        if (this.onEnded) this.onEnded();
+    }
+
+    getLevels() {
+        // Peak level per channel over the analysers' last window, in dBFS
+        return this.analysers.map(analyser => {
+            analyser.getFloatTimeDomainData(this.meterData);
+            let peak = 0;
+            for (let i = 0; i < this.meterData.length; i++) {
+                peak = Math.max(peak, Math.abs(this.meterData[i]));
+            }
+            return peak > 0 ? 20 * Math.log10(peak) : -Infinity;
+        });
+    }
+
+    pause() {
+        if (!this.playing) return;
+        this.pausedAt = this.position;
+        this.playing = false;
+        this.playToken++;
+        this.stopSources();
+    }
+
+    stop() {
+        this.pause();
+        this.pausedAt = this.loop.enabled ? this.loop.start : 0;
+    }
+
+    seek(position) {
+        const clamped = Math.max(0, Math.min(position, this.duration));
+        if (this.playing) {
+            this.play(clamped);
+        } else {
+            this.pausedAt = clamped;
+        }
+    }
+
+    restart(position = this.position) {
+        // Re-creates the sources at the playhead after the track set or loop changed
+        if (this.playing) {
+            this.play(position);
+        } else {
+            this.pausedAt = Math.min(position, this.duration);
+        }
+    }
+
+    rampGains() {
+        const now = this.audioContext.currentTime;
+        for (const [mode, gain] of Object.entries(this.gains)) {
+            gain.gain.cancelScheduledValues(now);
+            gain.gain.setValueAtTime(gain.gain.value, now);
+            gain.gain.linearRampToValueAtTime(this.getTrackGain(mode), now + this.crossfade);
+        }
+    }
+
+    stopSources() {
+        for (const source of Object.values(this.sources)) {
+            source.onended = null;
+            try {
+                source.stop();
+            } catch (error) {
+                // Already stopped
+            }
+            source.disconnect();
+        }
+        for (const gain of Object.values(this.gains)) {
+            gain.disconnect();
+        }
+        if (this.previewChain) {
+            this.previewChain.output.disconnect();
+        }
+        this.sources = {};
+        this.gains = {};
+    }
+}
@@ -0,0 +1,523 @@
+// Audio Analyzer for Studio Buddy Web
+// Offline BPM, key and mood analysis, used when the Railway API can't be reached. Four tempo
+// estimators vote on a spectral-flux onset envelope, the key comes from chroma matched against
+// Krumhansl-Schmuckler and Temperley profiles, and energy, danceability, positivity, tempo
+// stability and complexity follow the TuneBat-style features in _old_client_analysis.
+
+const KEY_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+// Pitch-class weights for C major / C minor, rotated for the other keys
+const KEY_PROFILES = {
+    krumhansl: {
+        weight: 0.6,
+        major: [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88],
+        minor: [6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17]
+    },
+    temperley: {
+        weight: 0.4,
+        major: [5.0, 2.0, 3.5, 2.0, 4.5, 4.0, 2.0, 4.5, 2.0, 3.5, 1.5, 4.0],
+        minor: [5.0, 2.0, 3.5, 4.5, 2.0, 4.0, 2.0, 4.5, 3.5, 2.0, 1.5, 4.0]
+    }
+};
+
+// Share of the tempo vote each estimator gets
+const TEMPO_ESTIMATORS = {
+    onset: 0.3,
+    autocorrelation: 0.35,
+    comb: 0.2,
+    spectral: 0.15
+};
+
+class AudioAnalyzer {
+    constructor() {
+        this.analysisRate = 22050;      // Hz; audio is decimated to about this first
+        this.frameSize = 1024;          // onset envelope, ~86 frames per second
+        this.hopSize = 256;
+        this.chromaFrameSize = 4096;    // key and timbre - long enough to separate semitones in the bass
+        this.chromaHopSize = 2048;
+        this.windowSeconds = 75;        // taken from the middle of the track, like the server's window_sec
+        this.tempoTolerance = 3;        // BPM; estimates this close vote together
+    }
+
+    async analyzeAudio(audioBuffer, options = {}) {
+        // options: the server's window_sec, prefer_min_bpm and prefer_max_bpm. Resolves to the same
+        // shape as RailwayAPIManager.parseAnalysisResult, plus the mood and complexity features
+        const startTime = performance.now();
+        const minBpm = options.prefer_min_bpm || 90;
+        const maxBpm = options.prefer_max_bpm || 180;
+        const { samples, sampleRate } = this.getAnalysisWindow(audioBuffer, options.window_sec || this.windowSeconds);
+
+        const envelope = this.computeOnsetEnvelope(samples, sampleRate);
+        const onsets = this.pickOnsets(envelope.novelty);
+        const tempo = this.estimateTempo(envelope, onsets, minBpm, maxBpm);
+        const harmony = this.computeHarmonicFeatures(samples, sampleRate);
+        const keys = this.matchKeys(harmony.chroma);
+        const seconds = samples.length / sampleRate;
+
+        console.log(`💻 Offline analysis complete (${(performance.now() - startTime).toFixed(1)}ms)`);
+        return {
+            bpm: tempo.bpm,
+            key: keys[0].key,
+            bpmCandidates: tempo.candidates,
+            keyCandidates: keys.slice(0, 5),
+            energy: this.computeEnergy(envelope.rms, onsets.length / seconds),
+            danceability: this.computeDanceability(tempo),
+            valence: this.computeValence(keys),
+            tempoStability: this.computeTempoStability(envelope, tempo.bpm, minBpm, maxBpm),
+            rhythmComplexity: this.computeRhythmComplexity(onsets, envelope.frameRate, seconds),
+            harmonicComplexity: harmony.complexity,
+            analysisMethod: 'local',
+            confidence: tempo.confidence * 0.6 + keys[0].confidence * 0.4,
+            local: true
+        };
+    }
+
+    async detectBPM(audioBuffer) {
+        const { samples, sampleRate } = this.getAnalysisWindow(audioBuffer, this.windowSeconds);
+        const envelope = this.computeOnsetEnvelope(samples, sampleRate);
+        return this.estimateTempo(envelope, this.pickOnsets(envelope.novelty), 90, 180).bpm;
+    }
+
+    getAnalysisWindow(audioBuffer, seconds) {
+        // Mono mix of the middle of the track - intros and outros say little about tempo or key -
+        // averaged down to about analysisRate. Nothing analysed here lives above ~5 kHz, so the
+        // crude averaging filter is enough
+        const factor = Math.max(1, Math.floor(audioBuffer.sampleRate / this.analysisRate));
+        const length = Math.floor(Math.min(audioBuffer.length, Math.round(seconds * audioBuffer.sampleRate)) / factor);
+        const start = Math.floor((audioBuffer.length - length * factor) / 2);
+        const scale = 1 / (factor * audioBuffer.numberOfChannels);
+        const mono = new Float32Array(length);
+
+        for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+            const data = audioBuffer.getChannelData(channel);
+            for (let i = 0; i < length; i++) {
+                let sum = 0;
+                for (let j = 0; j < factor; j++) sum += data[start + i * factor + j];
+                mono[i] += sum * scale;
+            }
+        }
+        return { samples: mono, sampleRate: audioBuffer.sampleRate / factor };
+    }
+
+    createHannWindow(size) {
+        const window = new Float32Array(size);
+        for (let i = 0; i < size; i++) {
+            window[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / (size - 1));
+        }
+        return window;
+    }
+
+    computeOnsetEnvelope(samples, sampleRate) {
+        // Half-wave rectified spectral flux of log magnitudes, minus its local mean so sustained
+        // loud passages don't read as onsets. Also keeps each frame's RMS for the energy feature
+        const size = this.frameSize;
+        const bins = size / 2;
+        const frames = Math.max(0, Math.floor((samples.length - size) / this.hopSize) + 1);
+        const fft = new FFT(size);
+        const window = this.createHannWindow(size);
+        const real = new Float64Array(size);
+        const imag = new Float64Array(size);
+        let previous = new Float32Array(bins);
+        let current = new Float32Array(bins);
+
+        const flux = new Float32Array(frames);
+        const rms = new Float32Array(frames);
+        for (let frame = 0; frame < frames; frame++) {
+            const offset = frame * this.hopSize;
+            let energy = 0;
+            for (let i = 0; i < size; i++) {
+                const sample = samples[offset + i];
+                energy += sample * sample;
+                real[i] = sample * window[i];
+                imag[i] = 0;
+            }
+            fft.forward(real, imag);
+
+            let sum = 0;
+            for (let k = 1; k < bins; k++) {
+                current[k] = Math.log1p(100 * Math.sqrt(real[k] * real[k] + imag[k] * imag[k]) / bins);
+                sum += Math.max(0, current[k] - previous[k]);
+            }
+            flux[frame] = frame > 0 ? sum : 0;
+            rms[frame] = Math.sqrt(energy / size);
+            [previous, current] = [current, previous];
+        }
+
+        const frameRate = sampleRate / this.hopSize;
+        const radius = Math.round(frameRate * 0.25);
+        const novelty = new Float32Array(frames);
+        let runningSum = 0;
+        for (let i = 0; i < Math.min(frames, radius); i++) runningSum += flux[i];
+        for (let frame = 0; frame < frames; frame++) {
+            if (frame + radius < frames) runningSum += flux[frame + radius];
+            if (frame - radius - 1 >= 0) runningSum -= flux[frame - radius - 1];
+            const count = Math.min(frames - 1, frame + radius) - Math.max(0, frame - radius) + 1;
+            novelty[frame] = Math.max(0, flux[frame] - runningSum / count);
+        }
+
+        return { novelty: novelty, rms: rms, frameRate: frameRate };
+    }
+
+    pickOnsets(novelty) {
+        // Frames that are local maxima above mean + one standard deviation, at least ~50 ms apart
+        let mean = 0;
+        for (let i = 0; i < novelty.length; i++) mean += novelty[i];
+        mean /= Math.max(1, novelty.length);
+        let variance = 0;
+        for (let i = 0; i < novelty.length; i++) variance += (novelty[i] - mean) ** 2;
+        const threshold = mean + Math.sqrt(variance / Math.max(1, novelty.length));
+
+        const onsets = [];
+        for (let i = 1; i < novelty.length - 1; i++) {
+            if (novelty[i] > threshold && novelty[i] >= novelty[i - 1] && novelty[i] > novelty[i + 1] &&
+                (onsets.length === 0 || i - onsets[onsets.length - 1] > 4)) {
+                onsets.push(i);
+            }
+        }
+        return onsets;
+    }
+
+    estimateTempo(envelope, onsets, minBpm, maxBpm) {
+        // Each estimator offers up to three tempos whose confidences sum to one. Folded into the
+        // preferred range and weighted by TEMPO_ESTIMATORS, estimates within tempoTolerance of each
+        // other are pooled, and the best-supported group wins
+        const { novelty, frameRate } = envelope;
+        const autocorrelation = this.computeAutocorrelation(novelty, Math.ceil(frameRate * 60 / 40));
+        const estimates = {
+            onset: this.tempoFromOnsetIntervals(onsets, frameRate, minBpm, maxBpm),
+            autocorrelation: this.tempoFromAutocorrelation(autocorrelation, frameRate),
+            comb: this.tempoFromCombFilter(novelty, frameRate, minBpm, maxBpm),
+            spectral: this.tempoFromPeriodicity(novelty, frameRate)
+        };
+
+        const groups = [];
+        for (const [estimator, candidates] of Object.entries(estimates)) {
+            for (const candidate of candidates) {
+                const bpm = this.foldTempo(candidate.bpm, minBpm, maxBpm);
+                const score = candidate.confidence * TEMPO_ESTIMATORS[estimator];
+                const group = groups.find(existing => Math.abs(existing.bpm - bpm) <= this.tempoTolerance);
+                if (group) {
+                    group.bpm = (group.bpm * group.confidence + bpm * score) / (group.confidence + score);
+                    group.confidence += score;
+                } else {
+                    groups.push({ bpm: bpm, confidence: score });
+                }
+            }
+        }
+
+        if (groups.length === 0) {
+            return { bpm: 120, confidence: 0.1, candidates: [], regularity: 0 };
+        }
+
+        groups.sort((a, b) => b.confidence - a.confidence);
+        const candidates = groups.slice(0, 5).map(group => ({
+            bpm: Math.round(group.bpm * 10) / 10,
+            confidence: Math.min(1, group.confidence)
+        }));
+
+        // How strongly the envelope repeats at the beat period - the pulse's clarity
+        const lag = Math.round(frameRate * 60 / candidates[0].bpm);
+        const regularity = lag < autocorrelation.length && autocorrelation[0] > 0 ?
+            Math.max(0, autocorrelation[lag] / autocorrelation[0]) : 0;
+
+        return {
+            bpm: candidates[0].bpm,
+            confidence: candidates[0].confidence,
+            candidates: candidates,
+            regularity: regularity
+        };
+    }
+
+    foldTempo(bpm, minBpm, maxBpm) {
+        // Octave errors are the usual mistake - halve or double into the preferred range
+        while (bpm > maxBpm && bpm / 2 >= minBpm * 0.9) bpm /= 2;
+        while (bpm < minBpm && bpm * 2 <= maxBpm * 1.1) bpm *= 2;
+        return bpm;
+    }
+
+    normalizeCandidates(candidates) {
+        // Top three, with confidences summing to one
+        const top = candidates.filter(candidate => candidate.confidence > 0)
+            .sort((a, b) => b.confidence - a.confidence)
+            .slice(0, 3);
+        const total = top.reduce((sum, candidate) => sum + candidate.confidence, 0);
+        return top.map(candidate => ({ bpm: candidate.bpm, confidence: candidate.confidence / total }));
+    }
+
+    findPeaks(values, first, last) {
+        // Local maxima in [first, last], with parabolic interpolation of their position
+        const peaks = [];
+        for (let i = Math.max(1, first); i <= Math.min(values.length - 2, last); i++) {
+            if (values[i] > values[i - 1] && values[i] >= values[i + 1]) {
+                const curvature = values[i - 1] - 2 * values[i] + values[i + 1];
+                const shift = curvature !== 0 ? 0.5 * (values[i - 1] - values[i + 1]) / curvature : 0;
+                peaks.push({ position: i + shift, value: values[i] });
+            }
+        }
+        return peaks;
+    }
+
+    tempoFromOnsetIntervals(onsets, frameRate, minBpm, maxBpm) {
+        // Histogram of the intervals from each onset to the next four, folded into the range
+        const histogram = new Float32Array(Math.ceil(maxBpm * 1.1) + 2);
+        for (let i = 0; i < onsets.length; i++) {
+            for (let j = i + 1; j < Math.min(onsets.length, i + 5); j++) {
+                const bpm = this.foldTempo(60 * frameRate / (onsets[j] - onsets[i]), minBpm, maxBpm);
+                const bin = Math.round(bpm);
+                if (bin > 0 && bin < histogram.length) histogram[bin] += 1 / (j - i);
+            }
+        }
+
+        // Smooth across neighbouring BPMs before picking peaks
+        const smoothed = new Float32Array(histogram.length);
+        for (let i = 1; i < histogram.length - 1; i++) {
+            smoothed[i] = 0.25 * histogram[i - 1] + 0.5 * histogram[i] + 0.25 * histogram[i + 1];
+        }
+        return this.normalizeCandidates(this.findPeaks(smoothed, 1, smoothed.length - 2)
+            .map(peak => ({ bpm: peak.position, confidence: peak.value })));
+    }
+
+    computeAutocorrelation(novelty, maxLag) {
+        const autocorrelation = new Float32Array(Math.min(maxLag + 2, novelty.length));
+        for (let lag = 0; lag < autocorrelation.length; lag++) {
+            let sum = 0;
+            for (let i = 0; i < novelty.length - lag; i++) {
+                sum += novelty[i] * novelty[i + lag];
+            }
+            autocorrelation[lag] = sum / (novelty.length - lag);
+        }
+        return autocorrelation;
+    }
+
+    tempoFromAutocorrelation(autocorrelation, frameRate) {
+        // Peaks between 40 and 240 BPM
+        const first = Math.floor(frameRate * 60 / 240);
+        return this.normalizeCandidates(this.findPeaks(autocorrelation, first, autocorrelation.length - 2)
+            .map(peak => ({ bpm: 60 * frameRate / peak.position, confidence: peak.value })));
+    }
+
+    tempoFromCombFilter(novelty, frameRate, minBpm, maxBpm) {
+        // For each tempo, the best-aligned pulse train's mean envelope value; tempos whose pulses
+        // land on the onsets score highest
+        const scores = [];
+        for (let bpm = minBpm; bpm <= maxBpm; bpm += 0.5) {
+            const period = 60 * frameRate / bpm;
+            let best = 0;
+            for (let phase = 0; phase < period; phase++) {
+                let sum = 0;
+                let count = 0;
+                for (let position = phase; position < novelty.length; position += period) {
+                    sum += novelty[Math.round(position)] || 0;
+                    count++;
+                }
+                if (count > 0) best = Math.max(best, sum / count);
+            }
+            scores.push(best);
+        }
+
+        return this.normalizeCandidates(this.findPeaks(scores, 1, scores.length - 2).map(peak => ({
+            bpm: minBpm + peak.position * 0.5,
+            confidence: peak.value
+        })));
+    }
+
+    tempoFromPeriodicity(novelty, frameRate) {
+        // Peaks of the envelope's own spectrum, between 40 and 240 BPM
+        const size = FFT.nextPowerOfTwo(Math.max(novelty.length, 4096));
+        const real = new Float64Array(size);
+        const imag = new Float64Array(size);
+        let mean = 0;
+        for (let i = 0; i < novelty.length; i++) mean += novelty[i];
+        mean /= Math.max(1, novelty.length);
+        for (let i = 0; i < novelty.length; i++) real[i] = novelty[i] - mean;
+        new FFT(size).forward(real, imag);
+
+        const power = new Float32Array(size / 2);
+        for (let k = 0; k < size / 2; k++) power[k] = real[k] * real[k] + imag[k] * imag[k];
+
+        const binToBpm = 60 * frameRate / size;
+        return this.normalizeCandidates(this.findPeaks(power, Math.floor(40 / binToBpm), Math.ceil(240 / binToBpm))
+            .map(peak => ({ bpm: peak.position * binToBpm, confidence: peak.value })));
+    }
+
+    computeHarmonicFeatures(samples, sampleRate) {
+        // Chroma for the key plus spectral centroid, rolloff and flatness for harmonic complexity.
+        // Chroma is the average of an energy-weighted vector (loud passages count most) and a
+        // per-frame normalised one (every passage counts the same)
+        const size = this.chromaFrameSize;
+        const bins = size / 2;
+        const fft = new FFT(size);
+        const window = this.createHannWindow(size);
+        const real = new Float64Array(size);
+        const imag = new Float64Array(size);
+        const magnitudes = new Float32Array(bins);
+
+        // Pitch class of each bin between C2 and C8, -1 outside
+        const pitchClasses = new Int8Array(bins).fill(-1);
+        for (let k = 1; k < bins; k++) {
+            const frequency = k * sampleRate / size;
+            if (frequency >= 65 && frequency <= 4200) {
+                const pitch = Math.round(69 + 12 * Math.log2(frequency / 440));
+                pitchClasses[k] = ((pitch % 12) + 12) % 12;
+            }
+        }
+
+        const weighted = new Array(12).fill(0);
+        const normalized = new Array(12).fill(0);
+        let complexity = 0;
+        let frames = 0;
+        for (let offset = 0; offset + size <= samples.length; offset += this.chromaHopSize) {
+            for (let i = 0; i < size; i++) {
+                real[i] = samples[offset + i] * window[i];
+                imag[i] = 0;
+            }
+            fft.forward(real, imag);
+
+            const frameChroma = new Array(12).fill(0);
+            let total = 0;
+            let weightedFrequency = 0;
+            let logSum = 0;
+            for (let k = 0; k < bins; k++) {
+                magnitudes[k] = Math.sqrt(real[k] * real[k] + imag[k] * imag[k]);
+                total += magnitudes[k];
+                weightedFrequency += magnitudes[k] * k * sampleRate / size;
+                logSum += Math.log(magnitudes[k] + 1e-10);
+                if (pitchClasses[k] >= 0) frameChroma[pitchClasses[k]] += magnitudes[k];
+            }
+            if (total < 1e-6) continue;   // silence
+
+            const chromaTotal = frameChroma.reduce((sum, value) => sum + value, 0);
+            for (let pc = 0; pc < 12; pc++) {
+                weighted[pc] += frameChroma[pc];
+                if (chromaTotal > 0) normalized[pc] += frameChroma[pc] / chromaTotal;
+            }
+
+            let cumulative = 0;
+            let rolloff = bins - 1;
+            for (let k = 0; k < bins; k++) {
+                cumulative += magnitudes[k];
+                if (cumulative >= total * 0.85) {
+                    rolloff = k;
+                    break;
+                }
+            }
+            const centroid = weightedFrequency / total;
+            const flatness = Math.exp(logSum / bins) / (total / bins);
+            complexity += Math.min(1, (centroid / 8000) * 0.4 + (rolloff / bins) * 0.3 + flatness * 0.3);
+            frames++;
+        }
+
+        const weightedTotal = weighted.reduce((sum, value) => sum + value, 0);
+        const chroma = weighted.map((value, pc) =>
+            (weightedTotal > 0 ? 0.5 * value / weightedTotal : 0) + (frames > 0 ? 0.5 * normalized[pc] / frames : 0));
+
+        return {
+            chroma: chroma,
+            complexity: frames > 0 ? complexity / frames : 0.5
+        };
+    }
+
+    matchKeys(chroma) {
+        // Every key and mode, best first, scored by correlation with the rotated profiles
+        const results = [];
+        for (let tonic = 0; tonic < 12; tonic++) {
+            for (const mode of ['major', 'minor']) {
+                let score = 0;
+                for (const profile of Object.values(KEY_PROFILES)) {
+                    const rotated = KEY_NAMES.map((name, pc) => profile[mode][(pc - tonic + 12) % 12]);
+                    score += profile.weight * this.correlation(chroma, rotated);
+                }
+                results.push({
+                    key: `${KEY_NAMES[tonic]} ${mode === 'major' ? 'Major' : 'Minor'}`,
+                    confidence: Math.max(0, score)
+                });
+            }
+        }
+        return results.sort((a, b) => b.confidence - a.confidence);
+    }
+
+    correlation(a, b) {
+        const n = a.length;
+        const meanA = a.reduce((sum, value) => sum + value, 0) / n;
+        const meanB = b.reduce((sum, value) => sum + value, 0) / n;
+        let covariance = 0;
+        let varianceA = 0;
+        let varianceB = 0;
+        for (let i = 0; i < n; i++) {
+            covariance += (a[i] - meanA) * (b[i] - meanB);
+            varianceA += (a[i] - meanA) ** 2;
+            varianceB += (b[i] - meanB) ** 2;
+        }
+        const denominator = Math.sqrt(varianceA * varianceB);
+        return denominator > 0 ? covariance / denominator : 0;
+    }
+
+    computeEnergy(rms, onsetsPerSecond) {
+        // Loudness (-30 to -6 dBFS RMS spans 0-1) with onset density (8 per second counts as full)
+        let sum = 0;
+        for (let i = 0; i < rms.length; i++) sum += rms[i] * rms[i];
+        const level = 10 * Math.log10(sum / Math.max(1, rms.length) + 1e-12);
+        const loudness = Math.max(0, Math.min(1, (level + 30) / 24));
+        return loudness * 0.6 + Math.min(1, onsetsPerSecond / 8) * 0.4;
+    }
+
+    computeDanceability(tempo) {
+        // A clear, regular pulse at a tempo people dance to
+        let suitability = 0.1;
+        if (tempo.bpm >= 100 && tempo.bpm <= 140) suitability = 1;
+        else if (tempo.bpm >= 80 && tempo.bpm <= 160) suitability = 0.7;
+        else if (tempo.bpm >= 60 && tempo.bpm <= 180) suitability = 0.4;
+
+        return Math.min(1, tempo.regularity) * 0.6 + suitability * 0.4;
+    }
+
+    computeValence(keys) {
+        // Leans positive the more the harmony fits a major key rather than a minor one
+        const major = keys.find(result => result.key.endsWith('Major')).confidence;
+        const minor = keys.find(result => result.key.endsWith('Minor')).confidence;
+        return Math.max(0, Math.min(1, (major - minor + 1) / 2));
+    }
+
+    computeTempoStability(envelope, bpm, minBpm, maxBpm) {
+        // Tempo of each 10 s stretch (5 s apart); the less they vary, the more stable
+        const { novelty, frameRate } = envelope;
+        const length = Math.round(frameRate * 10);
+        const step = Math.round(frameRate * 5);
+        const maxLag = Math.ceil(frameRate * 60 / 40);
+        const tempos = [];
+
+        for (let start = 0; start + length <= novelty.length; start += step) {
+            const autocorrelation = this.computeAutocorrelation(novelty.subarray(start, start + length), maxLag);
+            const best = this.tempoFromAutocorrelation(autocorrelation, frameRate)[0];
+            if (!best) continue;
+
+            // Stretches that lock onto a multiple of the beat still agree with it
+            let local = this.foldTempo(best.bpm, minBpm, maxBpm);
+            for (const ratio of [0.5, 2, 2 / 3, 1.5]) {
+                if (Math.abs(local * ratio - bpm) < Math.abs(local - bpm)) local *= ratio;
+            }
+            tempos.push(local);
+        }
+
+        if (tempos.length < 2) return 0.5;
+        const mean = tempos.reduce((sum, value) => sum + value, 0) / tempos.length;
+        const variance = tempos.reduce((sum, value) => sum + (value - mean) ** 2, 0) / tempos.length;
+        return Math.max(0, Math.min(1, 1 - Math.sqrt(variance) / mean));
+    }
+
+    computeRhythmComplexity(onsets, frameRate, seconds) {
+        // Busy (many onsets per second) and irregular (uneven gaps between them) rhythms score high
+        if (onsets.length < 4) return 0.2;
+
+        const intervals = [];
+        for (let i = 1; i < onsets.length; i++) {
+            intervals.push((onsets[i] - onsets[i - 1]) / frameRate);
+        }
+        const mean = intervals.reduce((sum, value) => sum + value, 0) / intervals.length;
+        const variance = intervals.reduce((sum, value) => sum + (value - mean) ** 2, 0) / intervals.length;
+
+        const density = Math.min(1, onsets.length / seconds / 10);
+        const irregularity = Math.min(1, Math.sqrt(variance) / mean);
+        return density * 0.6 + irregularity * 0.4;
+    }
+}
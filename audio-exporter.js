@@ -0,0 +1,875 @@
+// Audio Exporter for Studio Buddy Web
+// Encodes mastered audio as 16/24-bit PCM or 32-bit float WAV and 16/24-bit FLAC,
+// with TPDF or noise-shaped dither, windowed-sinc sample-rate conversion and
+// BWF bext/iXML, ID3 and Vorbis comment metadata
+
+const EXPORT_FORMATS = {
+    wav: { name: 'WAV', extension: 'wav', mimeType: 'audio/wav', bitDepths: ['16', '24', '32f'] },
+    flac: { name: 'FLAC', extension: 'flac', mimeType: 'audio/flac', bitDepths: ['16', '24'] }
+};
+
+const EXPORT_DITHER_TYPES = {
+    none: 'None',
+    tpdf: 'TPDF',
+    shaped: 'Noise-shaped'
+};
+
+const EXPORT_SAMPLE_RATES = [44100, 48000, 96000];
+
+class AudioExporter {
+    constructor() {
+        this.resamplerTaps = 64;     // input samples either side of each output sample
+        this.resamplerBeta = 9;      // Kaiser window, ~90 dB stopband
+        this.flacBlockSize = 4096;
+
+        // Three-tap error feedback, pushes dither noise up towards Nyquist where hearing is least sensitive
+        this.noiseShaping = [1.623, -0.982, 0.109];
+
+        this.crc8Table = this.createCRCTable(0x07, 8);
+        this.crc16Table = this.createCRCTable(0x8005, 16);
+    }
+
+    export(channels, sampleRate, options = {}) {
+        const format = EXPORT_FORMATS[options.format] ? options.format : 'wav';
+        const bitDepth = EXPORT_FORMATS[format].bitDepths.includes(options.bitDepth) ? options.bitDepth : '24';
+        const targetRate = options.sampleRate || sampleRate;
+
+        const output = targetRate !== sampleRate ? this.resample(channels, sampleRate, targetRate) : channels;
+
+        const metadata = options.metadata || null;
+        let data;
+        if (bitDepth === '32f') {
+            data = this.encodeWavFloat(output, targetRate, metadata);
+        } else {
+            const bits = parseInt(bitDepth, 10);
+            const samples = this.quantize(output, bits, options.dither || 'none');
+            data = format === 'flac' ?
+                this.encodeFlac(samples, targetRate, bits, metadata) :
+                this.encodeWavPCM(samples, targetRate, bits, metadata);
+        }
+
+        return {
+            data: data,
+            mimeType: EXPORT_FORMATS[format].mimeType,
+            extension: EXPORT_FORMATS[format].extension,
+            sampleRate: targetRate,
+            bitDepth: bitDepth
+        };
+    }
+
+    createFilename(sourceName, presetName, options = {}) {
+        const clean = (text) => String(text)
+            .replace(/\.[^/.]+$/, '')
+            .replace(/[^\w\-]+/g, '_')
+            .replace(/^_+|_+$/g, '');
+
+        const format = EXPORT_FORMATS[options.format] || EXPORT_FORMATS.wav;
+        const parts = [clean(sourceName || 'audio') || 'audio', 'mastered'];
+        if (presetName) parts.push(clean(presetName));
+        if (options.sampleRate) parts.push(`${+(options.sampleRate / 1000).toFixed(1)}k`);
+        if (options.bitDepth) parts.push(options.bitDepth === '32f' ? '32float' : `${options.bitDepth}bit`);
+
+        return `${parts.filter(Boolean).join('_')}.${format.extension}`;
+    }
+
+    resample(channels, fromRate, toRate) {
+        // Rational polyphase resampler: output n sits at input position n·down/up
+        const divisor = this.gcd(fromRate, toRate);
+        const up = toRate / divisor;
+        const down = fromRate / divisor;
+
+        // Widen the kernel when decimating so the transition band stays the same width at the output
+        const half = Math.ceil(this.resamplerTaps * Math.max(1, fromRate / toRate));
+        const taps = half * 2;
+        const table = this.createResamplerTable(up, half, fromRate, toRate);
+
+        const inputLength = channels[0].length;
+        const outputLength = Math.floor(inputLength * up / down);
+
+        return channels.map(channelData => {
+            const output = new Float32Array(outputLength);
+            let index = 0;   // floor(n·down/up)
+            let phase = 0;   // (n·down) mod up
+
+            for (let n = 0; n < outputLength; n++) {
+                const coefficients = table[phase];
+                const start = index - half + 1;
+                let sum = 0;
+
+                if (start >= 0 && start + taps <= inputLength) {
+                    for (let tap = 0; tap < taps; tap++) {
+                        sum += channelData[start + tap] * coefficients[tap];
+                    }
+                } else {
+                    for (let tap = 0; tap < taps; tap++) {
+                        const position = start + tap;
+                        if (position >= 0 && position < inputLength) {
+                            sum += channelData[position] * coefficients[tap];
+                        }
+                    }
+                }
+                output[n] = sum;
+
+                phase += down;
+                while (phase >= up) {
+                    phase -= up;
+                    index++;
+                }
+            }
+            return output;
+        });
+    }
+
+    createResamplerTable(up, half, fromRate, toRate) {
+        // One Kaiser-windowed sinc per output phase. Kaiser's transition-width estimate places
+        // the cutoff so the stopband starts right at the lower Nyquist
+        const nyquist = Math.min(fromRate, toRate) / 2;
+        const attenuation = this.resamplerBeta / 0.1102 + 8.7;
+        const transition = (attenuation - 7.95) / (14.36 * half * 2) * fromRate;
+        const cutoff = Math.max(nyquist * 0.5, nyquist - transition / 2) / fromRate;   // cycles per input sample
+        const betaNorm = this.besselI0(this.resamplerBeta);
+
+        const table = [];
+        for (let phase = 0; phase < up; phase++) {
+            const coefficients = new Float32Array(half * 2);
+            const offset = phase / up;
+            let sum = 0;
+
+            for (let tap = 0; tap < half * 2; tap++) {
+                const distance = tap - half + 1 - offset;   // input position minus output position
+                const x = 2 * cutoff * distance;
+                const sinc = x === 0 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x);
+                const ratio = distance / half;
+                const window = Math.abs(ratio) >= 1 ? 0 :
+                    this.besselI0(this.resamplerBeta * Math.sqrt(1 - ratio * ratio)) / betaNorm;
+                coefficients[tap] = sinc * window;
+                sum += coefficients[tap];
+            }
+
+            for (let tap = 0; tap < half * 2; tap++) {
+                coefficients[tap] /= sum;
+            }
+            table.push(coefficients);
+        }
+        return table;
+    }
+
+    quantize(channels, bits, dither) {
+        // Float → integer samples, with ±1 LSB triangular dither and optional error-feedback shaping
+        const scale = Math.pow(2, bits - 1);
+        const max = scale - 1;
+        const min = -scale;
+        const shaping = this.noiseShaping;
+
+        return channels.map(channelData => {
+            const output = new Int32Array(channelData.length);
+            const errors = [0, 0, 0];
+
+            for (let i = 0; i < channelData.length; i++) {
+                let value = channelData[i] * scale;
+
+                if (dither === 'shaped') {
+                    value -= shaping[0] * errors[0] + shaping[1] * errors[1] + shaping[2] * errors[2];
+                }
+
+                const noise = dither === 'none' ? 0 : Math.random() - Math.random();
+                const quantized = Math.round(value + noise);
+
+                if (dither === 'shaped') {
+                    errors[2] = errors[1];
+                    errors[1] = errors[0];
+                    // Measured before clipping, so overs cannot wind up the feedback loop
+                    errors[0] = quantized - value;
+                }
+
+                output[i] = quantized > max ? max : (quantized < min ? min : quantized);
+            }
+            return output;
+        });
+    }
+
+    encodeWavPCM(samples, sampleRate, bits, metadata) {
+        const numberOfChannels = samples.length;
+        const length = samples[0].length;
+        const bytesPerSample = bits / 8;
+
+        return this.buildWav({
+            formatCode: 1,
+            numberOfChannels: numberOfChannels,
+            sampleRate: sampleRate,
+            bits: bits,
+            sampleFrames: length
+        }, metadata, (view, offset) => {
+            for (let i = 0; i < length; i++) {
+                for (let channel = 0; channel < numberOfChannels; channel++) {
+                    const sample = samples[channel][i];
+                    if (bits === 16) {
+                        view.setInt16(offset, sample, true);
+                    } else {
+                        view.setUint8(offset, sample & 0xFF);
+                        view.setUint8(offset + 1, (sample >> 8) & 0xFF);
+                        view.setUint8(offset + 2, (sample >> 16) & 0xFF);
+                    }
+                    offset += bytesPerSample;
+                }
+            }
+        });
+    }
+
+    encodeWavFloat(channels, sampleRate, metadata) {
+        const numberOfChannels = channels.length;
+        const length = channels[0].length;
+
+        return this.buildWav({
+            formatCode: 3,
+            numberOfChannels: numberOfChannels,
+            sampleRate: sampleRate,
+            bits: 32,
+            sampleFrames: length
+        }, metadata, (view, offset) => {
+            for (let i = 0; i < length; i++) {
+                for (let channel = 0; channel < numberOfChannels; channel++) {
+                    view.setFloat32(offset, channels[channel][i], true);
+                    offset += 4;
+                }
+            }
+        });
+    }
+
+    buildWav(format, metadata, writeSamples) {
+        // RIFF chunks around the sample data: fmt (+ fact for float) and bext before it,
+        // iXML and an ID3 tag after it so players that stop at `data` still start quickly
+        const blockAlign = format.numberOfChannels * format.bits / 8;
+        const isFloat = format.formatCode === 3;
+
+        const fmt = new DataView(new ArrayBuffer(isFloat ? 18 : 16));
+        fmt.setUint16(0, format.formatCode, true);
+        fmt.setUint16(2, format.numberOfChannels, true);
+        fmt.setUint32(4, format.sampleRate, true);
+        fmt.setUint32(8, format.sampleRate * blockAlign, true);
+        fmt.setUint16(12, blockAlign, true);
+        fmt.setUint16(14, format.bits, true);
+
+        const before = [{ id: 'fmt ', bytes: new Uint8Array(fmt.buffer) }];
+        if (isFloat) {
+            // IEEE float files need a fact chunk with the frame count
+            const fact = new DataView(new ArrayBuffer(4));
+            fact.setUint32(0, format.sampleFrames, true);
+            before.push({ id: 'fact', bytes: new Uint8Array(fact.buffer) });
+        }
+
+        const after = [];
+        if (metadata) {
+            before.push({ id: 'bext', bytes: this.createBextChunk(metadata, format) });
+            after.push({ id: 'iXML', bytes: this.createIXMLChunk(metadata, format) });
+            after.push({ id: 'id3 ', bytes: this.createID3Tag(metadata) });
+        }
+
+        const dataSize = format.sampleFrames * blockAlign;
+        const chunkSize = (chunk) => 8 + chunk.bytes.length + (chunk.bytes.length & 1);
+        const headerSize = 12 + before.reduce((total, chunk) => total + chunkSize(chunk), 0) + 8;
+        const totalSize = headerSize + dataSize + (dataSize & 1) +
+            after.reduce((total, chunk) => total + chunkSize(chunk), 0);
+
+        const arrayBuffer = new ArrayBuffer(totalSize);
+        const view = new DataView(arrayBuffer);
+        const bytes = new Uint8Array(arrayBuffer);
+        const writeString = (offset, string) => {
+            for (let i = 0; i < string.length; i++) {
+                view.setUint8(offset + i, string.charCodeAt(i));
+            }
+        };
+        const writeChunk = (offset, chunk) => {
+            writeString(offset, chunk.id);
+            view.setUint32(offset + 4, chunk.bytes.length, true);
+            bytes.set(chunk.bytes, offset + 8);
+            return offset + chunkSize(chunk);   // chunks are word-aligned, odd sizes get a pad byte
+        };
+
+        writeString(0, 'RIFF');
+        view.setUint32(4, totalSize - 8, true);
+        writeString(8, 'WAVE');
+
+        let offset = 12;
+        before.forEach(chunk => { offset = writeChunk(offset, chunk); });
+
+        writeString(offset, 'data');
+        view.setUint32(offset + 4, dataSize, true);
+        writeSamples(view, offset + 8);
+        offset += 8 + dataSize + (dataSize & 1);
+
+        after.forEach(chunk => { offset = writeChunk(offset, chunk); });
+
+        return arrayBuffer;
+    }
+
+    createBextChunk(metadata, format) {
+        // EBU Tech 3285 v2 Broadcast Extension: 602 fixed bytes plus the coding history
+        const now = new Date();
+        const pad = (value) => String(value).padStart(2, '0');
+        // The coding algorithm follows the fmt chunk: IEEE float (format code 3) or integer PCM
+        const algorithm = format.formatCode === 3 ? 'PCM_FLOAT' : 'PCM';
+        const codingHistory = `A=${algorithm},F=${format.sampleRate},` +
+            `W=${format.bits},M=${format.numberOfChannels === 1 ? 'mono' : 'stereo'},T=Studio Buddy Web\r\n`;
+
+        const bytes = new Uint8Array(602 + codingHistory.length);
+        const view = new DataView(bytes.buffer);
+        const writeASCII = (offset, text, size) => {
+            // bext text fields are plain ASCII: accents are stripped, anything else becomes '?'
+            const value = String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').slice(0, size);
+            for (let i = 0; i < value.length; i++) {
+                const code = value.charCodeAt(i);
+                bytes[offset + i] = code >= 0x20 && code < 0x7F ? code : (code === 0x0D || code === 0x0A ? code : 0x3F);
+            }
+        };
+
+        const description = [metadata.artist, metadata.title].filter(Boolean).join(' - ');
+        writeASCII(0, description, 256);
+        writeASCII(256, 'Studio Buddy Web', 32);
+        writeASCII(288, metadata.isrc || `SB${now.getTime()}`, 32);
+        writeASCII(320, `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`, 10);
+        writeASCII(330, `${pad(now.getHours())}:${pad(now.getMinutes())}:${pad(now.getSeconds())}`, 8);
+        // TimeReference (338-345) stays zero: the master starts at midnight
+        view.setUint16(346, 2, true);
+        // UMID (348-411) left empty
+
+        // Loudness in hundredths; 0x7FFF marks a value that was not measured
+        const loudness = metadata.loudness || {};
+        const hundredths = (value) => (isFinite(value) ? Math.round(value * 100) : 0x7FFF);
+        view.setInt16(412, hundredths(loudness.integrated), true);
+        view.setInt16(414, hundredths(loudness.loudnessRange), true);
+        view.setInt16(416, hundredths(loudness.truePeak), true);
+        view.setInt16(418, hundredths(loudness.momentaryMax), true);
+        view.setInt16(420, hundredths(loudness.shortTermMax), true);
+        // 180 reserved bytes (422-601)
+
+        writeASCII(602, codingHistory, codingHistory.length);
+        return bytes;
+    }
+
+    createIXMLChunk(metadata, format) {
+        // iXML has no title/artist elements, so those ride in PROJECT/NOTE and the rest in USER
+        const escape = (text) => String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+
+        const user = this.getMetadataFields(metadata)
+            .map(([field, value]) => `${field}=${value}`)
+            .join('\r\n');
+
+        const xml = '<?xml version="1.0" encoding="UTF-8"?>\n' +
+            '<BWFXML>\n' +
+            '    <IXML_VERSION>2.10</IXML_VERSION>\n' +
+            `    <PROJECT>${escape(metadata.title || '')}</PROJECT>\n` +
+            `    <NOTE>${escape(metadata.artist || '')}</NOTE>\n` +
+            `    <USER>${escape(user)}</USER>\n` +
+            '    <SPEED>\n' +
+            `        <FILE_SAMPLE_RATE>${format.sampleRate}</FILE_SAMPLE_RATE>\n` +
+            `        <AUDIO_BIT_DEPTH>${format.bits}</AUDIO_BIT_DEPTH>\n` +
+            '    </SPEED>\n' +
+            '</BWFXML>\n';
+
+        return new TextEncoder().encode(xml);
+    }
+
+    createID3Tag(metadata) {
+        // ID3v2.3: Latin-1 text where possible, UTF-16 with BOM otherwise
+        const textFrame = (id, text) => {
+            const isLatin1 = /^[\u0000-\u00FF]*$/.test(text);
+            const body = [isLatin1 ? 0 : 1];
+            if (isLatin1) {
+                for (let i = 0; i < text.length; i++) body.push(text.charCodeAt(i));
+            } else {
+                body.push(0xFF, 0xFE);
+                for (let i = 0; i < text.length; i++) {
+                    const code = text.charCodeAt(i);
+                    body.push(code & 0xFF, code >> 8);
+                }
+            }
+            return { id: id, body: body };
+        };
+
+        const frames = [];
+        if (metadata.title) frames.push(textFrame('TIT2', metadata.title));
+        if (metadata.artist) frames.push(textFrame('TPE1', metadata.artist));
+        if (metadata.isrc) frames.push(textFrame('TSRC', metadata.isrc));
+        if (metadata.bpm) frames.push(textFrame('TBPM', String(Math.round(metadata.bpm))));
+        if (metadata.key) frames.push(textFrame('TKEY', this.formatKey(metadata.key)));
+        if (metadata.upc) {
+            // User-defined text frame: description, null terminator, value
+            frames.push(textFrame('TXXX', `BARCODE\u0000${metadata.upc}`));
+        }
+        frames.push(textFrame('TSSE', 'Studio Buddy Web'));
+
+        const frameBytes = frames.reduce((total, frame) => total + 10 + frame.body.length, 0);
+        const bytes = new Uint8Array(10 + frameBytes);
+        bytes.set([0x49, 0x44, 0x33, 3, 0, 0]);   // "ID3", v2.3.0, no flags
+        for (let i = 0; i < 4; i++) {
+            bytes[6 + i] = (frameBytes >> (7 * (3 - i))) & 0x7F;   // syncsafe size
+        }
+
+        let offset = 10;
+        frames.forEach(frame => {
+            for (let i = 0; i < 4; i++) bytes[offset + i] = frame.id.charCodeAt(i);
+            const size = frame.body.length;
+            bytes.set([(size >>> 24) & 0xFF, (size >> 16) & 0xFF, (size >> 8) & 0xFF, size & 0xFF], offset + 4);
+            bytes.set(frame.body, offset + 10);
+            offset += 10 + size;
+        });
+        return bytes;
+    }
+
+    createVorbisComment(metadata) {
+        // FLAC VORBIS_COMMENT block body: little-endian lengths and UTF-8 FIELD=value pairs
+        const encoder = new TextEncoder();
+        const vendor = encoder.encode('Studio Buddy Web');
+        const comments = this.getMetadataFields(metadata)
+            .map(([field, value]) => encoder.encode(`${field}=${value}`));
+
+        const size = 8 + vendor.length + comments.reduce((total, comment) => total + 4 + comment.length, 0);
+        const bytes = new Uint8Array(size);
+        const view = new DataView(bytes.buffer);
+
+        view.setUint32(0, vendor.length, true);
+        bytes.set(vendor, 4);
+        let offset = 4 + vendor.length;
+        view.setUint32(offset, comments.length, true);
+        offset += 4;
+        comments.forEach(comment => {
+            view.setUint32(offset, comment.length, true);
+            bytes.set(comment, offset + 4);
+            offset += 4 + comment.length;
+        });
+        return bytes;
+    }
+
+    getMetadataFields(metadata) {
+        // Field names follow the Vorbis comment conventions taggers (MusicBrainz Picard, foobar2000) read
+        return [
+            ['TITLE', metadata.title],
+            ['ARTIST', metadata.artist],
+            ['ISRC', metadata.isrc],
+            ['BARCODE', metadata.upc],
+            ['BPM', metadata.bpm ? String(Math.round(metadata.bpm)) : ''],
+            ['INITIALKEY', metadata.key ? this.formatKey(metadata.key) : '']
+        ].filter(([, value]) => value);
+    }
+
+    formatKey(key) {
+        // "A minor" / "F# Major" / "Bbm" → the short form ID3 TKEY expects ("Am", "F#", "Bbm")
+        const match = String(key).trim().match(/^([A-Ga-g])\s*([#♯b♭]?)\s*(m(?:in(?:or)?)?|maj(?:or)?)?$/i);
+        if (!match) return String(key).trim();
+
+        const accidental = match[2] === '♯' ? '#' : (match[2] === '♭' ? 'b' : match[2]);
+        const minor = match[3] && /^m(in(or)?)?$/i.test(match[3]);
+        return `${match[1].toUpperCase()}${accidental}${minor ? 'm' : ''}`;
+    }
+
+    encodeFlac(samples, sampleRate, bits, metadata) {
+        // Fixed-predictor FLAC (orders 0-4) with partitioned Rice residuals and stereo decorrelation
+        const numberOfChannels = samples.length;
+        const length = samples[0].length;
+        const blockSize = this.flacBlockSize;
+        const writer = new FlacBitWriter(Math.max(1024, Math.ceil(length * numberOfChannels * bits / 8 / 2)));
+
+        writer.writeString('fLaC');
+
+        const vorbisComment = metadata ? this.createVorbisComment(metadata) : null;
+
+        // STREAMINFO, MD5 left as zero = not computed
+        writer.writeBits(vorbisComment ? 0 : 1, 1);   // last-metadata-block flag
+        writer.writeBits(0, 7);
+        writer.writeBits(34, 24);
+        writer.writeBits(Math.min(blockSize, length), 16);
+        writer.writeBits(blockSize, 16);
+        writer.writeBits(0, 24);
+        writer.writeBits(0, 24);
+        writer.writeBits(sampleRate, 20);
+        writer.writeBits(numberOfChannels - 1, 3);
+        writer.writeBits(bits - 1, 5);
+        writer.writeBits(Math.floor(length / 0x100000000), 4);
+        writer.writeBits(length >>> 0, 32);
+        for (let i = 0; i < 4; i++) writer.writeBits(0, 32);
+
+        if (vorbisComment) {
+            writer.writeBits(1, 1);
+            writer.writeBits(4, 7);
+            writer.writeBits(vorbisComment.length, 24);
+            vorbisComment.forEach(byte => writer.writeBits(byte, 8));
+        }
+
+        let frameNumber = 0;
+        for (let start = 0; start < length; start += blockSize) {
+            const size = Math.min(blockSize, length - start);
+            const block = samples.map(channelData => channelData.subarray(start, start + size));
+            this.writeFlacFrame(writer, block, frameNumber++, bits, sampleRate);
+        }
+
+        return writer.getBuffer();
+    }
+
+    writeFlacFrame(writer, block, frameNumber, bits, sampleRate) {
+        const size = block[0].length;
+        const rateCode = this.getFlacRateCode(sampleRate);
+        let assignment = block.length - 1;
+        let subframes = block.map(channelData => this.planSubframe(channelData, bits));
+
+        if (block.length === 2) {
+            // Pick the cheapest of left/right, left/side, side/right and mid/side
+            const left = block[0];
+            const right = block[1];
+            const mid = new Int32Array(size);
+            const side = new Int32Array(size);
+            for (let i = 0; i < size; i++) {
+                mid[i] = (left[i] + right[i]) >> 1;
+                side[i] = left[i] - right[i];
+            }
+            const [leftPlan, rightPlan] = subframes;
+            const midPlan = this.planSubframe(mid, bits);
+            const sidePlan = this.planSubframe(side, bits + 1);
+
+            const options = [
+                { assignment: 1, plans: [leftPlan, rightPlan] },
+                { assignment: 8, plans: [leftPlan, sidePlan] },
+                { assignment: 9, plans: [sidePlan, rightPlan] },
+                { assignment: 10, plans: [midPlan, sidePlan] }
+            ];
+            const best = options.reduce((a, b) => (b.plans[0].cost + b.plans[1].cost < a.plans[0].cost + a.plans[1].cost ? b : a));
+            assignment = best.assignment;
+            subframes = best.plans;
+        }
+
+        // Frame header
+        const frameStart = writer.byteLength;
+        writer.writeBits(0x3FFE, 14);                    // sync
+        writer.writeBits(0, 1);
+        writer.writeBits(0, 1);                           // fixed block size
+        writer.writeBits(7, 4);                           // block size - 1 in 16 bits below
+        writer.writeBits(rateCode.code, 4);
+        writer.writeBits(assignment, 4);
+        writer.writeBits(bits === 16 ? 4 : 6, 3);
+        writer.writeBits(0, 1);
+        this.writeUTF8Number(writer, frameNumber);
+        writer.writeBits(size - 1, 16);
+        if (rateCode.bits) writer.writeBits(rateCode.value, rateCode.bits);
+        writer.writeBits(this.crc(this.crc8Table, 8, writer.bytes, frameStart, writer.byteLength), 8);
+
+        subframes.forEach(plan => this.writeSubframe(writer, plan));
+
+        writer.alignToByte();
+        writer.writeBits(this.crc(this.crc16Table, 16, writer.bytes, frameStart, writer.byteLength), 16);
+    }
+
+    getFlacRateCode(sampleRate) {
+        // Frames carry their own rate so streaming decoders can start without STREAMINFO
+        const common = { 88200: 1, 176400: 2, 192000: 3, 8000: 4, 16000: 5, 22050: 6, 24000: 7, 32000: 8, 44100: 9, 48000: 10, 96000: 11 };
+        if (common[sampleRate]) return { code: common[sampleRate] };
+        if (sampleRate % 1000 === 0 && sampleRate <= 255000) return { code: 12, value: sampleRate / 1000, bits: 8 };
+        if (sampleRate <= 65535) return { code: 13, value: sampleRate, bits: 16 };
+        if (sampleRate % 10 === 0 && sampleRate <= 655350) return { code: 14, value: sampleRate / 10, bits: 16 };
+        return { code: 0 };
+    }
+
+    planSubframe(samples, bits) {
+        const size = samples.length;
+        const verbatim = { type: 'verbatim', samples: samples, bits: bits, cost: 8 + size * bits };
+
+        let constant = true;
+        for (let i = 1; i < size && constant; i++) {
+            if (samples[i] !== samples[0]) constant = false;
+        }
+        if (constant) {
+            return { type: 'constant', samples: samples, bits: bits, cost: 8 + bits };
+        }
+
+        // Choose the fixed predictor order with the smallest absolute residual sum
+        const maxOrder = Math.min(4, size - 1);
+        const totals = new Float64Array(5);
+        for (let i = maxOrder; i < size; i++) {
+            const e0 = samples[i];
+            const e1 = e0 - samples[i - 1];
+            const e2 = maxOrder >= 2 ? e1 - (samples[i - 1] - samples[i - 2]) : 0;
+            const e3 = maxOrder >= 3 ? e2 - (samples[i - 1] - 2 * samples[i - 2] + samples[i - 3]) : 0;
+            const e4 = maxOrder >= 4 ? e3 - (samples[i - 1] - 3 * samples[i - 2] + 3 * samples[i - 3] - samples[i - 4]) : 0;
+            totals[0] += Math.abs(e0);
+            totals[1] += Math.abs(e1);
+            totals[2] += Math.abs(e2);
+            totals[3] += Math.abs(e3);
+            totals[4] += Math.abs(e4);
+        }
+        let order = 0;
+        for (let candidate = 1; candidate <= maxOrder; candidate++) {
+            if (totals[candidate] < totals[order]) order = candidate;
+        }
+
+        const residual = new Float64Array(size - order);
+        for (let i = order; i < size; i++) {
+            let prediction = 0;
+            if (order === 1) prediction = samples[i - 1];
+            else if (order === 2) prediction = 2 * samples[i - 1] - samples[i - 2];
+            else if (order === 3) prediction = 3 * samples[i - 1] - 3 * samples[i - 2] + samples[i - 3];
+            else if (order === 4) prediction = 4 * samples[i - 1] - 6 * samples[i - 2] + 4 * samples[i - 3] - samples[i - 4];
+            residual[i - order] = samples[i] - prediction;
+        }
+
+        const rice = this.planRice(residual, size, order);
+        const fixed = {
+            type: 'fixed',
+            samples: samples,
+            bits: bits,
+            order: order,
+            residual: residual,
+            rice: rice,
+            cost: 8 + order * bits + rice.cost
+        };
+
+        return fixed.cost < verbatim.cost ? fixed : verbatim;
+    }
+
+    planRice(residual, blockSize, order) {
+        // Sum the zigzag-folded residual over the finest partitions, then merge pairs upwards
+        // and keep the partition order with the cheapest estimated size
+        let finestOrder = 0;
+        while (finestOrder < 8 && blockSize % (2 << finestOrder) === 0 && blockSize / (2 << finestOrder) > order) {
+            finestOrder++;
+        }
+
+        const partitionSize = blockSize >> finestOrder;
+        let sums = new Float64Array(1 << finestOrder);
+        let counts = new Float64Array(1 << finestOrder);
+        for (let i = 0; i < residual.length; i++) {
+            const partition = Math.floor((i + order) / partitionSize);
+            sums[partition] += residual[i] >= 0 ? residual[i] * 2 : -residual[i] * 2 - 1;
+            counts[partition]++;
+        }
+
+        let best = null;
+        for (let partitionOrder = finestOrder; partitionOrder >= 0; partitionOrder--) {
+            const parameters = [];
+            let cost = 2 + 4;
+            for (let partition = 0; partition < sums.length; partition++) {
+                const choice = this.chooseRiceParameter(sums[partition], counts[partition]);
+                parameters.push(choice.parameter);
+                cost += choice.cost;
+            }
+
+            if (!best || cost < best.cost) {
+                best = { partitionOrder: partitionOrder, parameters: parameters, cost: cost };
+            }
+
+            if (partitionOrder > 0) {
+                const mergedSums = new Float64Array(sums.length / 2);
+                const mergedCounts = new Float64Array(sums.length / 2);
+                for (let partition = 0; partition < mergedSums.length; partition++) {
+                    mergedSums[partition] = sums[partition * 2] + sums[partition * 2 + 1];
+                    mergedCounts[partition] = counts[partition * 2] + counts[partition * 2 + 1];
+                }
+                sums = mergedSums;
+                counts = mergedCounts;
+            }
+        }
+
+        // 4-bit parameters top out at 14; wide 24-bit residuals need the 5-bit variant
+        const maxParameter = Math.max(...best.parameters);
+        best.method = maxParameter > 14 ? 1 : 0;
+        best.cost += best.method * best.parameters.length;
+        return best;
+    }
+
+    chooseRiceParameter(sum, count) {
+        // Size estimate from the partition sum alone: unary part ≈ sum / 2^k, plus k + 1 bits per sample
+        const mean = count > 0 ? sum / count : 0;
+        const estimate = mean > 1 ? Math.floor(Math.log2(mean)) : 0;
+        let best = null;
+
+        for (let parameter = Math.max(0, estimate - 1); parameter <= Math.min(30, estimate + 1); parameter++) {
+            const cost = 4 + count * (parameter + 1) + Math.floor(sum / Math.pow(2, parameter));
+            if (!best || cost < best.cost) {
+                best = { parameter: parameter, cost: cost };
+            }
+        }
+        return best;
+    }
+
+    writeSubframe(writer, plan) {
+        writer.writeBits(0, 1);
+        if (plan.type === 'constant') {
+            writer.writeBits(0, 6);
+            writer.writeBits(0, 1);
+            writer.writeSigned(plan.samples[0], plan.bits);
+            return;
+        }
+
+        if (plan.type === 'verbatim') {
+            writer.writeBits(1, 6);
+            writer.writeBits(0, 1);
+            for (let i = 0; i < plan.samples.length; i++) {
+                writer.writeSigned(plan.samples[i], plan.bits);
+            }
+            return;
+        }
+
+        writer.writeBits(8 | plan.order, 6);
+        writer.writeBits(0, 1);
+        for (let i = 0; i < plan.order; i++) {
+            writer.writeSigned(plan.samples[i], plan.bits);
+        }
+
+        const rice = plan.rice;
+        const parameterBits = rice.method === 1 ? 5 : 4;
+        const partitionSize = plan.samples.length >> rice.partitionOrder;
+        writer.writeBits(rice.method, 2);
+        writer.writeBits(rice.partitionOrder, 4);
+
+        let offset = 0;
+        rice.parameters.forEach((parameter, partition) => {
+            const count = partition === 0 ? partitionSize - plan.order : partitionSize;
+            writer.writeBits(parameter, parameterBits);
+            for (let i = offset; i < offset + count; i++) {
+                writer.writeRice(plan.residual[i], parameter);
+            }
+            offset += count;
+        });
+    }
+
+    writeUTF8Number(writer, value) {
+        // FLAC frame numbers use the UTF-8 length-prefix scheme
+        if (value < 0x80) {
+            writer.writeBits(value, 8);
+            return;
+        }
+        let continuation = 1;
+        while (value >= Math.pow(2, 6 * continuation + (6 - continuation))) continuation++;
+
+        const lead = (0xFF00 >> (continuation + 1)) & 0xFF;
+        writer.writeBits(lead | Math.floor(value / Math.pow(2, 6 * continuation)), 8);
+        for (let i = continuation - 1; i >= 0; i--) {
+            writer.writeBits(0x80 | (Math.floor(value / Math.pow(2, 6 * i)) & 0x3F), 8);
+        }
+    }
+
+    createCRCTable(polynomial, width) {
+        const table = new Uint16Array(256);
+        const topBit = 1 << (width - 1);
+        const mask = (1 << width) - 1;
+        for (let byte = 0; byte < 256; byte++) {
+            let crc = byte << (width - 8);
+            for (let bit = 0; bit < 8; bit++) {
+                crc = crc & topBit ? ((crc << 1) ^ polynomial) & mask : (crc << 1) & mask;
+            }
+            table[byte] = crc;
+        }
+        return table;
+    }
+
+    crc(table, width, bytes, start, end) {
+        const mask = (1 << width) - 1;
+        let crc = 0;
+        for (let i = start; i < end; i++) {
+            crc = width === 8 ?
+                table[crc ^ bytes[i]] :
+                ((crc << 8) ^ table[((crc >> 8) ^ bytes[i]) & 0xFF]) & mask;
+        }
+        return crc;
+    }
+
+    besselI0(x) {
+        let sum = 1;
+        let term = 1;
+        for (let k = 1; k < 50; k++) {
+            term *= (x / (2 * k)) * (x / (2 * k));
+            sum += term;
+            if (term < sum * 1e-12) break;
+        }
+        return sum;
+    }
+
+    gcd(a, b) {
+        while (b) {
+            [a, b] = [b, a % b];
+        }
+        return a;
+    }
+}
+
+// Big-endian bit packer for the FLAC bitstream
+class FlacBitWriter {
+    constructor(initialSize) {
+        this.bytes = new Uint8Array(initialSize);
+        this.byteLength = 0;
+        this.accumulator = 0;
+        this.pendingBits = 0;
+    }
+
+    writeBits(value, count) {
+        if (count > 24) {
+            // Keep the accumulator inside 32 bits
+            const high = Math.floor(value / Math.pow(2, count - 16));
+            this.writeBits(high & 0xFFFF, 16);
+            this.writeBits(value % Math.pow(2, count - 16), count - 16);
+            return;
+        }
+
+        this.accumulator = (this.accumulator << count) | (value & ((1 << count) - 1));
+        this.pendingBits += count;
+        while (this.pendingBits >= 8) {
+            this.pendingBits -= 8;
+            this.pushByte((this.accumulator >>> this.pendingBits) & 0xFF);
+        }
+        this.accumulator &= (1 << this.pendingBits) - 1;
+    }
+
+    writeSigned(value, count) {
+        this.writeBits(value < 0 ? value + Math.pow(2, count) : value, count);
+    }
+
+    writeRice(value, parameter) {
+        const folded = value >= 0 ? value * 2 : -value * 2 - 1;
+        let quotient;
+        let remainder;
+        if (folded < 0x80000000) {
+            quotient = folded >>> parameter;
+            remainder = folded & ((1 << parameter) - 1);
+        } else {
+            const divisor = Math.pow(2, parameter);
+            quotient = Math.floor(folded / divisor);
+            remainder = folded - quotient * divisor;
+        }
+
+        while (quotient >= 24) {
+            this.writeBits(0, 24);
+            quotient -= 24;
+        }
+        this.writeBits(1, quotient + 1);
+        if (parameter > 0) {
+            this.writeBits(remainder, parameter);
+        }
+    }
+
+    writeString(text) {
+        for (let i = 0; i < text.length; i++) {
+            this.writeBits(text.charCodeAt(i), 8);
+        }
+    }
+
+    alignToByte() {
+        if (this.pendingBits > 0) {
+            this.writeBits(0, 8 - this.pendingBits);
+        }
+    }
+
+    pushByte(byte) {
+        if (this.byteLength === this.bytes.length) {
+            const grown = new Uint8Array(this.bytes.length * 2);
+            grown.set(this.bytes);
+            this.bytes = grown;
+        }
+        this.bytes[this.byteLength++] = byte;
+    }
+
+    getBuffer() {
+        this.alignToByte();
+        return this.bytes.slice(0, this.byteLength).buffer;
+    }
+}
@@ -1,19 +1,45 @@
 // Audio Processing Engine for Studio Buddy Web
 // Implements Matchering-style mastering algorithm in JavaScript
 
+// Which part of each reference is analysed (see getReferenceRegion)
+const REFERENCE_REGION_MODES = {
+    full: 'Whole track',
+    loudest: 'Loudest section',
+    manual: 'Selected region'
+};
+
+const DEFAULT_REFERENCE_REGION_LENGTH = 15; // s, for 'loudest'
+
+// Marks a saved reference profile (see createReferenceProfile), which can stand in for a reference track
+const REFERENCE_PROFILE_TYPE = 'studio-buddy-reference-profile';
+
 class AudioProcessor {
     constructor(audioContext) {
         this.audioContext = audioContext;
         this.sampleRate = audioContext.sampleRate;
+        this.loudnessMeter = new LoudnessMeter(this.sampleRate);
+        this.fftCache = {};
+        this.windowCache = {};
+        
+        // Optional progress callback: (percent, stage) => void
+        this.onProgress = null;
+    }
+
+    reportProgress(percent, stage) {
+        if (this.onProgress) {
+            this.onProgress(Math.round(percent), stage);
+        }
     }
 
-    async matcheringMaster(sourceBuffer, referenceBuffer, settings) {
+    async matcheringMaster(sourceBuffer, references, settings) {
         console.log('🎯 Starting Matchering-style mastering...');
         
         try {
-            // Step 1: Analyze reference track
-            const referenceAnalysis = await this.analyzeReference(referenceBuffer);
+            // Step 1: Analyze the reference track(s) into one target
+            this.reportProgress(0, 'Analyzing reference...');
+            const referenceAnalysis = await this.analyzeReference(references, settings);
             console.log('📊 Reference analysis complete');
+            this.reportProgress(10, 'Reference analysis complete');
             
             // Step 2: Apply iterative Matchering correction
             const masteredBuffer = await this.applyIterativeMatchering(
@@ -22,6 +48,8 @@ class AudioProcessor {
                 settings
             );
             
+            this.lastReport = this.createMasteringReport('reference', sourceBuffer, masteredBuffer, referenceAnalysis, settings);
+            
             console.log('✅ Matchering mastering complete');
             return masteredBuffer;
         } catch (error) {
@@ -35,8 +63,10 @@ class AudioProcessor {
         
         try {
             // Create target reference based on intelligent analysis
+            this.reportProgress(0, 'Analyzing source...');
             const sourceAnalysis = await this.analyzeSource(sourceBuffer);
-            const targetReference = this.createIntelligentTarget(sourceAnalysis);
+            const targetReference = this.createIntelligentTarget(sourceAnalysis, settings.deliveryProfile);
+            this.reportProgress(10, 'Source analysis complete');
             
             // Apply mastering using the intelligent target
             const masteredBuffer = await this.applyIterativeMatchering(
@@ -45,6 +75,8 @@ class AudioProcessor {
                 settings
             );
             
+            this.lastReport = this.createMasteringReport('intelligent', sourceBuffer, masteredBuffer, targetReference, settings);
+            
             console.log('✅ Intelligent mastering complete');
             return masteredBuffer;
         } catch (error) {
@@ -53,51 +85,415 @@ class AudioProcessor {
         }
     }
 
-    async analyzeReference(referenceBuffer) {
+    async analyzeReference(references, settings = {}) {
+        // One AudioBuffer or saved profile, or a weighted blend: [{ buffer | profile, weight, name, analysis }]
+        return this.combineReferenceTracks(await this.prepareReferenceTracks(references, settings));
+    }
+
+    async prepareReferenceTracks(references, settings = {}) {
+        // Normalised list with an analysis of each reference's section. An analysis from
+        // analyzeReferenceSection is reused when it was measured on the same section
+        const tracks = this.normalizeReferences(references);
+        if (tracks.length === 0) {
+            throw new Error('No reference tracks to match');
+        }
+        
+        for (const track of tracks) {
+            if (track.profile) {
+                // Saved profiles have no audio; their stored analysis is the section they were saved from
+                track.analysis = this.createProfileAnalysis(track.profile, settings);
+            } else if (!track.analysis || track.analysis.regionKey !== this.getReferenceRegionKey(settings, track.region)) {
+                track.analysis = await this.analyzeReferenceSection(track.buffer, settings, track.region);
+            } else if (settings.multibandCompression && !track.analysis.bandDynamics) {
+                const section = this.sliceRegion(track.buffer, track.analysis.region);
+                track.analysis = Object.assign({}, track.analysis, {
+                    bandDynamics: this.analyzeBandDynamics(section, settings.multibandPreset)
+                });
+            }
+        }
+        return tracks;
+    }
+
+    combineReferenceTracks(tracks) {
+        if (tracks.length === 1) {
+            return Object.assign({}, tracks[0].analysis, {
+                references: [{ name: tracks[0].name, weight: 1, region: tracks[0].analysis.region || null }]
+            });
+        }
+        
+        const analysis = this.combineReferenceAnalyses(tracks);
+        console.log(`🎯 Blending ${tracks.length} references: ` +
+            analysis.references.map(reference => `${reference.name} ${Math.round(reference.weight * 100)}%`).join(', '));
+        return analysis;
+    }
+
+    async analyzeReferenceSection(referenceBuffer, settings = {}, selection = null) {
+        // Only the chosen section is analysed, so quiet intros and outros don't drag the target down.
+        // selection: this reference's own { start, end }, for the 'manual' mode
+        const region = this.getReferenceRegion(referenceBuffer, settings, selection);
+        if (region) {
+            console.log(`✂️ Reference section ${region.start.toFixed(1)}-${region.end.toFixed(1)} s`);
+        }
+        
+        const analysis = await this.analyzeReferenceTrack(this.sliceRegion(referenceBuffer, region), settings);
+        analysis.region = region;
+        analysis.regionKey = this.getReferenceRegionKey(settings, selection);
+        return analysis;
+    }
+
+    getReferenceRegionKey(settings, selection = null) {
+        const mode = settings.referenceRegion || 'full';
+        if (mode === 'loudest') return `loudest:${settings.referenceRegionLength}`;
+        if (mode === 'manual' && selection) return `manual:${selection.start}-${selection.end}`;
+        return 'full';
+    }
+
+    getReferenceRegion(audioBuffer, settings, selection = null) {
+        // { start, end } in seconds, or null for the whole file.
+        //   referenceRegion: 'full', 'loudest' (the loudest referenceRegionLength seconds) or
+        //   'manual' (the reference's own selection, clipped to the file; no selection is the whole file)
+        const mode = settings.referenceRegion || 'full';
+        const duration = audioBuffer.length / audioBuffer.sampleRate;
+        let region = null;
+        
+        if (mode === 'loudest' && settings.referenceRegionLength > 0) {
+            const channels = [];
+            for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+                channels.push(audioBuffer.getChannelData(channel));
+            }
+            region = new LoudnessMeter(audioBuffer.sampleRate).findLoudestSection(channels, settings.referenceRegionLength);
+        } else if (mode === 'manual' && selection) {
+            region = {
+                start: Math.max(0, Math.min(selection.start, duration)),
+                end: Math.max(0, Math.min(selection.end, duration))
+            };
+        }
+        
+        // Anything under a second is too short to measure loudness or spectrum on
+        if (!region || !(region.end - region.start >= 1) || (region.start === 0 && region.end >= duration)) {
+            return null;
+        }
+        return region;
+    }
+
+    sliceRegion(audioBuffer, region) {
+        if (!region) return audioBuffer;
+        
+        const start = Math.floor(region.start * audioBuffer.sampleRate);
+        const end = Math.min(audioBuffer.length, Math.ceil(region.end * audioBuffer.sampleRate));
+        const section = this.audioContext.createBuffer(audioBuffer.numberOfChannels, end - start, audioBuffer.sampleRate);
+        for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+            section.getChannelData(channel).set(audioBuffer.getChannelData(channel).subarray(start, end));
+        }
+        return section;
+    }
+
+    normalizeReferences(references) {
+        if (!references) return [];
+        const list = Array.isArray(references) ? references : [references];
+        
+        return list
+            .map(reference => (reference.getChannelData ? { buffer: reference } :
+                (reference.type === REFERENCE_PROFILE_TYPE ? { profile: reference } : reference)))
+            .filter(reference => reference && (reference.buffer || reference.profile) && !(reference.weight <= 0))
+            .map((reference, index) => ({
+                buffer: reference.buffer || null,
+                profile: reference.profile || null,
+                weight: isFinite(reference.weight) ? reference.weight : 1,
+                name: reference.name || (reference.profile && reference.profile.name) || `Reference ${index + 1}`,
+                region: reference.region || null,
+                analysis: reference.analysis || null
+            }));
+    }
+
+    createReferenceProfile(referenceBuffer, analysis, name) {
+        // A reference's analysis without its audio, as plain JSON-safe data. Band levels are
+        // measured for every multiband preset now, since the audio won't be around later
+        const section = this.sliceRegion(referenceBuffer, analysis.region);
+        const bandDynamics = {};
+        for (const presetId of Object.keys(MULTIBAND_PRESETS)) {
+            bandDynamics[presetId] = this.analyzeBandDynamics(section, presetId);
+        }
+        
+        // JSON and Firestore have no Infinity (silence measures -Infinity LUFS)
+        const number = (value) => (typeof value === 'number' && isFinite(value) ? value : null);
+        const numbers = (object) => {
+            const result = {};
+            for (const [key, value] of Object.entries(object || {})) result[key] = number(value);
+            return result;
+        };
+        
+        return {
+            type: REFERENCE_PROFILE_TYPE,
+            name: name,
+            duration: referenceBuffer.length / referenceBuffer.sampleRate,
+            sampleRate: referenceBuffer.sampleRate,
+            numberOfChannels: referenceBuffer.numberOfChannels,
+            region: analysis.region || null,
+            analysis: {
+                rms: number(analysis.rms),
+                peak: number(analysis.peak),
+                lufs: number(analysis.lufs),
+                truePeak: number(analysis.truePeak),
+                loudnessRange: number(analysis.loudnessRange),
+                shortTermMax: number(analysis.shortTermMax),
+                momentaryMax: number(analysis.momentaryMax),
+                frequencyResponse: numbers(analysis.frequencyResponse),
+                averageSpectrum: {
+                    sampleRate: analysis.averageSpectrum.sampleRate,
+                    fftSize: analysis.averageSpectrum.fftSize,
+                    // Six significant digits is far below audible EQ precision and halves the file
+                    magnitudes: Array.from(analysis.averageSpectrum.magnitudes, value => Number(value.toPrecision(6)))
+                },
+                psychoacousticProfile: numbers(analysis.psychoacousticProfile),
+                dynamicRange: number(analysis.dynamicRange),
+                stereoWidth: number(analysis.stereoWidth),
+                midSide: analysis.midSide ? {
+                    midRMS: number(analysis.midSide.midRMS),
+                    sideRMS: number(analysis.midSide.sideRMS),
+                    sideToMid: number(analysis.midSide.sideToMid),
+                    bands: numbers(analysis.midSide.bands)
+                } : null
+            },
+            bandDynamics: bandDynamics
+        };
+    }
+
+    createProfileAnalysis(profile, settings = {}) {
+        // Back from stored form: nulls were non-finite levels, and band targets come from the
+        // preset currently selected
+        const stored = profile.analysis;
+        const level = (value) => (typeof value === 'number' ? value : -Infinity);
+        const bandDynamics = profile.bandDynamics || {};
+        const presetId = MULTIBAND_PRESETS[settings.multibandPreset] ? settings.multibandPreset : DEFAULT_MULTIBAND_PRESET;
+        
+        return Object.assign({}, stored, {
+            lufs: level(stored.lufs),
+            truePeak: level(stored.truePeak),
+            shortTermMax: level(stored.shortTermMax),
+            momentaryMax: level(stored.momentaryMax),
+            loudnessRange: typeof stored.loudnessRange === 'number' ? stored.loudnessRange : 0,
+            averageSpectrum: {
+                sampleRate: stored.averageSpectrum.sampleRate,
+                fftSize: stored.averageSpectrum.fftSize,
+                magnitudes: Float32Array.from(stored.averageSpectrum.magnitudes)
+            },
+            bandDynamics: settings.multibandCompression ?
+                bandDynamics[presetId] || null : null,
+            region: profile.region || null,
+            regionKey: null
+        });
+    }
+
+    combineReferenceAnalyses(tracks) {
+        // Levels are averaged in dB and spectra after normalising their power, so a louder
+        // reference weighs in by its weight rather than its level
+        const total = tracks.reduce((sum, track) => sum + track.weight, 0);
+        const weights = tracks.map(track => track.weight / total);
+        const analyses = tracks.map(track => track.analysis);
+        
+        const mean = (getValue) => this.weightedMean(analyses.map(getValue), weights);
+        const meanObject = (getObject) => {
+            const objects = analyses.map(getObject);
+            const result = {};
+            for (const key of Object.keys(objects[0] || {})) {
+                result[key] = this.weightedMean(objects.map(object => (object ? object[key] : undefined)), weights);
+            }
+            return result;
+        };
+        const toDb = (value) => 20 * Math.log10(value + 1e-10);
+        
+        // Mono references have no mid/side balance; the rest share the weight
+        const withMidSide = analyses.some(analysis => analysis.midSide);
+        
+        return {
+            rms: Math.pow(10, mean(analysis => toDb(analysis.rms)) / 20),
+            peak: Math.pow(10, mean(analysis => toDb(analysis.peak)) / 20),
+            lufs: mean(analysis => analysis.lufs),
+            truePeak: mean(analysis => analysis.truePeak),
+            loudnessRange: mean(analysis => analysis.loudnessRange),
+            shortTermMax: mean(analysis => analysis.shortTermMax),
+            momentaryMax: mean(analysis => analysis.momentaryMax),
+            frequencyResponse: meanObject(analysis => analysis.frequencyResponse),
+            averageSpectrum: this.combineSpectra(analyses.map(analysis => analysis.averageSpectrum), weights),
+            psychoacousticProfile: meanObject(analysis => analysis.psychoacousticProfile),
+            dynamicRange: mean(analysis => analysis.dynamicRange),
+            stereoWidth: mean(analysis => analysis.stereoWidth),
+            midSide: withMidSide ? {
+                midRMS: mean(analysis => (analysis.midSide ? analysis.midSide.midRMS : undefined)),
+                sideRMS: mean(analysis => (analysis.midSide ? analysis.midSide.sideRMS : undefined)),
+                sideToMid: mean(analysis => (analysis.midSide ? analysis.midSide.sideToMid : undefined)),
+                bands: meanObject(analysis => (analysis.midSide ? analysis.midSide.bands : null))
+            } : null,
+            bandDynamics: this.combineBandDynamics(analyses.map(analysis => analysis.bandDynamics), weights),
+            references: tracks.map((track, index) => ({
+                name: track.name,
+                weight: weights[index],
+                region: track.analysis.region || null
+            }))
+        };
+    }
+
+    combineBandDynamics(bandDynamics, weights) {
+        // Band targets only blend when every reference was split at the same crossovers
+        const first = bandDynamics[0];
+        if (!bandDynamics.every(entry => entry && entry.crossovers.join() === first.crossovers.join())) {
+            return null;
+        }
+        
+        return {
+            crossovers: first.crossovers,
+            bands: first.bands.map((band, index) => ({
+                low: band.low,
+                high: band.high,
+                median: this.weightedMean(bandDynamics.map(entry => entry.bands[index].median), weights),
+                loud: this.weightedMean(bandDynamics.map(entry => entry.bands[index].loud), weights)
+            }))
+        };
+    }
+
+    weightedMean(values, weights) {
+        // Skips missing or non-finite values (silent or mono references) and re-normalises the rest
+        let sum = 0;
+        let weightSum = 0;
+        values.forEach((value, index) => {
+            if (typeof value === 'number' && isFinite(value)) {
+                sum += value * weights[index];
+                weightSum += weights[index];
+            }
+        });
+        return weightSum > 0 ? sum / weightSum : NaN;
+    }
+
+    combineSpectra(spectra, weights) {
+        // Power-weighted mean of unit-power spectra, scaled back to the blended level
+        const first = spectra[0];
+        const matchingEQ = new MatchingEQ(first.sampleRate, { fftSize: first.fftSize });
+        const bins = first.fftSize / 2 + 1;
+        const power = new Float64Array(bins);
+        let levelDb = 0;
+        
+        spectra.forEach((spectrum, index) => {
+            const magnitudes = matchingEQ.resampleSpectrum(spectrum);
+            let total = 0;
+            for (let bin = 0; bin < bins; bin++) total += magnitudes[bin] * magnitudes[bin];
+            const mean = total / bins + 1e-20;
+            for (let bin = 0; bin < bins; bin++) {
+                power[bin] += weights[index] * magnitudes[bin] * magnitudes[bin] / mean;
+            }
+            levelDb += weights[index] * 10 * Math.log10(mean);
+        });
+        
+        const scale = Math.pow(10, levelDb / 10);
+        const magnitudes = new Float32Array(bins);
+        for (let bin = 0; bin < bins; bin++) {
+            magnitudes[bin] = Math.sqrt(power[bin] * scale);
+        }
+        return { sampleRate: first.sampleRate, fftSize: first.fftSize, magnitudes: magnitudes };
+    }
+
+    compareWithReference(sourceAnalysis, referenceAnalysis) {
+        // Where the source sits against a reference: source minus reference for each measure
+        const sourceBalance = this.calculateTonalBalance(sourceAnalysis.averageSpectrum);
+        const referenceBalance = this.calculateTonalBalance(referenceAnalysis.averageSpectrum);
+        return {
+            loudness: sourceAnalysis.lufs - referenceAnalysis.lufs,
+            loudnessRange: sourceAnalysis.loudnessRange - referenceAnalysis.loudnessRange,
+            stereoWidth: sourceAnalysis.stereoWidth - referenceAnalysis.stereoWidth,
+            low: sourceBalance.low - referenceBalance.low,
+            mid: sourceBalance.mid - referenceBalance.mid,
+            high: sourceBalance.high - referenceBalance.high
+        };
+    }
+
+    calculateTonalBalance(spectrum) {
+        // Share of the power below 250 Hz, 250 Hz-4 kHz and above 4 kHz, in dB
+        const binWidth = spectrum.sampleRate / spectrum.fftSize;
+        const power = { low: 0, mid: 0, high: 0 };
+        let total = 0;
+        spectrum.magnitudes.forEach((magnitude, bin) => {
+            const frequency = bin * binWidth;
+            const band = frequency < 250 ? 'low' : (frequency < 4000 ? 'mid' : 'high');
+            power[band] += magnitude * magnitude;
+            total += magnitude * magnitude;
+        });
+        
+        const balance = {};
+        for (const band of Object.keys(power)) {
+            balance[band] = 10 * Math.log10((power[band] + 1e-20) / (total + 1e-20));
+        }
+        return balance;
+    }
+
+    async analyzeReferenceTrack(referenceBuffer, settings = {}) {
         console.log('🔍 Analyzing reference track...');
         
         const channelData = referenceBuffer.getChannelData(0);
+        const loudness = this.measureLoudness(referenceBuffer, { truePeak: true });
         const analysis = {
             rms: this.calculateRMS(channelData),
             peak: this.calculatePeak(channelData),
-            lufs: this.calculateLUFS(channelData),
+            lufs: loudness.integrated,
+            truePeak: loudness.truePeakDb,
+            loudnessRange: loudness.loudnessRange,
+            shortTermMax: loudness.shortTermMax,
+            momentaryMax: loudness.momentaryMax,
             frequencyResponse: await this.analyzeFrequencyResponse(referenceBuffer),
+            averageSpectrum: this.analyzeAverageSpectrum(referenceBuffer),
             psychoacousticProfile: this.calculatePsychoacousticProfile(channelData),
             dynamicRange: this.calculateDynamicRange(channelData),
             stereoWidth: referenceBuffer.numberOfChannels > 1 ? 
-                this.calculateStereoWidth(referenceBuffer) : 1.0
+                this.calculateStereoWidth(referenceBuffer) : 1.0,
+            midSide: this.calculateMidSideBalance(referenceBuffer),
+            bandDynamics: settings.multibandCompression ?
+                this.analyzeBandDynamics(referenceBuffer, settings.multibandPreset) : null
         };
         
-        console.log(`📊 Reference RMS: ${analysis.rms.toFixed(4)}, Peak: ${analysis.peak.toFixed(4)}, LUFS: ${analysis.lufs.toFixed(1)}`);
+        console.log(`📊 Reference LUFS: ${analysis.lufs.toFixed(1)}, True Peak: ${analysis.truePeak.toFixed(1)} dBTP, LRA: ${analysis.loudnessRange.toFixed(1)} LU`);
+        if (analysis.midSide) {
+            console.log(`🎧 Reference side-to-mid: ${(20 * Math.log10(analysis.midSide.sideToMid + 1e-10)).toFixed(1)} dB`);
+        }
         return analysis;
     }
 
     async analyzeSource(sourceBuffer) {
         const channelData = sourceBuffer.getChannelData(0);
+        const loudness = this.measureLoudness(sourceBuffer);
         return {
             rms: this.calculateRMS(channelData),
             peak: this.calculatePeak(channelData),
-            lufs: this.calculateLUFS(channelData),
+            lufs: loudness.integrated,
+            loudnessRange: loudness.loudnessRange,
+            shortTermMax: loudness.shortTermMax,
+            momentaryMax: loudness.momentaryMax,
             frequencyResponse: await this.analyzeFrequencyResponse(sourceBuffer),
+            averageSpectrum: this.analyzeAverageSpectrum(sourceBuffer),
             dynamicRange: this.calculateDynamicRange(channelData),
             stereoWidth: sourceBuffer.numberOfChannels > 1 ? 
-                this.calculateStereoWidth(sourceBuffer) : 1.0
+                this.calculateStereoWidth(sourceBuffer) : 1.0,
+            midSide: this.calculateMidSideBalance(sourceBuffer)
         };
     }
 
-    createIntelligentTarget(sourceAnalysis) {
+    createIntelligentTarget(sourceAnalysis, profileId = DEFAULT_DELIVERY_PROFILE) {
         // Create intelligent mastering target based on source characteristics
-        const targetLUFS = -14; // Industry standard
+        const profile = this.getDeliveryProfile(profileId);
         const targetRMS = 0.3; // Professional level
         
+        console.log(`🎯 Delivery profile: ${profile.name} (${profile.integrated} LUFS, ${profile.truePeak} dBTP)`);
+        
         return {
             rms: targetRMS,
-            peak: 0.95, // Safe headroom
-            lufs: targetLUFS,
+            peak: Math.pow(10, profile.truePeak / 20),
+            lufs: profile.integrated,
+            truePeakCeiling: profile.truePeak,
+            deliveryProfile: profileId in DELIVERY_PROFILES ? profileId : DEFAULT_DELIVERY_PROFILE,
             frequencyResponse: this.createBalancedFrequencyTarget(sourceAnalysis.frequencyResponse),
+            averageSpectrum: this.createBalancedSpectrumTarget(sourceAnalysis.averageSpectrum),
             psychoacousticProfile: this.createOptimalPsychoacousticProfile(),
             dynamicRange: Math.max(sourceAnalysis.dynamicRange * 0.8, 6), // Preserve some dynamics
-            stereoWidth: Math.min(sourceAnalysis.stereoWidth * 1.1, 1.4) // Slight widening
+            stereoWidth: Math.min(sourceAnalysis.stereoWidth * 1.1, 1.4), // Slight widening
+            midSide: sourceAnalysis.midSide // Keep the source's own side-to-mid balance
         };
     }
 
@@ -111,39 +507,160 @@ class AudioProcessor {
             sourceBuffer.sampleRate
         );
 
-        // Process each channel
+        // Copy source data to output
         for (let channel = 0; channel < sourceBuffer.numberOfChannels; channel++) {
-            const sourceData = sourceBuffer.getChannelData(channel);
-            const outputData = outputBuffer.getChannelData(channel);
-            
-            // Copy source data to output
-            outputData.set(sourceData);
-            
+            outputBuffer.getChannelData(channel).set(sourceBuffer.getChannelData(channel));
+        }
+
+        this.lastMatchingEQ = null;
+        this.lastMasterLoudness = null;
+        this.lastCompressionReport = [];
+        const stereoMode = this.getStereoMode(outputBuffer, settings);
+        const groups = this.createProcessingGroups(outputBuffer, referenceAnalysis, stereoMode);
+        console.log(`🎧 Stereo mode: ${stereoMode}`);
+
+        // Iterations span 10-85% of the overall progress
+        const totalPasses = groups.length * 3;
+        let completedPasses = 0;
+
+        for (const group of groups) {
             // Apply iterative processing (3 gentle passes)
             for (let iteration = 1; iteration <= 3; iteration++) {
-                console.log(`🔄 Iteration ${iteration}/3`);
+                console.log(`🔄 ${group.label} - iteration ${iteration}/3`);
                 
-                await this.applyIterationPass(
-                    outputData,
-                    referenceAnalysis,
+                const compressorGainReduction = await this.applyIterationPass(
+                    group.channels,
+                    group.target,
                     settings,
                     iteration
                 );
+                
+                // Multiband compression replaces the per-pass compressor and runs once, after the last pass
+                if (iteration === 3 && settings.multibandCompression) {
+                    const bands = await this.applyMultibandCompression(group.channels, group.target, settings);
+                    this.lastCompressionReport.push({ group: group.label, type: 'multiband', bands: bands });
+                } else if (!settings.multibandCompression) {
+                    this.lastCompressionReport.push({
+                        group: group.label,
+                        type: 'single-band',
+                        iteration: iteration,
+                        maxGainReduction: compressorGainReduction
+                    });
+                }
+                
+                completedPasses++;
+                this.reportProgress(
+                    10 + 75 * completedPasses / totalPasses,
+                    `${group.label} - pass ${iteration}/3`
+                );
             }
         }
 
+        if (stereoMode === 'midSide') {
+            this.decodeMidSide(outputBuffer.getChannelData(0), outputBuffer.getChannelData(1));
+        }
+        
+        // Optional colour, off by default and bypassed entirely when disabled
+        if (settings.saturation) {
+            this.applySaturation(outputBuffer, settings);
+        }
+
         // Final limiting and normalization
         await this.applyFinalProcessing(outputBuffer, referenceAnalysis, settings);
         
         return outputBuffer;
     }
 
-    async applyIterationPass(audioData, referenceAnalysis, settings, iteration) {
-        const frameLength = 1024;
-        const overlap = frameLength / 2;
+    getStereoMode(audioBuffer, settings) {
+        // 'linked' (default), 'midSide' or 'independent'; M/S needs exactly two channels
+        const mode = settings.stereoMode || 'linked';
+        if (mode === 'midSide' && audioBuffer.numberOfChannels !== 2) return 'linked';
+        return mode;
+    }
+
+    createProcessingGroups(outputBuffer, referenceAnalysis, stereoMode) {
+        // Each group shares one set of gains, EQ and compressor envelope
+        const channels = [];
+        for (let channel = 0; channel < outputBuffer.numberOfChannels; channel++) {
+            channels.push(outputBuffer.getChannelData(channel));
+        }
         
-        // Calculate current metrics
-        const currentRMS = this.calculateRMS(audioData);
+        if (stereoMode === 'independent') {
+            return channels.map((channelData, channel) => ({
+                label: `Channel ${channel + 1}/${channels.length}`,
+                channels: [channelData],
+                target: referenceAnalysis
+            }));
+        }
+        
+        if (stereoMode !== 'midSide') {
+            return [{ label: 'Linked', channels: channels, target: referenceAnalysis }];
+        }
+        
+        // Mid/side: measure the source balance before encoding, then give M and S their own targets
+        const sourceBalance = this.calculateMidSideBalance(outputBuffer);
+        const referenceBalance = referenceAnalysis.midSide || sourceBalance;
+        this.encodeMidSide(channels[0], channels[1]);
+        
+        // Channel RMS ≈ sqrt(M² + S²), so split the channel target between mid and side
+        const sideToMid = referenceBalance.sideToMid;
+        const midRMS = referenceAnalysis.rms / Math.sqrt(1 + sideToMid * sideToMid);
+        
+        const groups = [{
+            label: 'Mid',
+            channels: [channels[0]],
+            target: Object.assign({}, referenceAnalysis, { rms: midRMS })
+        }];
+        
+        // A (near) mono source has no side signal worth matching
+        if (sourceBalance.sideToMid < 0.001) {
+            console.log('🎧 Side signal below -60 dB - leaving it untouched');
+            return groups;
+        }
+        
+        // Side EQ targets are corrections (1.0 = unchanged) towards the reference's side-to-mid balance
+        const sideResponse = {};
+        for (const freq in referenceBalance.bands) {
+            const correction = referenceBalance.bands[freq] / (sourceBalance.bands[freq] + 1e-10);
+            sideResponse[freq] = Math.max(0.5, Math.min(correction, 2.0));
+        }
+        
+        groups.push({
+            label: 'Side',
+            channels: [channels[1]],
+            target: Object.assign({}, referenceAnalysis, {
+                rms: midRMS * sideToMid,
+                frequencyResponse: sideResponse,
+                averageSpectrum: null, // the reference spectrum is measured on M, so S uses band corrections
+                bandDynamics: null, // reference band levels describe the full mix, not S
+                dynamicsThreshold: -12 + 20 * Math.log10(sideToMid + 1e-10)
+            })
+        });
+        
+        return groups;
+    }
+
+    encodeMidSide(left, right) {
+        for (let i = 0; i < left.length; i++) {
+            const mid = (left[i] + right[i]) * 0.5;
+            const side = (left[i] - right[i]) * 0.5;
+            left[i] = mid;
+            right[i] = side;
+        }
+    }
+
+    decodeMidSide(mid, side) {
+        for (let i = 0; i < mid.length; i++) {
+            const left = mid[i] + side[i];
+            const right = mid[i] - side[i];
+            mid[i] = left;
+            side[i] = right;
+        }
+    }
+
+    async applyIterationPass(channels, referenceAnalysis, settings, iteration) {
+        // Calculate current metrics across the whole group so every channel gets the same gain
+        const currentRMS = this.calculateLinkedRMS(channels);
         const targetRMS = referenceAnalysis.rms * Math.pow(10, settings.outputLevel / 20);
         
         console.log(`📊 Iteration ${iteration} - Current RMS: ${currentRMS.toFixed(4)}, Target: ${targetRMS.toFixed(4)}`);
@@ -151,36 +668,55 @@ class AudioProcessor {
         // Step 1: Gentle RMS matching
         if (iteration === 1) {
             const initialGain = Math.min(targetRMS / currentRMS, 2.0);
-            for (let i = 0; i < audioData.length; i++) {
-                audioData[i] *= initialGain;
+            for (const audioData of channels) {
+                for (let i = 0; i < audioData.length; i++) {
+                    audioData[i] *= initialGain;
+                }
             }
         }
         
         // Step 2: Frequency response matching
-        await this.applyFrequencyMatching(audioData, referenceAnalysis, settings, iteration);
+        await this.applyFrequencyMatching(channels, referenceAnalysis, settings, iteration);
         
         // Step 3: Psychoacoustic processing
         if (settings.psychoacousticProcessing) {
-            await this.applyPsychoacousticProcessing(audioData, referenceAnalysis, iteration);
+            await this.applyPsychoacousticProcessing(channels, referenceAnalysis, iteration);
         }
         
         // Step 4: Dynamic range adjustment
-        await this.applyDynamicProcessing(audioData, referenceAnalysis, settings, iteration);
+        let compressorGainReduction = 0;
+        if (!settings.multibandCompression) {
+            compressorGainReduction = await this.applyDynamicProcessing(channels, referenceAnalysis, settings, iteration);
+        }
         
-        // Step 5: Gentle correction
-        const newRMS = this.calculateRMS(audioData);
+        // Step 5: Gentle correction (linear - colour comes only from the optional saturation stage)
+        const newRMS = this.calculateLinkedRMS(channels);
         const correctionRatio = targetRMS / newRMS;
         const gentleCorrection = 1.0 + (correctionRatio - 1.0) * 0.3; // 30% per iteration
         
-        for (let i = 0; i < audioData.length; i++) {
-            const corrected = audioData[i] * gentleCorrection;
-            // Soft saturation to prevent harsh clipping
-            audioData[i] = Math.tanh(corrected * 0.9) * 1.1;
+        for (const audioData of channels) {
+            for (let i = 0; i < audioData.length; i++) {
+                audioData[i] *= gentleCorrection;
+            }
         }
+        
+        return compressorGainReduction;
     }
 
-    async applyFrequencyMatching(audioData, referenceAnalysis, settings, iteration) {
-        if (!referenceAnalysis.frequencyResponse || settings.eqIntensity === 0) {
+    async applyFrequencyMatching(channels, referenceAnalysis, settings, iteration) {
+        if (settings.eqIntensity === 0) {
+            return;
+        }
+        
+        // Full-spectrum FIR matching runs once; later passes only refine level and dynamics
+        if (referenceAnalysis.averageSpectrum) {
+            if (iteration === 1) {
+                this.applySpectrumMatching(channels, referenceAnalysis.averageSpectrum, settings);
+            }
+            return;
+        }
+        
+        if (!referenceAnalysis.frequencyResponse) {
             return;
         }
         
@@ -208,11 +744,27 @@ class AudioProcessor {
             // Limit gain to prevent harshness
             gain = Math.max(0.5, Math.min(gain, 2.0));
             
-            this.applyBandEQ(audioData, band.freq, gain, band.q, this.sampleRate);
+            for (const audioData of channels) {
+                this.applyBandEQ(audioData, band.freq, gain, band.q, this.sampleRate);
+            }
         }
     }
 
-    async applyPsychoacousticProcessing(audioData, referenceAnalysis, iteration) {
+    applySpectrumMatching(channels, targetSpectrum, settings) {
+        console.log('🎛️ Applying matching EQ (linear-phase FIR)...');
+        
+        const matchingEQ = new MatchingEQ(this.sampleRate);
+        const sourceSpectrum = matchingEQ.analyze(channels);
+        const curve = matchingEQ.createCurve(sourceSpectrum, targetSpectrum, settings.eqIntensity);
+        matchingEQ.process(channels, matchingEQ.createKernel(curve));
+        
+        // Keep the first group's curve (linked, mid or left) for the EQ display
+        if (!this.lastMatchingEQ) {
+            this.lastMatchingEQ = matchingEQ.createDisplayData(sourceSpectrum, targetSpectrum, curve);
+        }
+    }
+
+    async applyPsychoacousticProcessing(channels, referenceAnalysis, iteration) {
         console.log(`🧠 Applying psychoacoustic processing (iteration ${iteration})...`);
         
         // Calculate perceptual weights based on human hearing sensitivity
@@ -221,45 +773,43 @@ class AudioProcessor {
         const frameSize = 2048;
         const hopSize = frameSize / 2;
         
-        for (let i = 0; i < audioData.length - frameSize; i += hopSize) {
-            const frame = audioData.slice(i, i + frameSize);
-            const spectrum = this.performFFT(frame);
-            
-            // Apply perceptual weighting
-            for (let bin = 0; bin < spectrum.length / 2; bin++) {
-                const frequency = (bin * this.sampleRate) / frameSize;
-                const weight = this.getPerceptualWeight(frequency, perceptualWeights);
-                
-                // Apply gentle perceptual enhancement
-                const enhancement = 1.0 + (weight - 1.0) * (0.1 / iteration);
-                spectrum[bin] *= enhancement;
-            }
-            
-            // Convert back to time domain (simplified IFFT)
-            const processedFrame = this.performIFFT(spectrum);
-            
-            // Overlap-add
-            for (let j = 0; j < Math.min(processedFrame.length, audioData.length - i); j++) {
-                audioData[i + j] = processedFrame[j];
-            }
+        // Gentle perceptual enhancement per bin, fixed for the whole pass
+        const binGains = new Float32Array(frameSize / 2 + 1);
+        for (let bin = 0; bin <= frameSize / 2; bin++) {
+            const frequency = (bin * this.sampleRate) / frameSize;
+            const weight = this.getPerceptualWeight(frequency, perceptualWeights);
+            binGains[bin] = 1.0 + (weight - 1.0) * (0.1 / iteration);
+        }
+        
+        for (const audioData of channels) {
+            this.applySpectralProcessing(audioData, frameSize, hopSize, (real, imag) => {
+                this.applyBinGains(real, imag, binGains);
+            });
         }
     }
 
-    async applyDynamicProcessing(audioData, referenceAnalysis, settings, iteration) {
+    async applyDynamicProcessing(channels, referenceAnalysis, settings, iteration) {
         console.log(`🎚️ Applying dynamic processing (iteration ${iteration})...`);
         
         const compressionRatio = 1 + (settings.compression - 1) * (0.3 / iteration);
-        const threshold = -12; // dB
+        const threshold = referenceAnalysis.dynamicsThreshold !== undefined ?
+            referenceAnalysis.dynamicsThreshold : -12; // dB
         const attack = 0.003; // 3ms
         const release = 0.1; // 100ms
         
         let envelope = 0;
         const attackCoeff = Math.exp(-1 / (attack * this.sampleRate));
         const releaseCoeff = Math.exp(-1 / (release * this.sampleRate));
+        const length = channels[0].length;
+        let maxGainReduction = 0;
         
-        for (let i = 0; i < audioData.length; i++) {
-            const inputLevel = Math.abs(audioData[i]);
-            const inputLevelDb = 20 * Math.log10(inputLevel + 1e-10);
+        for (let i = 0; i < length; i++) {
+            // Linked detector: the loudest channel drives one envelope for the group
+            let inputLevel = 0;
+            for (const audioData of channels) {
+                const abs = Math.abs(audioData[i]);
+                if (abs > inputLevel) inputLevel = abs;
+            }
             
             // Envelope follower
             if (inputLevel > envelope) {
@@ -275,49 +825,292 @@ class AudioProcessor {
             if (envelopeDb > threshold) {
                 const overThreshold = envelopeDb - threshold;
                 gainReduction = overThreshold * (1 - 1/compressionRatio);
+                if (gainReduction > maxGainReduction) maxGainReduction = gainReduction;
             }
             
             const gain = Math.pow(10, -gainReduction / 20);
-            audioData[i] *= gain;
+            for (const audioData of channels) {
+                audioData[i] *= gain;
+            }
+        }
+        
+        return maxGainReduction;
+    }
+
+    applySaturation(outputBuffer, settings) {
+        const saturator = new Saturator(outputBuffer.sampleRate, {
+            character: settings.saturationCharacter,
+            drive: settings.saturationDrive,
+            mix: settings.saturationMix
+        });
+        console.log(`🔥 Applying ${SATURATION_CHARACTERS[saturator.character]} saturation (${saturator.drive} dB drive, ${Math.round(saturator.mix * 100)}% mix)...`);
+        
+        const channels = [];
+        for (let channel = 0; channel < outputBuffer.numberOfChannels; channel++) {
+            channels.push(outputBuffer.getChannelData(channel));
+        }
+        saturator.process(channels);
+    }
+
+    getMultibandPreset(presetId) {
+        return MULTIBAND_PRESETS[presetId] || MULTIBAND_PRESETS[DEFAULT_MULTIBAND_PRESET];
+    }
+
+    analyzeBandDynamics(audioBuffer, presetId) {
+        const preset = this.getMultibandPreset(presetId);
+        const compressor = new MultibandCompressor(audioBuffer.sampleRate, preset.crossovers);
+        
+        const channels = [];
+        for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+            channels.push(audioBuffer.getChannelData(channel));
         }
+        
+        return {
+            crossovers: compressor.crossovers,
+            bands: compressor.analyze(channels)
+        };
+    }
+
+    async applyMultibandCompression(channels, referenceAnalysis, settings) {
+        console.log('🎚️ Applying multiband compression...');
+        
+        const preset = this.getMultibandPreset(settings.multibandPreset);
+        const compressor = new MultibandCompressor(this.sampleRate, preset.crossovers);
+        const sourceStats = compressor.analyze(channels);
+        
+        // Reference targets only apply when they were measured with the same crossovers
+        const target = referenceAnalysis.bandDynamics;
+        const targetStats = target && target.crossovers.join() === compressor.crossovers.join() ?
+            target.bands : null;
+        
+        const bands = this.createMultibandSettings(sourceStats, targetStats, preset, settings);
+        const report = compressor.process(channels, bands);
+        
+        report.forEach((band, index) => {
+            console.log(`📊 Band ${index + 1} (${Math.round(band.low)}-${Math.round(band.high)} Hz): ` +
+                `${band.threshold.toFixed(1)} dB, ${band.ratio.toFixed(1)}:1, ${band.maxGainReduction.toFixed(1)} dB max GR`);
+        });
+        return report;
+    }
+
+    createMultibandSettings(sourceStats, targetStats, preset, settings) {
+        // The main compression control (1-10, default 3) scales every derived or preset ratio
+        const ratioScale = (settings.compression !== undefined ? settings.compression : 3) / 3;
+        const overrides = settings.multibandOverrides || [];
+        
+        return preset.bands.map((presetBand, band) => {
+            const source = sourceStats[band];
+            let threshold = source.median + presetBand.threshold;
+            let ratio = presetBand.ratio;
+            let makeup = presetBand.makeup;
+            
+            if (targetStats) {
+                // Squeeze the source's median-to-loud spread down to the reference's
+                const sourceSpread = source.loud - source.median;
+                const targetSpread = Math.max(targetStats[band].loud - targetStats[band].median, 1);
+                threshold = source.median;
+                ratio = Math.max(1, Math.min(sourceSpread / targetSpread, 6));
+            }
+            
+            ratio = Math.max(1, 1 + (ratio - 1) * ratioScale);
+            if (targetStats) {
+                // Give back half of the reduction at the loud end
+                makeup = 0.5 * Math.max(0, source.loud - threshold) * (1 - 1 / ratio);
+            }
+            
+            const bandSettings = {
+                threshold: threshold,
+                ratio: ratio,
+                attack: presetBand.attack,
+                release: presetBand.release,
+                makeup: makeup
+            };
+            
+            // Manual overrides win; threshold overrides are absolute dBFS
+            const override = overrides[band] || {};
+            for (const key of Object.keys(bandSettings)) {
+                if (typeof override[key] === 'number' && isFinite(override[key])) {
+                    bandSettings[key] = override[key];
+                }
+            }
+            
+            return bandSettings;
+        });
     }
 
     async applyFinalProcessing(outputBuffer, referenceAnalysis, settings) {
         console.log('🔧 Applying final processing...');
+        this.reportProgress(85, 'Final loudness and limiting...');
         
+        // Stereo width adjustment (before limiting so the ceiling holds)
+        if (outputBuffer.numberOfChannels === 2 && settings.stereoWidth !== 1.0) {
+            this.applyStereoWidth(outputBuffer, settings.stereoWidth);
+        }
+        
+        // Final loudness matching - one gain for all channels keeps the stereo image
+        // A delivery profile fixes the loudness target, so the output level trim only applies to references
+        const currentLUFS = this.measureLoudness(outputBuffer).integrated;
+        const targetLUFS = referenceAnalysis.deliveryProfile ?
+            referenceAnalysis.lufs : referenceAnalysis.lufs + settings.outputLevel;
+        const ceilingDb = referenceAnalysis.truePeakCeiling !== undefined ?
+            referenceAnalysis.truePeakCeiling : 20 * Math.log10(0.95);
+        const ceiling = Math.pow(10, ceilingDb / 20);
+        const finalGain = isFinite(currentLUFS) && isFinite(targetLUFS) ?
+            Math.pow(10, (targetLUFS - currentLUFS) / 20) : 1.0;
+        
+        console.log(`📊 Final loudness: ${currentLUFS.toFixed(1)} LUFS → target ${targetLUFS.toFixed(1)} LUFS`);
+        
+        const channels = [];
         for (let channel = 0; channel < outputBuffer.numberOfChannels; channel++) {
             const audioData = outputBuffer.getChannelData(channel);
             
-            // Final RMS matching
-            const currentRMS = this.calculateRMS(audioData);
-            const targetRMS = referenceAnalysis.rms * Math.pow(10, settings.outputLevel / 20);
-            const finalGain = targetRMS / currentRMS;
-            
             for (let i = 0; i < audioData.length; i++) {
                 audioData[i] *= finalGain;
             }
-            
-            // Brickwall limiting (if enabled)
-            if (settings.enableLimiting) {
-                this.applyBrickwallLimiter(audioData, 0.95);
-            }
-            
-            // Auto-normalize (if enabled)
-            if (settings.autoNormalize) {
-                const peak = this.calculatePeak(audioData);
-                if (peak > 0.95) {
-                    const normalizeGain = 0.95 / peak;
+            channels.push(audioData);
+        }
+        
+        // True-peak limiting (if enabled) - linked across channels
+        this.lastLimiterReport = null;
+        if (settings.enableLimiting) {
+            const limiter = new TruePeakLimiter(outputBuffer.sampleRate, {
+                ceiling: ceilingDb,
+                attack: settings.limiterAttack,
+                release: settings.limiterRelease,
+                lookahead: settings.limiterLookahead
+            });
+            this.lastLimiterReport = limiter.process(channels);
+            console.log(`🧱 Limiter: ${this.lastLimiterReport.maxGainReduction.toFixed(1)} dB max gain reduction at ${ceilingDb.toFixed(1)} dBTP`);
+        }
+        
+        this.reportProgress(95, 'Normalizing...');
+        
+        // Auto-normalize (if enabled) - from the loudest channel, with one gain for all of them so
+        // the balance and the mid/side width stay put
+        if (settings.autoNormalize) {
+            const peak = Math.max(...channels.map(audioData => this.calculatePeak(audioData)));
+            if (peak > ceiling) {
+                const normalizeGain = ceiling / peak;
+                for (const audioData of channels) {
                     for (let i = 0; i < audioData.length; i++) {
                         audioData[i] *= normalizeGain;
                     }
                 }
             }
         }
+    }
+
+    createMasteringReport(mode, sourceBuffer, masteredBuffer, targetAnalysis, settings) {
+        // The master's measurement is kept so the compliance check that follows can reuse it
+        this.lastMasterLoudness = {
+            buffer: masteredBuffer,
+            loudness: this.measureLoudness(masteredBuffer, { truePeak: true })
+        };
+
+        // Plain data only, so the report survives postMessage and JSON export unchanged
+        const report = {
+            generatedAt: new Date().toISOString(),
+            mode: mode,
+            format: {
+                sampleRate: masteredBuffer.sampleRate,
+                channels: masteredBuffer.numberOfChannels,
+                duration: masteredBuffer.length / masteredBuffer.sampleRate
+            },
+            before: this.measureReportMetrics(sourceBuffer),
+            after: this.measureReportMetrics(masteredBuffer, this.lastMasterLoudness.loudness),
+            target: {
+                lufs: targetAnalysis.lufs,
+                truePeak: targetAnalysis.truePeak !== undefined ? targetAnalysis.truePeak : null,
+                loudnessRange: targetAnalysis.loudnessRange !== undefined ? targetAnalysis.loudnessRange : null,
+                references: targetAnalysis.references || null
+            },
+            eq: this.lastMatchingEQ,
+            compression: this.lastCompressionReport,
+            limiter: this.lastLimiterReport ? {
+                ceiling: this.lastLimiterReport.ceiling,
+                maxGainReduction: this.lastLimiterReport.maxGainReduction
+            } : null,
+            settings: Object.assign({}, settings)
+        };
+        
+        if (targetAnalysis.deliveryProfile) {
+            const profile = this.getDeliveryProfile(targetAnalysis.deliveryProfile);
+            report.target.deliveryProfile = targetAnalysis.deliveryProfile;
+            report.target.name = profile.name;
+            report.target.truePeak = profile.truePeak;
+        }
         
-        // Stereo width adjustment
-        if (outputBuffer.numberOfChannels === 2 && settings.stereoWidth !== 1.0) {
-            this.applyStereoWidth(outputBuffer, settings.stereoWidth);
+        return report;
+    }
+
+    measureReportMetrics(audioBuffer, loudness = this.measureLoudness(audioBuffer, { truePeak: true })) {
+        return {
+            integrated: loudness.integrated,
+            truePeak: loudness.truePeakDb,
+            samplePeak: loudness.samplePeakDb,
+            loudnessRange: loudness.loudnessRange,
+            shortTermMax: loudness.shortTermMax,
+            peakToLoudness: loudness.truePeakDb - loudness.integrated,
+            dynamicRange: this.calculateDynamicRange(audioBuffer.getChannelData(0)),
+            stereoWidth: this.calculateStereoWidth(audioBuffer)
+        };
+    }
+
+    getDeliveryProfile(profileId) {
+        return DELIVERY_PROFILES[profileId] || DELIVERY_PROFILES[DEFAULT_DELIVERY_PROFILE];
+    }
+
+    checkDeliveryCompliance(audioBuffer, profileIds = Object.keys(DELIVERY_PROFILES)) {
+        // A master that was just reported on isn't measured again
+        const loudness = this.lastMasterLoudness && this.lastMasterLoudness.buffer === audioBuffer ?
+            this.lastMasterLoudness.loudness : this.measureLoudness(audioBuffer, { truePeak: true });
+        
+        const platforms = profileIds.map(profileId => {
+            const profile = this.getDeliveryProfile(profileId);
+            const loudnessOffset = loudness.integrated - profile.integrated;
+            
+            const checks = {
+                loudness: Math.abs(loudnessOffset) <= profile.tolerance,
+                truePeak: loudness.truePeakDb <= profile.truePeak,
+                loudnessRange: loudness.loudnessRange <= profile.maxLoudnessRange
+            };
+            
+            return {
+                id: profileId,
+                name: profile.name,
+                target: profile.integrated,
+                ceiling: profile.truePeak,
+                loudnessOffset: loudnessOffset,
+                normalizationGain: this.calculateNormalizationGain(loudness, profile),
+                checks: checks,
+                pass: checks.loudness && checks.truePeak && checks.loudnessRange
+            };
+        });
+        
+        return {
+            integrated: loudness.integrated,
+            truePeak: loudness.truePeakDb,
+            loudnessRange: loudness.loudnessRange,
+            platforms: platforms
+        };
+    }
+
+    calculateNormalizationGain(loudness, profile) {
+        // Playback gain (dB) the platform would apply to this master
+        if (!isFinite(loudness.integrated) || profile.normalization === 'none') {
+            return 0;
+        }
+        
+        const gain = profile.integrated - loudness.integrated;
+        if (gain < 0) {
+            return gain;
         }
+        if (profile.normalization === 'down') {
+            return 0;
+        }
+        
+        // Turning up is limited by the headroom left under the true-peak ceiling
+        return Math.max(0, Math.min(gain, profile.truePeak - loudness.truePeakDb));
     }
 
     // Utility methods
@@ -329,6 +1122,16 @@ class AudioProcessor {
         return Math.sqrt(sum / audioData.length);
     }
 
+    calculateLinkedRMS(channels) {
+        let sum = 0;
+        for (const audioData of channels) {
+            for (let i = 0; i < audioData.length; i++) {
+                sum += audioData[i] * audioData[i];
+            }
+        }
+        return Math.sqrt(sum / (channels.length * channels[0].length));
+    }
+
     calculatePeak(audioData) {
         let peak = 0;
         for (let i = 0; i < audioData.length; i++) {
@@ -339,9 +1142,17 @@ class AudioProcessor {
     }
 
     calculateLUFS(audioData) {
-        // Simplified LUFS calculation
-        const rms = this.calculateRMS(audioData);
-        return -23 + 20 * Math.log10(rms + 1e-10);
+        // Integrated loudness (BS.1770-4); accepts one channel or an array of channels
+        const channels = Array.isArray(audioData) ? audioData : [audioData];
+        return this.loudnessMeter.measure(channels).integrated;
+    }
+
+    measureLoudness(audioBuffer, options = {}) {
+        // options.truePeak: see LoudnessMeter.measure - only where dBTP is reported or enforced
+        if (audioBuffer.sampleRate !== this.loudnessMeter.sampleRate) {
+            return new LoudnessMeter(audioBuffer.sampleRate).measureBuffer(audioBuffer, options);
+        }
+        return this.loudnessMeter.measureBuffer(audioBuffer, options);
     }
 
     calculateDynamicRange(audioData) {
@@ -375,6 +1186,78 @@ class AudioProcessor {
         return 1.0 - correlation; // Higher value = wider stereo
     }
 
+    calculateMidSideBalance(audioBuffer) {
+        // Side-to-mid balance overall and per EQ band, averaged over frames spread across the track
+        if (audioBuffer.numberOfChannels < 2) return null;
+        
+        const left = audioBuffer.getChannelData(0);
+        const right = audioBuffer.getChannelData(1);
+        const frameSize = 4096;
+        const frameCount = Math.max(1, Math.min(32, Math.floor(left.length / frameSize)));
+        const frequencies = [60, 120, 250, 500, 1000, 2000, 4000, 8000, 12000];
+        
+        let midSum = 0;
+        let sideSum = 0;
+        for (let i = 0; i < left.length; i++) {
+            const mid = (left[i] + right[i]) * 0.5;
+            const side = (left[i] - right[i]) * 0.5;
+            midSum += mid * mid;
+            sideSum += side * side;
+        }
+        const midRMS = Math.sqrt(midSum / left.length);
+        const sideRMS = Math.sqrt(sideSum / left.length);
+        
+        const midEnergy = new Float64Array(frequencies.length);
+        const sideEnergy = new Float64Array(frequencies.length);
+        const midFrame = new Float32Array(frameSize);
+        const sideFrame = new Float32Array(frameSize);
+        
+        for (let frame = 0; frame < frameCount; frame++) {
+            const start = frameCount > 1 ?
+                Math.floor(frame * (left.length - frameSize) / (frameCount - 1)) : 0;
+            for (let n = 0; n < frameSize; n++) {
+                const index = start + n;
+                const l = index < left.length ? left[index] : 0;
+                const r = index < right.length ? right[index] : 0;
+                midFrame[n] = (l + r) * 0.5;
+                sideFrame[n] = (l - r) * 0.5;
+            }
+            
+            const midSpectrum = this.performFFT(midFrame);
+            const sideSpectrum = this.performFFT(sideFrame);
+            
+            // Octave-wide band around each EQ centre
+            frequencies.forEach((freq, band) => {
+                const lowBin = Math.max(1, Math.floor(freq / Math.SQRT2 * frameSize / audioBuffer.sampleRate));
+                const highBin = Math.min(frameSize / 2 - 1, Math.ceil(freq * Math.SQRT2 * frameSize / audioBuffer.sampleRate));
+                for (let bin = lowBin; bin <= highBin; bin++) {
+                    midEnergy[band] += midSpectrum[bin] * midSpectrum[bin];
+                    sideEnergy[band] += sideSpectrum[bin] * sideSpectrum[bin];
+                }
+            });
+        }
+        
+        const bands = {};
+        frequencies.forEach((freq, band) => {
+            bands[freq] = Math.sqrt(sideEnergy[band] / (midEnergy[band] + 1e-20));
+        });
+        
+        return {
+            midRMS: midRMS,
+            sideRMS: sideRMS,
+            sideToMid: sideRMS / (midRMS + 1e-10),
+            bands: bands
+        };
+    }
+
+    analyzeAverageSpectrum(audioBuffer) {
+        const channels = [];
+        for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+            channels.push(audioBuffer.getChannelData(channel));
+        }
+        return new MatchingEQ(audioBuffer.sampleRate).analyze(channels);
+    }
+
     async analyzeFrequencyResponse(audioBuffer) {
         const audioData = audioBuffer.getChannelData(0);
         const frameSize = 4096;
@@ -483,6 +1366,25 @@ class AudioProcessor {
         return target;
     }
 
+    createBalancedSpectrumTarget(sourceSpectrum) {
+        // Same tonal moves as createBalancedFrequencyTarget, applied to the long-term spectrum
+        const binWidth = sourceSpectrum.sampleRate / sourceSpectrum.fftSize;
+        const magnitudes = sourceSpectrum.magnitudes.map((magnitude, bin) => {
+            const frequency = bin * binWidth;
+            if (frequency < 100) return magnitude * 1.2;   // Bass
+            if (frequency < 500) return magnitude;         // Low-mid natural
+            if (frequency < 2000) return magnitude * 1.1;  // Mids
+            if (frequency < 8000) return magnitude * 1.15; // Presence
+            return magnitude * 1.1;                        // Air
+        });
+        
+        return {
+            sampleRate: sourceSpectrum.sampleRate,
+            fftSize: sourceSpectrum.fftSize,
+            magnitudes: magnitudes
+        };
+    }
+
     createOptimalPsychoacousticProfile() {
         // Create an optimal psychoacoustic profile for mastering
         return {
@@ -534,16 +1436,6 @@ class AudioProcessor {
         }
     }
 
-    applyBrickwallLimiter(audioData, threshold) {
-        for (let i = 0; i < audioData.length; i++) {
-            if (audioData[i] > threshold) {
-                audioData[i] = threshold;
-            } else if (audioData[i] < -threshold) {
-                audioData[i] = -threshold;
-            }
-        }
-    }
-
     applyStereoWidth(audioBuffer, width) {
         if (audioBuffer.numberOfChannels < 2) return;
         
@@ -559,40 +1451,98 @@ class AudioProcessor {
         }
     }
 
-    performFFT(samples) {
-        // Simplified FFT for basic spectrum analysis
-        const N = samples.length;
-        const spectrum = new Float32Array(N);
+    getFFT(size) {
+        if (!this.fftCache[size]) this.fftCache[size] = new FFT(size);
+        return this.fftCache[size];
+    }
+
+    getSqrtHannWindow(size) {
+        // Periodic sqrt-Hann: analysis × synthesis gives a Hann window, COLA at 50% overlap
+        if (!this.windowCache[size]) {
+            const window = new Float32Array(size);
+            for (let n = 0; n < size; n++) {
+                window[n] = Math.sqrt(0.5 - 0.5 * Math.cos(2 * Math.PI * n / size));
+            }
+            this.windowCache[size] = window;
+        }
+        return this.windowCache[size];
+    }
+
+    applySpectralProcessing(audioData, frameSize, hopSize, processFrame) {
+        // Streaming STFT → processFrame(real, imag, frameIndex) → ISTFT with weighted overlap-add
+        const fft = this.getFFT(frameSize);
+        const window = this.getSqrtHannWindow(frameSize);
+        const length = audioData.length;
         
-        for (let k = 0; k < N / 2; k++) {
-            let real = 0, imag = 0;
-            
-            for (let n = 0; n < N; n++) {
-                const angle = -2 * Math.PI * k * n / N;
-                real += samples[n] * Math.cos(angle);
-                imag += samples[n] * Math.sin(angle);
+        const output = new Float32Array(length);
+        const windowSum = new Float32Array(length);
+        const real = new Float32Array(frameSize);
+        const imag = new Float32Array(frameSize);
+        
+        // Start one frame early so every sample is covered by the same number of frames
+        let frameIndex = 0;
+        for (let start = hopSize - frameSize; start < length; start += hopSize) {
+            for (let n = 0; n < frameSize; n++) {
+                const index = start + n;
+                real[n] = index >= 0 && index < length ? audioData[index] * window[n] : 0;
+                imag[n] = 0;
             }
             
-            spectrum[k] = Math.sqrt(real * real + imag * imag) / N;
+            fft.forward(real, imag);
+            processFrame(real, imag, frameIndex++);
+            fft.inverse(real, imag);
+            
+            for (let n = 0; n < frameSize; n++) {
+                const index = start + n;
+                if (index < 0 || index >= length) continue;
+                output[index] += real[n] * window[n];
+                windowSum[index] += window[n] * window[n];
+            }
         }
         
-        return spectrum;
+        for (let i = 0; i < length; i++) {
+            audioData[i] = windowSum[i] > 1e-6 ? output[i] / windowSum[i] : 0;
+        }
     }
 
-    performIFFT(spectrum) {
-        // Simplified IFFT
-        const N = spectrum.length * 2;
-        const samples = new Float32Array(N);
-        
-        for (let n = 0; n < N; n++) {
-            let sum = 0;
-            for (let k = 0; k < spectrum.length; k++) {
-                const angle = 2 * Math.PI * k * n / N;
-                sum += spectrum[k] * Math.cos(angle);
+    applyBinGains(real, imag, binGains) {
+        // Real-valued gains on bins 0..N/2, mirrored so the output stays real
+        const size = real.length;
+        for (let bin = 0; bin <= size / 2; bin++) {
+            const gain = binGains[bin];
+            real[bin] *= gain;
+            imag[bin] *= gain;
+            if (bin > 0 && bin < size / 2) {
+                real[size - bin] *= gain;
+                imag[size - bin] *= gain;
             }
-            samples[n] = sum / spectrum.length;
         }
+    }
+
+    performFFT(samples) {
+        // Magnitude spectrum (normalised by N); input is zero-padded to a power of two
+        const N = FFT.nextPowerOfTwo(samples.length);
+        const real = new Float32Array(N);
+        const imag = new Float32Array(N);
+        real.set(samples);
+        
+        this.getFFT(N).forward(real, imag);
+        
+        const spectrum = new Float32Array(N);
+        for (let k = 0; k < N / 2; k++) {
+            spectrum[k] = Math.sqrt(real[k] * real[k] + imag[k] * imag[k]) / N;
+        }
+        
+        return spectrum;
+    }
+
+    performIFFT(real, imag) {
+        // Complex spectrum back to real time-domain samples (phase preserved)
+        const N = real.length;
+        const re = Float32Array.from(real);
+        const im = Float32Array.from(imag);
         
-        return samples;
+        this.getFFT(N).inverse(re, im);
+        return re;
     }
 }
\ No newline at end of file
@@ -0,0 +1,80 @@
+// Delivery Profiles for Studio Buddy Web
+// Loudness targets for streaming platforms, broadcast and physical release
+//
+// integrated:       target integrated loudness (LUFS)
+// truePeak:         true-peak ceiling (dBTP)
+// tolerance:        allowed deviation from the integrated target (LU)
+// maxLoudnessRange: LRA tolerance (LU)
+// normalization:    how the platform adjusts playback level
+//                   'both' - turns loud masters down and quiet masters up (up limited by peak headroom)
+//                   'down' - only turns loud masters down
+//                   'none' - plays the file as delivered
+
+const DELIVERY_PROFILES = {
+    spotify: {
+        name: 'Spotify',
+        integrated: -14,
+        truePeak: -1,
+        tolerance: 1,
+        maxLoudnessRange: 15,
+        normalization: 'both'
+    },
+    appleMusic: {
+        name: 'Apple Music',
+        integrated: -16,
+        truePeak: -1,
+        tolerance: 1,
+        maxLoudnessRange: 18,
+        normalization: 'both'
+    },
+    youtube: {
+        name: 'YouTube',
+        integrated: -14,
+        truePeak: -1,
+        tolerance: 1,
+        maxLoudnessRange: 15,
+        normalization: 'down'
+    },
+    tidal: {
+        name: 'Tidal',
+        integrated: -14,
+        truePeak: -1,
+        tolerance: 1,
+        maxLoudnessRange: 15,
+        normalization: 'down'
+    },
+    soundcloud: {
+        name: 'SoundCloud',
+        integrated: -14,
+        truePeak: -1,
+        tolerance: 1,
+        maxLoudnessRange: 15,
+        normalization: 'none'
+    },
+    ebuR128: {
+        name: 'Broadcast (EBU R128)',
+        integrated: -23,
+        truePeak: -1,
+        tolerance: 0.5,
+        maxLoudnessRange: 20,
+        normalization: 'both'
+    },
+    atscA85: {
+        name: 'Broadcast (ATSC A/85)',
+        integrated: -24,
+        truePeak: -2,
+        tolerance: 2,
+        maxLoudnessRange: 20,
+        normalization: 'both'
+    },
+    cdClub: {
+        name: 'CD / Club',
+        integrated: -9,
+        truePeak: -0.3,
+        tolerance: 1,
+        maxLoudnessRange: 8,
+        normalization: 'none'
+    }
+};
+
+const DEFAULT_DELIVERY_PROFILE = 'spotify';
@@ -0,0 +1,83 @@
+// FFT for Studio Buddy Web
+// In-place iterative radix-2 complex FFT with precomputed twiddles and bit reversal
+
+class FFT {
+    constructor(size) {
+        if (size < 2 || (size & (size - 1)) !== 0) {
+            throw new Error(`FFT size must be a power of two, got ${size}`);
+        }
+
+        this.size = size;
+
+        // Twiddle factors e^(-2πik/N) for k < N/2
+        this.cosTable = new Float64Array(size / 2);
+        this.sinTable = new Float64Array(size / 2);
+        for (let k = 0; k < size / 2; k++) {
+            this.cosTable[k] = Math.cos(2 * Math.PI * k / size);
+            this.sinTable[k] = -Math.sin(2 * Math.PI * k / size);
+        }
+
+        this.reverseTable = new Uint32Array(size);
+        const bits = Math.log2(size);
+        for (let i = 0; i < size; i++) {
+            let reversed = 0;
+            for (let bit = 0; bit < bits; bit++) {
+                reversed = (reversed << 1) | ((i >> bit) & 1);
+            }
+            this.reverseTable[i] = reversed;
+        }
+    }
+
+    static nextPowerOfTwo(value) {
+        let size = 1;
+        while (size < value) size <<= 1;
+        return size;
+    }
+
+    forward(real, imag) {
+        this.transform(real, imag, false);
+    }
+
+    inverse(real, imag) {
+        this.transform(real, imag, true);
+
+        const scale = 1 / this.size;
+        for (let i = 0; i < this.size; i++) {
+            real[i] *= scale;
+            imag[i] *= scale;
+        }
+    }
+
+    transform(real, imag, inverse) {
+        const size = this.size;
+        const sign = inverse ? -1 : 1;
+
+        for (let i = 0; i < size; i++) {
+            const j = this.reverseTable[i];
+            if (j > i) {
+                let temp = real[i]; real[i] = real[j]; real[j] = temp;
+                temp = imag[i]; imag[i] = imag[j]; imag[j] = temp;
+            }
+        }
+
+        for (let half = 1; half < size; half <<= 1) {
+            const tableStep = size / (half * 2);
+            for (let start = 0; start < size; start += half * 2) {
+                for (let k = 0; k < half; k++) {
+                    const cos = this.cosTable[k * tableStep];
+                    const sin = sign * this.sinTable[k * tableStep];
+                    const even = start + k;
+                    const odd = even + half;
+
+                    const tRe = real[odd] * cos - imag[odd] * sin;
+                    const tIm = real[odd] * sin + imag[odd] * cos;
+
+                    real[odd] = real[even] - tRe;
+                    imag[odd] = imag[even] - tIm;
+                    real[even] += tRe;
+                    imag[even] += tIm;
+                }
+            }
+        }
+    }
+}
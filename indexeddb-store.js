@@ -0,0 +1,47 @@
+// IndexedDB Store for Studio Buddy Web
+// A database with a single object store, opened on first use. Reference profiles and the
+// result cache each keep their browser-side data in one.
+
+class IndexedDBStore {
+    constructor(databaseName, storeName, keyPath) {
+        this.databaseName = databaseName;
+        this.storeName = storeName;
+        this.keyPath = keyPath;
+        this.database = null;
+    }
+
+    open() {
+        if (!this.database) {
+            this.database = new Promise((resolve, reject) => {
+                if (typeof indexedDB === 'undefined') {
+                    reject(new Error('IndexedDB is not available in this browser'));
+                    return;
+                }
+                const request = indexedDB.open(this.databaseName, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(this.storeName, { keyPath: this.keyPath });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            // A failed open (e.g. private browsing) may work on the next attempt
+            this.database.catch(() => {
+                this.database = null;
+            });
+        }
+        return this.database;
+    }
+
+    async run(mode, operation) {
+        // One request in its own transaction; resolves once the transaction has committed.
+        // operation(store) returns the request whose result is wanted
+        const database = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = database.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+}
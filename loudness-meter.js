@@ -0,0 +1,324 @@
+// Loudness Meter for Studio Buddy Web
+// ITU-R BS.1770-4 / EBU R128 loudness measurement: integrated, momentary and
+// short-term LUFS, loudness range (EBU Tech 3342) and 4x oversampled true peak
+
+class LoudnessMeter {
+    constructor(sampleRate) {
+        this.sampleRate = sampleRate;
+
+        // Gating block layout (BS.1770-4): 400 ms blocks with 75% overlap,
+        // built from 100 ms sub-blocks so every window shares one pass
+        this.subBlockSize = Math.round(sampleRate * 0.1);
+        this.momentaryBlocks = 4;   // 400 ms
+        this.shortTermBlocks = 30;  // 3 s
+
+        this.absoluteGate = -70;      // LUFS
+        this.relativeGate = -10;      // LU below ungated integrated level
+        this.lraRelativeGate = -20;   // LU, EBU Tech 3342
+
+        this.kWeighting = this.createKWeightingCoefficients(sampleRate);
+        this.truePeakFilter = this.createTruePeakFilter(this.getOversamplingFactor(sampleRate));
+    }
+
+    measure(channels, options = {}) {
+        // options.truePeak adds the 4x oversampled true peak - the costliest part of a measurement,
+        // so it's only asked for where a dBTP value is reported or enforced. Without it truePeak
+        // and truePeakDb are null
+        if (!channels || channels.length === 0 || channels[0].length === 0) {
+            return this.createSilentResult();
+        }
+
+        const weights = this.getChannelWeights(channels.length);
+        const subBlockPowers = this.calculateSubBlockPowers(channels, weights);
+
+        const momentaryPowers = this.calculateWindowPowers(subBlockPowers, this.momentaryBlocks);
+        const shortTermPowers = this.calculateWindowPowers(subBlockPowers, this.shortTermBlocks);
+
+        const momentary = momentaryPowers.map(power => this.powerToLUFS(power));
+        const shortTerm = shortTermPowers.map(power => this.powerToLUFS(power));
+
+        let samplePeak = 0;
+        for (const channelData of channels) {
+            samplePeak = Math.max(samplePeak, this.calculateSamplePeak(channelData));
+        }
+        const truePeak = options.truePeak ? this.measureTruePeak(channels) : null;
+
+        return {
+            integrated: this.calculateIntegratedLoudness(momentaryPowers),
+            momentary: momentary,
+            shortTerm: shortTerm,
+            momentaryMax: momentary.length ? Math.max(...momentary) : -Infinity,
+            shortTermMax: shortTerm.length ? Math.max(...shortTerm) : -Infinity,
+            loudnessRange: this.calculateLoudnessRange(shortTermPowers),
+            truePeak: truePeak,
+            truePeakDb: truePeak === null ? null : this.linearToDb(truePeak),
+            samplePeak: samplePeak,
+            samplePeakDb: this.linearToDb(samplePeak)
+        };
+    }
+
+    measureBuffer(audioBuffer, options = {}) {
+        const channels = [];
+        for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+            channels.push(audioBuffer.getChannelData(channel));
+        }
+        return this.measure(channels, options);
+    }
+
+    measureTruePeak(channels) {
+        // Linear true peak of the loudest channel
+        let truePeak = 0;
+        for (const channelData of channels) {
+            truePeak = Math.max(truePeak, this.calculateTruePeak(channelData));
+        }
+        return truePeak;
+    }
+
+    findLoudestSection(channels, seconds) {
+        // Start and end (s) of the loudest K-weighted window of the given length, on the 100 ms grid
+        const length = channels[0].length / this.sampleRate;
+        const blocksPerWindow = Math.max(1, Math.round(seconds * 10));
+        if (seconds >= length) {
+            return { start: 0, end: length };
+        }
+
+        const subBlockPowers = this.calculateSubBlockPowers(channels, this.getChannelWeights(channels.length));
+        const windowPowers = this.calculateWindowPowers(subBlockPowers, blocksPerWindow);
+        let loudest = 0;
+        for (let window = 1; window < windowPowers.length; window++) {
+            if (windowPowers[window] > windowPowers[loudest]) loudest = window;
+        }
+
+        const start = loudest * this.subBlockSize / this.sampleRate;
+        return { start: start, end: Math.min(length, start + blocksPerWindow * this.subBlockSize / this.sampleRate) };
+    }
+
+    createSilentResult() {
+        return {
+            integrated: -Infinity,
+            momentary: [],
+            shortTerm: [],
+            momentaryMax: -Infinity,
+            shortTermMax: -Infinity,
+            loudnessRange: 0,
+            truePeak: 0,
+            truePeakDb: -Infinity,
+            samplePeak: 0,
+            samplePeakDb: -Infinity
+        };
+    }
+
+    getChannelWeights(numberOfChannels) {
+        // BS.1770-4 Table 3, assuming the Web Audio 5.1 order L R C LFE Ls Rs
+        if (numberOfChannels === 6) {
+            return [1.0, 1.0, 1.0, 0.0, 1.41, 1.41];
+        }
+        return new Array(numberOfChannels).fill(1.0);
+    }
+
+    createKWeightingCoefficients(sampleRate) {
+        // Stage 1: high shelf modelling the acoustic effect of the head
+        let f0 = 1681.974450955533;
+        let G = 3.999843853973347;
+        let Q = 0.7071752369554196;
+
+        let K = Math.tan(Math.PI * f0 / sampleRate);
+        const Vh = Math.pow(10, G / 20);
+        const Vb = Math.pow(Vh, 0.4996667741545416);
+        let a0 = 1 + K / Q + K * K;
+
+        const shelf = {
+            b0: (Vh + Vb * K / Q + K * K) / a0,
+            b1: 2 * (K * K - Vh) / a0,
+            b2: (Vh - Vb * K / Q + K * K) / a0,
+            a1: 2 * (K * K - 1) / a0,
+            a2: (1 - K / Q + K * K) / a0
+        };
+
+        // Stage 2: RLB high-pass
+        f0 = 38.13547087602444;
+        Q = 0.5003270373238773;
+        K = Math.tan(Math.PI * f0 / sampleRate);
+        a0 = 1 + K / Q + K * K;
+
+        const highPass = {
+            b0: 1,
+            b1: -2,
+            b2: 1,
+            a1: 2 * (K * K - 1) / a0,
+            a2: (1 - K / Q + K * K) / a0
+        };
+
+        return [shelf, highPass];
+    }
+
+    applyKWeighting(channelData) {
+        const output = new Float32Array(channelData);
+        for (const stage of this.kWeighting) {
+            this.applyBiquad(output, stage);
+        }
+        return output;
+    }
+
+    applyBiquad(audioData, c) {
+        let x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+
+        for (let i = 0; i < audioData.length; i++) {
+            const x0 = audioData[i];
+            const y0 = c.b0 * x0 + c.b1 * x1 + c.b2 * x2 - c.a1 * y1 - c.a2 * y2;
+
+            audioData[i] = y0;
+
+            x2 = x1; x1 = x0;
+            y2 = y1; y1 = y0;
+        }
+    }
+
+    calculateSubBlockPowers(channels, weights) {
+        const length = channels[0].length;
+        const blockCount = Math.floor(length / this.subBlockSize);
+        const powers = new Float64Array(blockCount);
+
+        for (let channel = 0; channel < channels.length; channel++) {
+            if (weights[channel] === 0) continue;
+
+            const weighted = this.applyKWeighting(channels[channel]);
+
+            for (let block = 0; block < blockCount; block++) {
+                const start = block * this.subBlockSize;
+                let sum = 0;
+                for (let i = start; i < start + this.subBlockSize; i++) {
+                    sum += weighted[i] * weighted[i];
+                }
+                powers[block] += weights[channel] * sum;
+            }
+        }
+
+        return powers;
+    }
+
+    calculateWindowPowers(subBlockPowers, blocksPerWindow) {
+        // Sliding window over sub-blocks: 100 ms hop for both momentary and short-term
+        const windows = [];
+        const windowSamples = blocksPerWindow * this.subBlockSize;
+
+        let runningSum = 0;
+        for (let block = 0; block < subBlockPowers.length; block++) {
+            runningSum += subBlockPowers[block];
+            if (block >= blocksPerWindow) {
+                runningSum -= subBlockPowers[block - blocksPerWindow];
+            }
+            if (block >= blocksPerWindow - 1) {
+                windows.push(Math.max(runningSum, 0) / windowSamples);
+            }
+        }
+
+        return windows;
+    }
+
+    calculateIntegratedLoudness(blockPowers) {
+        const absoluteGated = blockPowers.filter(power => this.powerToLUFS(power) > this.absoluteGate);
+        if (absoluteGated.length === 0) return -Infinity;
+
+        const ungatedLoudness = this.powerToLUFS(this.mean(absoluteGated));
+        const threshold = ungatedLoudness + this.relativeGate;
+
+        const relativeGated = absoluteGated.filter(power => this.powerToLUFS(power) > threshold);
+        if (relativeGated.length === 0) return -Infinity;
+
+        return this.powerToLUFS(this.mean(relativeGated));
+    }
+
+    calculateLoudnessRange(shortTermPowers) {
+        const absoluteGated = shortTermPowers.filter(power => this.powerToLUFS(power) > this.absoluteGate);
+        if (absoluteGated.length === 0) return 0;
+
+        const threshold = this.powerToLUFS(this.mean(absoluteGated)) + this.lraRelativeGate;
+        const levels = absoluteGated
+            .map(power => this.powerToLUFS(power))
+            .filter(level => level > threshold)
+            .sort((a, b) => a - b);
+
+        if (levels.length === 0) return 0;
+
+        const low = levels[Math.round((levels.length - 1) * 0.10)];
+        const high = levels[Math.round((levels.length - 1) * 0.95)];
+        return high - low;
+    }
+
+    getOversamplingFactor(sampleRate) {
+        // BS.1770-4 Annex 2: 4x at 48 kHz, less once the rate already covers it
+        if (sampleRate >= 176400) return 1;
+        if (sampleRate >= 88200) return 2;
+        return 4;
+    }
+
+    createTruePeakFilter(factor) {
+        // Polyphase windowed-sinc interpolator, 12 taps per phase
+        const tapsPerPhase = 12;
+        const length = tapsPerPhase * factor;
+        const center = (length - 1) / 2;
+        const phases = [];
+
+        for (let phase = 0; phase < factor; phase++) {
+            const taps = new Float32Array(tapsPerPhase);
+            for (let tap = 0; tap < tapsPerPhase; tap++) {
+                const n = tap * factor + phase;
+                const x = (n - center) / factor;
+                const sinc = x === 0 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x);
+                const window = 0.5 - 0.5 * Math.cos(2 * Math.PI * (n + 0.5) / length);
+                taps[tap] = sinc * window;
+            }
+            phases.push(taps);
+        }
+
+        return { factor: factor, tapsPerPhase: tapsPerPhase, phases: phases };
+    }
+
+    calculateTruePeak(channelData) {
+        const { factor, tapsPerPhase, phases } = this.truePeakFilter;
+        if (factor === 1) return this.calculateSamplePeak(channelData);
+
+        // Zero-padded history so the inner loop needs no bounds checks
+        const padded = new Float32Array(channelData.length + tapsPerPhase - 1);
+        padded.set(channelData, tapsPerPhase - 1);
+
+        let peak = 0;
+        for (let phase = 0; phase < factor; phase++) {
+            const taps = phases[phase];
+            for (let i = tapsPerPhase - 1; i < padded.length; i++) {
+                let sum = 0;
+                for (let tap = 0; tap < tapsPerPhase; tap++) {
+                    sum += padded[i - tap] * taps[tap];
+                }
+                if (sum > peak) peak = sum;
+                else if (-sum > peak) peak = -sum;
+            }
+        }
+
+        return Math.max(peak, this.calculateSamplePeak(channelData));
+    }
+
+    calculateSamplePeak(channelData) {
+        let peak = 0;
+        for (let i = 0; i < channelData.length; i++) {
+            const abs = Math.abs(channelData[i]);
+            if (abs > peak) peak = abs;
+        }
+        return peak;
+    }
+
+    powerToLUFS(power) {
+        return -0.691 + 10 * Math.log10(power + 1e-20);
+    }
+
+    linearToDb(value) {
+        return value > 0 ? 20 * Math.log10(value) : -Infinity;
+    }
+
+    mean(values) {
+        let sum = 0;
+        for (const value of values) sum += value;
+        return sum / values.length;
+    }
+}
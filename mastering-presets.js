@@ -0,0 +1,313 @@
+// Mastering Presets for Studio Buddy Web
+// Named snapshots of the mastering controls. Factory genre presets ship with the app;
+// user presets live in localStorage for guests and in Firestore (users/{uid}/presets)
+// once signed in, and move between machines as JSON files.
+//
+// A preset only stores the keys listed in PRESET_SETTING_TYPES. Keys a preset leaves
+// out (factory presets omit deliveryProfile and the reference section) keep their current
+// value when applied.
+
+const PRESET_SETTING_TYPES = {
+    outputLevel: 'number',
+    compression: 'number',
+    eqIntensity: 'number',
+    stereoWidth: 'number',
+    stereoMode: 'string',
+    autoNormalize: 'boolean',
+    enableLimiting: 'boolean',
+    limiterAttack: 'number',
+    limiterRelease: 'number',
+    limiterLookahead: 'number',
+    psychoacousticProcessing: 'boolean',
+    multibandCompression: 'boolean',
+    multibandPreset: 'string',
+    multibandOverrides: 'array',
+    saturation: 'boolean',
+    saturationCharacter: 'string',
+    saturationDrive: 'number',
+    saturationMix: 'number',
+    deliveryProfile: 'string',
+    referenceRegion: 'string',
+    referenceRegionLength: 'number'
+};
+
+// Shared starting point for the factory presets - matches the controls' defaults
+const PRESET_DEFAULTS = {
+    outputLevel: -1,
+    compression: 3,
+    eqIntensity: 0.5,
+    stereoWidth: 1,
+    stereoMode: 'linked',
+    autoNormalize: true,
+    enableLimiting: true,
+    limiterAttack: 5,
+    limiterRelease: 80,
+    limiterLookahead: 5,
+    psychoacousticProcessing: true,
+    multibandCompression: false,
+    multibandPreset: DEFAULT_MULTIBAND_PRESET,
+    multibandOverrides: [],
+    saturation: false,
+    saturationCharacter: DEFAULT_SATURATION_CHARACTER,
+    saturationDrive: 6,
+    saturationMix: 1
+};
+
+const FACTORY_PRESETS = {
+    pop: {
+        name: 'Pop',
+        settings: Object.assign({}, PRESET_DEFAULTS, {
+            compression: 4,
+            eqIntensity: 0.6,
+            stereoWidth: 1.1,
+            saturation: true,
+            saturationDrive: 3,
+            saturationMix: 0.3
+        })
+    },
+    hipHop: {
+        name: 'Hip-Hop',
+        settings: Object.assign({}, PRESET_DEFAULTS, {
+            compression: 5,
+            eqIntensity: 0.55,
+            stereoMode: 'midSide',
+            limiterRelease: 60,
+            multibandCompression: true,
+            multibandPreset: 'punchy',
+            saturation: true,
+            saturationCharacter: 'tube',
+            saturationDrive: 4,
+            saturationMix: 0.4
+        })
+    },
+    rock: {
+        name: 'Rock',
+        settings: Object.assign({}, PRESET_DEFAULTS, {
+            compression: 4,
+            stereoWidth: 1.05,
+            limiterRelease: 100,
+            saturation: true,
+            saturationDrive: 5,
+            saturationMix: 0.5
+        })
+    },
+    edm: {
+        name: 'EDM',
+        settings: Object.assign({}, PRESET_DEFAULTS, {
+            outputLevel: -0.5,
+            compression: 7,
+            eqIntensity: 0.7,
+            stereoWidth: 1.2,
+            limiterAttack: 1,
+            limiterRelease: 40,
+            multibandCompression: true,
+            multibandPreset: 'loud',
+            saturation: true,
+            saturationCharacter: 'transistor',
+            saturationDrive: 6,
+            saturationMix: 0.5
+        })
+    },
+    acoustic: {
+        name: 'Acoustic / Jazz',
+        settings: Object.assign({}, PRESET_DEFAULTS, {
+            compression: 2,
+            eqIntensity: 0.35,
+            limiterRelease: 150,
+            multibandCompression: true,
+            multibandPreset: 'gentle'
+        })
+    },
+    classical: {
+        name: 'Classical',
+        settings: Object.assign({}, PRESET_DEFAULTS, {
+            compression: 1,
+            eqIntensity: 0.2,
+            limiterRelease: 200,
+            psychoacousticProcessing: false
+        })
+    }
+};
+
+class PresetManager {
+    constructor() {
+        this.storageKey = 'studio_buddy_presets';
+        this.account = new UserCollection('presets');
+        this.fileType = 'studio-buddy-presets';
+        this.fileVersion = 1;
+    }
+
+    get storageLocation() {
+        return this.account.storageLocation;
+    }
+
+    getFactoryPresets() {
+        return Object.entries(FACTORY_PRESETS).map(([id, preset]) => ({
+            id: id,
+            name: preset.name,
+            factory: true,
+            settings: Object.assign({}, preset.settings)
+        }));
+    }
+
+    async listUserPresets() {
+        const user = this.account.getUser();
+        if (user) {
+            try {
+                const snapshot = await this.account.getCollection(user).get();
+                return snapshot.docs
+                    .map(doc => Object.assign({ id: doc.id, factory: false }, doc.data()))
+                    .sort((a, b) => a.name.localeCompare(b.name));
+            } catch (error) {
+                console.warn('⚠️ Could not load presets from your account - showing browser presets:', error);
+            }
+        }
+
+        return Object.entries(this.readLocal())
+            .map(([id, preset]) => Object.assign({ id: id, factory: false }, preset))
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    async save(name, settings) {
+        const trimmed = (name || '').trim();
+        if (!trimmed) {
+            throw new Error('Please enter a preset name');
+        }
+
+        const id = this.account.createId(trimmed);
+        const preset = {
+            name: trimmed,
+            settings: this.sanitizeSettings(settings),
+            updatedAt: new Date().toISOString()
+        };
+
+        const user = this.account.getUser();
+        if (user) {
+            await this.account.getCollection(user).doc(id).set(preset);
+        } else {
+            const presets = this.readLocal();
+            presets[id] = preset;
+            this.writeLocal(presets);
+        }
+
+        console.log(`💾 Preset "${trimmed}" saved to ${this.storageLocation}`);
+        return Object.assign({ id: id, factory: false }, preset);
+    }
+
+    async remove(id) {
+        const user = this.account.getUser();
+        if (user) {
+            await this.account.getCollection(user).doc(id).delete();
+        } else {
+            const presets = this.readLocal();
+            delete presets[id];
+            this.writeLocal(presets);
+        }
+    }
+
+    readLocal() {
+        try {
+            const presets = JSON.parse(localStorage.getItem(this.storageKey) || '{}');
+            return presets && typeof presets === 'object' ? presets : {};
+        } catch (error) {
+            console.warn('⚠️ Stored presets are unreadable - ignoring them:', error);
+            return {};
+        }
+    }
+
+    writeLocal(presets) {
+        localStorage.setItem(this.storageKey, JSON.stringify(presets));
+    }
+
+    toJSON(presets) {
+        return JSON.stringify({
+            type: this.fileType,
+            version: this.fileVersion,
+            presets: presets.map(preset => ({ name: preset.name, settings: preset.settings }))
+        }, null, 2);
+    }
+
+    parseFile(text) {
+        // A bare { name, settings } object is accepted as a single preset
+        const presets = this.account.parseFile(text, {
+            type: this.fileType,
+            version: this.fileVersion,
+            key: 'presets',
+            label: 'presets',
+            isItem: data => data.name && data.settings
+        });
+
+        const valid = presets
+            .filter(preset => preset && typeof preset.name === 'string' && preset.name.trim() && preset.settings)
+            .map(preset => ({ name: preset.name.trim(), settings: this.sanitizeSettings(preset.settings) }))
+            .filter(preset => Object.keys(preset.settings).length > 0);
+
+        if (valid.length === 0) {
+            throw new Error('The file does not contain any usable presets');
+        }
+        return valid;
+    }
+
+    async importFile(text) {
+        const presets = this.parseFile(text);
+        const saved = [];
+        for (const preset of presets) {
+            saved.push(await this.save(preset.name, preset.settings));
+        }
+        return saved;
+    }
+
+    sanitizeSettings(settings) {
+        // Keeps known keys of the right type; select values must still exist in this build
+        const choices = {
+            stereoMode: ['linked', 'midSide', 'independent'],
+            multibandPreset: Object.keys(MULTIBAND_PRESETS),
+            saturationCharacter: Object.keys(SATURATION_CHARACTERS),
+            deliveryProfile: Object.keys(DELIVERY_PROFILES),
+            referenceRegion: Object.keys(REFERENCE_REGION_MODES)
+        };
+
+        const clean = {};
+        for (const [key, type] of Object.entries(PRESET_SETTING_TYPES)) {
+            const value = settings ? settings[key] : undefined;
+            if (type === 'number' && typeof value === 'number' && isFinite(value)) {
+                clean[key] = value;
+            } else if (type === 'boolean' && typeof value === 'boolean') {
+                clean[key] = value;
+            } else if (type === 'string' && typeof value === 'string' && (!choices[key] || choices[key].includes(value))) {
+                clean[key] = value;
+            } else if (type === 'array' && Array.isArray(value)) {
+                clean[key] = value.map(override => this.sanitizeOverride(override));
+            }
+        }
+        return clean;
+    }
+
+    sanitizeOverride(override) {
+        const clean = {};
+        for (const key of ['threshold', 'ratio', 'attack', 'release', 'makeup']) {
+            if (override && typeof override[key] === 'number' && isFinite(override[key])) {
+                clean[key] = override[key];
+            }
+        }
+        return clean;
+    }
+
+    matches(preset, settings) {
+        // True while the controls still hold the preset's values
+        return Object.entries(preset.settings).every(([key, value]) => {
+            if (key === 'multibandOverrides') {
+                const current = settings[key] || [];
+                const length = Math.max(value.length, current.length);
+                for (let band = 0; band < length; band++) {
+                    if (JSON.stringify(value[band] || {}) !== JSON.stringify(current[band] || {})) return false;
+                }
+                return true;
+            }
+            if (typeof value === 'number') {
+                return Math.abs(value - settings[key]) < 1e-6;
+            }
+            return value === settings[key];
+        });
+    }
+}
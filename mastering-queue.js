@@ -0,0 +1,205 @@
+// Mastering Queue for Studio Buddy Web
+// Masters a list of tracks one after another with shared settings (and an optional
+// shared reference blend), then optionally restores the album's relative loudness
+
+class MasteringQueue {
+    constructor(audioContext, masteringClient) {
+        this.audioContext = audioContext;
+        this.masteringClient = masteringClient;
+        this.items = [];
+        this.nextId = 1;
+        this.running = false;
+        this.cancelled = false;
+        this.onUpdate = null;   // (item) => void, called whenever a track's state changes
+    }
+
+    addFiles(files) {
+        for (const file of files) {
+            if (!file.type.startsWith('audio/') && !/\.(wav|aiff?|flac|mp3|m4a|aac|ogg|opus)$/i.test(file.name)) {
+                continue;
+            }
+            this.items.push({
+                id: this.nextId++,
+                file: file,
+                name: file.name,
+                status: 'queued',
+                progress: 0,
+                stage: '',
+                buffer: null,
+                report: null,
+                albumGain: 0,
+                error: null
+            });
+        }
+    }
+
+    remove(id) {
+        if (this.running) return;
+        this.items = this.items.filter(item => item.id !== id);
+    }
+
+    clear() {
+        if (this.running) return;
+        this.items = [];
+    }
+
+    get completedItems() {
+        return this.items.filter(item => item.status === 'done');
+    }
+
+    async run(options) {
+        // options: { references, settings, albumMode, canProcess: async () => bool, onTrackDone: async (item) => void }
+        if (this.running) {
+            throw new Error('The queue is already running');
+        }
+
+        this.running = true;
+        this.cancelled = false;
+
+        try {
+            for (const item of this.items) {
+                if (item.status === 'done') continue;
+                if (this.cancelled) break;
+
+                // Each track is a separate mastering for usage limits
+                if (options.canProcess && !(await options.canProcess(item))) {
+                    this.items
+                        .filter(pending => pending.status !== 'done')
+                        .forEach(pending => this.update(pending, { status: 'skipped', stage: 'Usage limit reached' }));
+                    break;
+                }
+
+                await this.processItem(item, options);
+
+                if (item.status === 'done' && options.onTrackDone) {
+                    await options.onTrackDone(item);
+                }
+            }
+
+            if (options.albumMode) {
+                this.applyAlbumLoudness();
+            }
+        } finally {
+            this.running = false;
+        }
+    }
+
+    async processItem(item, options) {
+        try {
+            this.update(item, { status: 'loading', progress: 0, stage: 'Decoding...', error: null });
+            const arrayBuffer = await item.file.arrayBuffer();
+            const sourceBuffer = await this.audioContext.decodeAudioData(arrayBuffer);
+            if (this.cancelled) {
+                this.update(item, { status: 'queued', stage: 'Cancelled' });
+                return;
+            }
+
+            this.update(item, { status: 'processing', stage: 'Mastering...' });
+            const result = await this.masteringClient.master(
+                sourceBuffer,
+                options.references || null,
+                options.settings,
+                (percent, stage) => this.update(item, { progress: percent, stage: stage })
+            );
+
+            this.update(item, {
+                status: 'done',
+                progress: 100,
+                stage: 'Done',
+                buffer: result.buffer,
+                report: result.report,
+                albumGain: 0
+            });
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                this.update(item, { status: 'queued', progress: 0, stage: 'Cancelled' });
+                return;
+            }
+            console.error(`Error mastering ${item.name}:`, error);
+            this.update(item, { status: 'error', stage: 'Failed', error: error.message });
+        }
+    }
+
+    cancel() {
+        this.cancelled = true;
+        this.masteringClient.cancel();
+    }
+
+    setAlbumMode(enabled) {
+        if (enabled) {
+            this.applyAlbumLoudness();
+        } else {
+            this.completedItems.forEach(item => this.setAlbumGain(item, 0));
+        }
+    }
+
+    applyAlbumLoudness() {
+        // Every track was mastered to the same target, which flattens the album. Put the
+        // original level differences back, anchored on the loudest source so nothing is
+        // turned up (the limiter ceiling stays intact)
+        const done = this.completedItems.filter(item => item.report && isFinite(item.report.before.integrated));
+        if (done.length < 2) return;
+
+        const loudest = done.reduce((a, b) => (b.report.before.integrated > a.report.before.integrated ? b : a));
+        const anchor = loudest.report.after.integrated - loudest.albumGain;
+
+        done.forEach(item => {
+            const currentAfter = item.report.after.integrated - item.albumGain;
+            const wanted = anchor + item.report.before.integrated - loudest.report.before.integrated;
+            const gain = Math.min(0, wanted - currentAfter);
+            this.setAlbumGain(item, gain);
+        });
+    }
+
+    setAlbumGain(item, gainDb) {
+        // Relative to any album gain already applied, so re-running the album pass is idempotent
+        const change = gainDb - item.albumGain;
+        if (Math.abs(change) < 0.01) return;
+
+        const factor = Math.pow(10, change / 20);
+        for (let channel = 0; channel < item.buffer.numberOfChannels; channel++) {
+            const channelData = item.buffer.getChannelData(channel);
+            for (let i = 0; i < channelData.length; i++) {
+                channelData[i] *= factor;
+            }
+        }
+
+        // A plain gain moves every level measurement by the same amount
+        const after = item.report.after;
+        ['integrated', 'truePeak', 'samplePeak', 'shortTermMax'].forEach(key => {
+            if (isFinite(after[key])) after[key] += change;
+        });
+
+        this.update(item, { albumGain: gainDb });
+    }
+
+    async createZip(exporter, exportOptions, presetName) {
+        // Tracks are numbered in queue order so the album sequence survives the download
+        const zip = new ZipWriter();
+        const done = this.completedItems;
+
+        for (let index = 0; index < done.length; index++) {
+            const item = done[index];
+            const options = Object.assign({}, exportOptions, {
+                sampleRate: exportOptions.sampleRate || item.buffer.sampleRate,
+                metadata: Object.assign({}, exportOptions.metadata, {
+                    title: item.name.replace(/\.[^/.]+$/, ''),
+                    loudness: item.report ? item.report.after : null
+                })
+            });
+
+            this.update(item, { stage: 'Encoding...' });
+            const exported = await this.masteringClient.exportAudio(item.buffer, options);
+            const filename = exporter.createFilename(item.name, presetName, options);
+            zip.addFile(`${String(index + 1).padStart(2, '0')}_${filename}`, exported.data);
+            this.update(item, { stage: 'Done' });
+        }
+
+        return zip.toBlob();
+    }
+
+    update(item, changes) {
+        Object.assign(item, changes);
+        if (this.onUpdate) this.onUpdate(item);
+    }
+}
@@ -0,0 +1,259 @@
+// Mastering Report for Studio Buddy Web
+// Turns AudioProcessor.lastReport into a downloadable JSON file or a
+// self-contained, printable HTML sheet for client deliveries
+
+class MasteringReportExporter {
+    constructor() {
+        this.settingLabels = {
+            preset: 'Preset',
+            outputLevel: 'Output level (dB)',
+            compression: 'Compression',
+            eqIntensity: 'EQ intensity',
+            stereoWidth: 'Stereo width',
+            stereoMode: 'Stereo mode',
+            autoNormalize: 'Auto-normalize',
+            enableLimiting: 'True-peak limiting',
+            limiterAttack: 'Limiter attack (ms)',
+            limiterRelease: 'Limiter release (ms)',
+            limiterLookahead: 'Limiter lookahead (ms)',
+            psychoacousticProcessing: 'Psychoacoustic processing',
+            multibandCompression: 'Multiband compression',
+            multibandPreset: 'Multiband preset',
+            multibandOverrides: 'Multiband overrides',
+            saturation: 'Saturation',
+            saturationCharacter: 'Saturation character',
+            saturationDrive: 'Saturation drive (dB)',
+            saturationMix: 'Saturation mix',
+            deliveryProfile: 'Delivery profile',
+            referenceRegion: 'Reference section',
+            referenceRegionLength: 'Reference section length (s)',
+            bufferSize: 'Buffer size',
+            quality: 'Quality'
+        };
+    }
+
+    toJSON(report, title) {
+        // JSON has no -Infinity, so silent measurements export as null
+        return JSON.stringify(Object.assign({ title: title || null }, report), (key, value) => {
+            if (typeof value === 'number' && !isFinite(value)) return null;
+            return value;
+        }, 2);
+    }
+
+    toHTML(report, title) {
+        const heading = this.escape(title || 'Mastering Report');
+        const created = new Date(report.generatedAt).toLocaleString();
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${heading} - Studio Buddy Mastering Report</title>
+<style>
+    body { font-family: Arial, sans-serif; font-size: 12px; color: #000; margin: 24px; }
+    h1 { font-size: 18px; margin: 0 0 4px; }
+    h2 { font-size: 14px; margin: 20px 0 6px; border-bottom: 2px solid #000080; color: #000080; }
+    .meta { color: #555; margin-bottom: 12px; }
+    table { border-collapse: collapse; width: 100%; }
+    th, td { border: 1px solid #999; padding: 3px 6px; text-align: left; }
+    th { background: #c0c0c0; }
+    td.number { text-align: right; font-family: monospace; }
+    svg { border: 1px solid #999; background: #fff; }
+    .legend span { margin-right: 12px; }
+    @media print {
+        body { margin: 0; }
+        h2 { page-break-after: avoid; }
+        table, svg { page-break-inside: avoid; }
+    }
+</style>
+</head>
+<body>
+<h1>${heading}</h1>
+<div class="meta">Studio Buddy mastering report - ${this.escape(created)} -
+    ${report.mode === 'reference' ? 'Reference mastering' : 'Intelligent mastering'} -
+    ${report.format.sampleRate} Hz, ${report.format.channels} ch, ${this.formatDuration(report.format.duration)}</div>
+
+<h2>Before / After</h2>
+${this.renderMetricsTable(report)}
+
+<h2>Target</h2>
+${this.renderTarget(report.target)}
+
+<h2>Matching EQ</h2>
+${this.renderEQ(report.eq)}
+
+<h2>Dynamics</h2>
+${this.renderDynamics(report.compression, report.limiter)}
+
+<h2>Settings</h2>
+${this.renderSettings(report.settings)}
+</body>
+</html>`;
+    }
+
+    download(report, format, baseName) {
+        const name = (baseName || 'mastered_audio').replace(/\.[^/.]+$/, '');
+        const isJSON = format === 'json';
+        const content = isJSON ? this.toJSON(report, name) : this.toHTML(report, name);
+        const blob = new Blob([content], { type: isJSON ? 'application/json' : 'text/html' });
+        const url = URL.createObjectURL(blob);
+
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `${name}_mastering_report.${isJSON ? 'json' : 'html'}`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
+    renderMetricsTable(report) {
+        const rows = [
+            ['Integrated loudness', 'integrated', 'LUFS'],
+            ['True peak', 'truePeak', 'dBTP'],
+            ['Sample peak', 'samplePeak', 'dBFS'],
+            ['Loudness range (LRA)', 'loudnessRange', 'LU'],
+            ['Max short-term loudness', 'shortTermMax', 'LUFS'],
+            ['Peak-to-loudness ratio', 'peakToLoudness', 'dB'],
+            ['Dynamic range (loudest 10% RMS)', 'dynamicRange', 'dB'],
+            ['Stereo width', 'stereoWidth', '']
+        ];
+
+        let html = '<table><tr><th>Metric</th><th>Before</th><th>After</th><th>Change</th></tr>';
+        rows.forEach(([label, key, unit]) => {
+            const before = report.before[key];
+            const after = report.after[key];
+            const change = isFinite(before) && isFinite(after) ? after - before : NaN;
+            html += `<tr><td>${label}</td>
+                <td class="number">${this.formatNumber(before, unit)}</td>
+                <td class="number">${this.formatNumber(after, unit)}</td>
+                <td class="number">${isFinite(change) ? `${change > 0 ? '+' : ''}${change.toFixed(2)}` : '-'}</td></tr>`;
+        });
+        return html + '</table>';
+    }
+
+    renderTarget(target) {
+        const references = target.references || [];
+        const name = target.name ? `${this.escape(target.name)} delivery profile` :
+            (references.length > 1 ? `Blend of ${references.length} references` : 'Reference track');
+        const section = (region) => (region ? `, ${region.start.toFixed(1)}-${region.end.toFixed(1)} s` : '');
+        const blend = references.length > 1 || (references.length === 1 && references[0].region) ? references.map(reference =>
+            `<tr><td></td><td>${this.escape(reference.name)} (${Math.round(reference.weight * 100)}%${section(reference.region)})</td></tr>`).join('') : '';
+        return `<table>
+            <tr><td>Source</td><td>${name}</td></tr>${blend}
+            <tr><td>Integrated loudness</td><td class="number">${this.formatNumber(target.lufs, 'LUFS')}</td></tr>
+            <tr><td>True peak${target.name ? ' ceiling' : ''}</td><td class="number">${this.formatNumber(target.truePeak, 'dBTP')}</td></tr>
+            <tr><td>Loudness range</td><td class="number">${this.formatNumber(target.loudnessRange, 'LU')}</td></tr>
+        </table>`;
+    }
+
+    renderEQ(eq) {
+        if (!eq) return '<p>No matching EQ applied.</p>';
+
+        // Spectra in a 60 dB window below their loudest point, curve on ±12 dB around the centre
+        const width = 640;
+        const height = 200;
+        const points = eq.frequencies.length;
+        const top = Math.max(...eq.source, ...eq.reference);
+        const x = (index) => (index / (points - 1) * width).toFixed(1);
+        const spectrumY = (level) => Math.min(height, (top - level) / 60 * height).toFixed(1);
+        const curveY = (gain) => (height / 2 - gain / 12 * height / 2).toFixed(1);
+        const line = (values, toY) => values.map((value, index) => `${x(index)},${toY(value)}`).join(' ');
+
+        let html = `<svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+            <line x1="0" y1="${height / 2}" x2="${width}" y2="${height / 2}" stroke="#ddd"/>
+            <polyline points="${line(eq.source, spectrumY)}" fill="none" stroke="#888"/>
+            <polyline points="${line(eq.reference, spectrumY)}" fill="none" stroke="#008b8b"/>
+            <polyline points="${line(eq.curve, curveY)}" fill="none" stroke="#d83b01" stroke-width="2"/>
+        </svg>
+        <div class="legend"><span style="color:#888">■ Source</span><span style="color:#008b8b">■ Target</span><span style="color:#d83b01">■ EQ curve (±12 dB)</span></div>`;
+
+        // Readings at the usual third-octave-ish landmarks
+        const landmarks = [31, 63, 125, 250, 500, 1000, 2000, 4000, 8000, 16000];
+        html += '<table><tr><th>Frequency</th>';
+        landmarks.forEach(frequency => { html += `<th>${frequency >= 1000 ? `${frequency / 1000}k` : frequency}</th>`; });
+        html += '</tr><tr><td>EQ (dB)</td>';
+        landmarks.forEach(frequency => {
+            let nearest = 0;
+            eq.frequencies.forEach((value, index) => {
+                if (Math.abs(Math.log(value / frequency)) < Math.abs(Math.log(eq.frequencies[nearest] / frequency))) {
+                    nearest = index;
+                }
+            });
+            const gain = eq.curve[nearest];
+            html += `<td class="number">${gain > 0 ? '+' : ''}${gain.toFixed(1)}</td>`;
+        });
+        return html + '</tr></table>';
+    }
+
+    renderDynamics(compression, limiter) {
+        let html = '<table><tr><th>Stage</th><th>Band</th><th>Threshold</th><th>Ratio</th><th>Makeup</th><th>Max gain reduction</th></tr>';
+
+        (compression || []).forEach(entry => {
+            if (entry.type === 'multiband') {
+                entry.bands.forEach(band => {
+                    html += `<tr><td>Multiband (${this.escape(entry.group)})</td>
+                        <td>${Math.round(band.low)}-${Math.round(band.high)} Hz</td>
+                        <td class="number">${band.threshold.toFixed(1)} dB</td>
+                        <td class="number">${band.ratio.toFixed(1)}:1</td>
+                        <td class="number">${band.makeup.toFixed(1)} dB</td>
+                        <td class="number">${band.maxGainReduction.toFixed(1)} dB</td></tr>`;
+                });
+            } else {
+                html += `<tr><td>Compressor (${this.escape(entry.group)}, pass ${entry.iteration})</td>
+                    <td>Full band</td><td>-</td><td>-</td><td>-</td>
+                    <td class="number">${entry.maxGainReduction.toFixed(1)} dB</td></tr>`;
+            }
+        });
+
+        if (limiter) {
+            html += `<tr><td>True-peak limiter</td><td>Full band</td>
+                <td class="number">${limiter.ceiling.toFixed(1)} dBTP</td><td>∞:1</td><td>-</td>
+                <td class="number">${limiter.maxGainReduction.toFixed(1)} dB</td></tr>`;
+        }
+
+        return html + '</table>';
+    }
+
+    renderSettings(settings) {
+        let html = '<table><tr><th>Setting</th><th>Value</th></tr>';
+        for (const [key, value] of Object.entries(settings)) {
+            html += `<tr><td>${this.escape(this.settingLabels[key] || key)}</td><td>${this.escape(this.formatSetting(value))}</td></tr>`;
+        }
+        return html + '</table>';
+    }
+
+    formatSetting(value) {
+        if (typeof value === 'boolean') return value ? 'On' : 'Off';
+        if (Array.isArray(value)) {
+            // Multiband overrides: only list bands that were actually changed
+            const changed = value
+                .map((override, band) => ({ band: band + 1, override: override || {} }))
+                .filter(entry => Object.keys(entry.override).length > 0)
+                .map(entry => `Band ${entry.band}: ${Object.entries(entry.override).map(([k, v]) => `${k} ${v}`).join(', ')}`);
+            return changed.length ? changed.join('; ') : 'None';
+        }
+        if (value && typeof value === 'object') return JSON.stringify(value);
+        return String(value);
+    }
+
+    formatNumber(value, unit) {
+        if (value === null || value === undefined || Number.isNaN(value)) return '-';
+        if (!isFinite(value)) return `-∞ ${unit}`.trim();
+        return `${value.toFixed(2)} ${unit}`.trim();
+    }
+
+    formatDuration(seconds) {
+        const mins = Math.floor(seconds / 60);
+        const secs = Math.floor(seconds % 60);
+        return `${mins}:${secs.toString().padStart(2, '0')}`;
+    }
+
+    escape(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
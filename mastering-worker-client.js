@@ -0,0 +1,190 @@
+// Mastering Worker Client for Studio Buddy Web
+// Hands mastering and export jobs to mastering-worker.js and rebuilds mastered
+// audio as an AudioBuffer. Falls back to the main thread where workers are unavailable.
+
+class MasteringWorkerClient {
+    constructor(audioContext, audioProcessor) {
+        this.audioContext = audioContext;
+        this.audioProcessor = audioProcessor;   // main-thread fallback
+        this.workerURL = 'mastering-worker.js';
+        this.worker = null;
+        this.rejectJob = null;
+    }
+
+    isSupported() {
+        return typeof Worker !== 'undefined';
+    }
+
+    get isRunning() {
+        return this.worker !== null;
+    }
+
+    async master(sourceBuffer, references, settings, onProgress) {
+        // references: null, one AudioBuffer or saved profile, or [{ buffer | profile, weight, name }] to blend
+        if (this.isRunning) {
+            throw new Error('A mastering job is already running');
+        }
+
+        if (!this.isSupported()) {
+            console.warn('⚠️ Web Workers unavailable - mastering on the main thread');
+            return this.masterOnMainThread(sourceBuffer, references, settings, onProgress);
+        }
+
+        let worker;
+        try {
+            worker = new Worker(this.workerURL);
+        } catch (error) {
+            // file:// pages and strict CSPs can refuse to start workers
+            console.warn('⚠️ Could not start mastering worker - using main thread:', error);
+            return this.masterOnMainThread(sourceBuffer, references, settings, onProgress);
+        }
+
+        const source = this.extractChannels(sourceBuffer);
+        // Saved profiles are plain data and go across as they are
+        const referenceList = this.audioProcessor.normalizeReferences(references).map(reference =>
+            Object.assign(reference.profile ? { profile: reference.profile } : this.extractChannels(reference.buffer),
+                { weight: reference.weight, name: reference.name, region: reference.region }));
+        const transfer = source.channels.map(channelData => channelData.buffer);
+        for (const reference of referenceList) {
+            if (reference.channels) {
+                transfer.push(...reference.channels.map(channelData => channelData.buffer));
+            }
+        }
+
+        this.worker = worker;
+        console.log('🧵 Mastering in background worker...');
+
+        const result = await new Promise((resolve, reject) => {
+            this.rejectJob = reject;
+
+            worker.onmessage = (event) => {
+                const message = event.data;
+                if (message.type === 'progress') {
+                    if (onProgress) onProgress(message.percent, message.stage);
+                } else if (message.type === 'complete') {
+                    resolve(message);
+                } else if (message.type === 'error') {
+                    reject(new Error(message.message));
+                }
+            };
+
+            worker.onerror = (event) => {
+                event.preventDefault();
+                reject(new Error(event.message || 'Mastering worker failed'));
+            };
+
+            worker.postMessage({
+                type: 'master',
+                source: source,
+                references: referenceList,
+                settings: settings
+            }, transfer);
+        }).finally(() => this.releaseWorker());
+
+        return {
+            buffer: this.createAudioBuffer(result.channels, result.sampleRate),
+            limiterReport: result.limiterReport,
+            matchingEQ: result.matchingEQ,
+            report: result.report,
+            compliance: result.compliance
+        };
+    }
+
+    async masterOnMainThread(sourceBuffer, references, settings, onProgress) {
+        this.audioProcessor.onProgress = onProgress || null;
+
+        try {
+            const buffer = this.audioProcessor.normalizeReferences(references).length > 0 ?
+                await this.audioProcessor.matcheringMaster(sourceBuffer, references, settings) :
+                await this.audioProcessor.intelligentMaster(sourceBuffer, settings);
+
+            return {
+                buffer: buffer,
+                limiterReport: this.audioProcessor.lastLimiterReport,
+                matchingEQ: this.audioProcessor.lastMatchingEQ,
+                report: this.audioProcessor.lastReport,
+                compliance: this.audioProcessor.checkDeliveryCompliance(buffer)
+            };
+        } finally {
+            this.audioProcessor.onProgress = null;
+        }
+    }
+
+    async exportAudio(audioBuffer, options) {
+        // Encoding gets its own short-lived worker so it never blocks or cancels a mastering job
+        const { channels, sampleRate } = this.extractChannels(audioBuffer);
+
+        let worker = null;
+        if (this.isSupported()) {
+            try {
+                worker = new Worker(this.workerURL);
+            } catch (error) {
+                console.warn('⚠️ Could not start export worker - encoding on main thread:', error);
+            }
+        }
+
+        if (!worker) {
+            return new AudioExporter().export(channels, sampleRate, options);
+        }
+
+        return new Promise((resolve, reject) => {
+            worker.onmessage = (event) => {
+                const message = event.data;
+                if (message.type === 'complete') {
+                    resolve(message);
+                } else if (message.type === 'error') {
+                    reject(new Error(message.message));
+                }
+            };
+
+            worker.onerror = (event) => {
+                event.preventDefault();
+                reject(new Error(event.message || 'Export worker failed'));
+            };
+
+            worker.postMessage({
+                type: 'export',
+                channels: channels,
+                sampleRate: sampleRate,
+                options: options
+            }, channels.map(channelData => channelData.buffer));
+        }).finally(() => worker.terminate());
+    }
+
+    cancel() {
+        if (!this.isRunning) return false;
+
+        // The chain is synchronous inside the worker, so terminating is the only way to stop it
+        const rejectJob = this.rejectJob;
+        this.releaseWorker();
+        rejectJob(new DOMException('Mastering cancelled', 'AbortError'));
+
+        console.log('🛑 Mastering cancelled');
+        return true;
+    }
+
+    releaseWorker() {
+        if (this.worker) {
+            this.worker.terminate();
+        }
+        this.worker = null;
+        this.rejectJob = null;
+    }
+
+    extractChannels(audioBuffer) {
+        // Copies, so the originals stay playable after their buffers are transferred
+        const channels = [];
+        for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+            channels.push(new Float32Array(audioBuffer.getChannelData(channel)));
+        }
+        return { channels: channels, sampleRate: audioBuffer.sampleRate };
+    }
+
+    createAudioBuffer(channels, sampleRate) {
+        const audioBuffer = this.audioContext.createBuffer(channels.length, channels[0].length, sampleRate);
+        channels.forEach((channelData, channel) => {
+            audioBuffer.getChannelData(channel).set(channelData);
+        });
+        return audioBuffer;
+    }
+}
@@ -0,0 +1,104 @@
+// Mastering Worker for Studio Buddy Web
+// Runs the AudioProcessor chain and file encoding off the UI thread. Channel data
+// arrives and leaves as transferable buffers; mastering progress is posted per stage.
+
+importScripts(
+    'loudness-meter.js',
+    'delivery-profiles.js',
+    'fft.js',
+    'true-peak-limiter.js',
+    'multiband-compressor.js',
+    'matching-eq.js',
+    'saturator.js',
+    'audio-processor.js',
+    'audio-exporter.js'
+);
+
+// Minimal AudioBuffer stand-in - workers have no AudioContext
+class WorkerAudioBuffer {
+    constructor(channels, sampleRate) {
+        this.channels = channels;
+        this.numberOfChannels = channels.length;
+        this.length = channels[0].length;
+        this.sampleRate = sampleRate;
+        this.duration = this.length / sampleRate;
+    }
+
+    getChannelData(channel) {
+        return this.channels[channel];
+    }
+}
+
+function createWorkerContext(sampleRate) {
+    return {
+        sampleRate: sampleRate,
+        createBuffer: (numberOfChannels, length, bufferSampleRate) => {
+            const channels = [];
+            for (let channel = 0; channel < numberOfChannels; channel++) {
+                channels.push(new Float32Array(length));
+            }
+            return new WorkerAudioBuffer(channels, bufferSampleRate);
+        }
+    };
+}
+
+self.onmessage = async (event) => {
+    if (event.data.type === 'master') {
+        await masterAudio(event.data);
+    } else if (event.data.type === 'export') {
+        exportAudio(event.data);
+    }
+};
+
+async function masterAudio({ source, references, settings }) {
+    try {
+        const processor = new AudioProcessor(createWorkerContext(source.sampleRate));
+        processor.onProgress = (percent, stage) => {
+            self.postMessage({ type: 'progress', percent: percent, stage: stage });
+        };
+
+        const sourceBuffer = new WorkerAudioBuffer(source.channels, source.sampleRate);
+        const masteredBuffer = references.length > 0 ?
+            await processor.matcheringMaster(
+                sourceBuffer,
+                references.map(reference => (reference.profile ? reference : {
+                    buffer: new WorkerAudioBuffer(reference.channels, reference.sampleRate),
+                    weight: reference.weight,
+                    name: reference.name,
+                    region: reference.region
+                })),
+                settings
+            ) :
+            await processor.intelligentMaster(sourceBuffer, settings);
+
+        processor.reportProgress(98, 'Checking delivery compliance...');
+        const compliance = processor.checkDeliveryCompliance(masteredBuffer);
+        const limiterReport = processor.lastLimiterReport;
+
+        const transfer = masteredBuffer.channels.map(channelData => channelData.buffer);
+        if (limiterReport) {
+            transfer.push(limiterReport.gainReduction.buffer);
+        }
+
+        self.postMessage({
+            type: 'complete',
+            channels: masteredBuffer.channels,
+            sampleRate: masteredBuffer.sampleRate,
+            limiterReport: limiterReport,
+            matchingEQ: processor.lastMatchingEQ,
+            report: processor.lastReport,
+            compliance: compliance
+        }, transfer);
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+}
+
+function exportAudio({ channels, sampleRate, options }) {
+    try {
+        const exported = new AudioExporter().export(channels, sampleRate, options);
+        self.postMessage(Object.assign({ type: 'complete' }, exported), [exported.data]);
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+}
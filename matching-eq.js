@@ -0,0 +1,226 @@
+// Matching EQ for Studio Buddy Web
+// Matchering-style spectral matching: long-term average spectra of source and
+// reference, a fractional-octave smoothed difference curve, and a linear-phase
+// FIR applied with FFT overlap-add convolution
+
+class MatchingEQ {
+    constructor(sampleRate, options = {}) {
+        this.sampleRate = sampleRate;
+        this.fftSize = options.fftSize || 4096;                                          // analysis frame and FIR length
+        this.smoothing = options.smoothing !== undefined ? options.smoothing : 1 / 3;    // octaves
+        this.maxGain = options.maxGain !== undefined ? options.maxGain : 12;             // dB, either direction
+        this.minFrequency = options.minFrequency || 20;                                  // Hz, curve held flat outside
+        this.maxFrequency = Math.min(options.maxFrequency || 20000, sampleRate / 2);
+
+        this.fft = new FFT(this.fftSize);
+        this.convolutionFFT = new FFT(this.fftSize * 2);
+        this.window = new Float32Array(this.fftSize);
+        for (let n = 0; n < this.fftSize; n++) {
+            this.window[n] = 0.5 - 0.5 * Math.cos(2 * Math.PI * n / this.fftSize);
+        }
+    }
+
+    analyze(channels) {
+        // Long-term average magnitude spectrum (power mean over 50% overlapped Hann frames) of the channel sum
+        const size = this.fftSize;
+        const bins = size / 2 + 1;
+        const length = channels[0].length;
+        const power = new Float64Array(bins);
+        const real = new Float32Array(size);
+        const imag = new Float32Array(size);
+        let frames = 0;
+
+        for (let start = 0; start === 0 || start + size <= length; start += size / 2) {
+            for (let n = 0; n < size; n++) {
+                let sample = 0;
+                if (start + n < length) {
+                    for (const channelData of channels) sample += channelData[start + n];
+                }
+                real[n] = sample / channels.length * this.window[n];
+                imag[n] = 0;
+            }
+
+            this.fft.forward(real, imag);
+            for (let bin = 0; bin < bins; bin++) {
+                power[bin] += real[bin] * real[bin] + imag[bin] * imag[bin];
+            }
+            frames++;
+        }
+
+        const magnitudes = new Float32Array(bins);
+        for (let bin = 0; bin < bins; bin++) {
+            magnitudes[bin] = Math.sqrt(power[bin] / frames);
+        }
+
+        return { sampleRate: this.sampleRate, fftSize: size, magnitudes: magnitudes };
+    }
+
+    createCurve(sourceSpectrum, referenceSpectrum, intensity = 1.0) {
+        // Smoothed reference/source difference in dB per bin, loudness-neutral and clamped
+        const source = this.resampleSpectrum(sourceSpectrum);
+        const reference = this.resampleSpectrum(referenceSpectrum);
+        const bins = source.length;
+        const binWidth = this.sampleRate / this.fftSize;
+
+        const difference = new Float64Array(bins);
+        for (let bin = 0; bin < bins; bin++) {
+            difference[bin] = 20 * Math.log10((reference[bin] + 1e-12) / (source[bin] + 1e-12));
+        }
+
+        const minBin = Math.max(1, Math.round(this.minFrequency / binWidth));
+        const maxBin = Math.min(bins - 1, Math.round(this.maxFrequency / binWidth));
+        const curve = this.smoothCurve(difference, minBin, maxBin);
+
+        // Hold the edges flat instead of chasing rumble or empty top octaves
+        for (let bin = 0; bin < minBin; bin++) curve[bin] = curve[minBin];
+        for (let bin = maxBin + 1; bin < bins; bin++) curve[bin] = curve[maxBin];
+
+        // Remove the overall level change so only the tonal balance moves
+        let sourcePower = 0;
+        let matchedPower = 0;
+        for (let bin = 0; bin < bins; bin++) {
+            const power = source[bin] * source[bin];
+            sourcePower += power;
+            matchedPower += power * Math.pow(10, curve[bin] / 10);
+        }
+        const offset = 10 * Math.log10((sourcePower + 1e-20) / (matchedPower + 1e-20));
+
+        const result = new Float32Array(bins);
+        for (let bin = 0; bin < bins; bin++) {
+            const gain = (curve[bin] + offset) * intensity;
+            result[bin] = Math.max(-this.maxGain, Math.min(gain, this.maxGain));
+        }
+        return result;
+    }
+
+    smoothCurve(values, minBin, maxBin) {
+        // Fractional-octave moving average over [k·2^(-w/2), k·2^(w/2)] using prefix sums
+        const bins = values.length;
+        const prefix = new Float64Array(bins + 1);
+        for (let bin = 0; bin < bins; bin++) {
+            prefix[bin + 1] = prefix[bin] + values[bin];
+        }
+
+        const spread = Math.pow(2, this.smoothing / 2);
+        const smoothed = new Float64Array(bins);
+        for (let bin = minBin; bin <= maxBin; bin++) {
+            const low = Math.max(minBin, Math.floor(bin / spread));
+            const high = Math.min(maxBin, Math.ceil(bin * spread));
+            smoothed[bin] = (prefix[high + 1] - prefix[low]) / (high - low + 1);
+        }
+        return smoothed;
+    }
+
+    resampleSpectrum(spectrum) {
+        // Map a spectrum measured at another rate or size onto this instance's bins
+        const bins = this.fftSize / 2 + 1;
+        if (spectrum.sampleRate === this.sampleRate && spectrum.magnitudes.length === bins) {
+            return spectrum.magnitudes;
+        }
+
+        const sourceBinWidth = spectrum.sampleRate / spectrum.fftSize;
+        const binWidth = this.sampleRate / this.fftSize;
+        const last = spectrum.magnitudes.length - 1;
+        const result = new Float32Array(bins);
+        for (let bin = 0; bin < bins; bin++) {
+            const position = Math.min(bin * binWidth / sourceBinWidth, last);
+            const index = Math.floor(position);
+            const fraction = position - index;
+            const next = Math.min(index + 1, last);
+            result[bin] = spectrum.magnitudes[index] * (1 - fraction) + spectrum.magnitudes[next] * fraction;
+        }
+        return result;
+    }
+
+    createKernel(curveDb) {
+        // Linear-phase FIR by frequency sampling: zero-phase response → IFFT → centre → Hann window
+        const size = this.fftSize;
+        const real = new Float32Array(size);
+        const imag = new Float32Array(size);
+        for (let bin = 0; bin <= size / 2; bin++) {
+            const gain = Math.pow(10, curveDb[bin] / 20);
+            real[bin] = gain;
+            if (bin > 0 && bin < size / 2) real[size - bin] = gain;
+        }
+
+        this.fft.inverse(real, imag);
+
+        const kernel = new Float32Array(size);
+        for (let n = 0; n < size; n++) {
+            kernel[n] = real[(n + size / 2) % size] * this.window[n];
+        }
+        return kernel;
+    }
+
+    process(channels, kernel) {
+        // Overlap-add convolution; the kernel's size/2 sample delay is removed so timing is unchanged
+        const size = this.fftSize;
+        const fftSize = size * 2;
+        const delay = size / 2;
+
+        const kernelReal = new Float32Array(fftSize);
+        const kernelImag = new Float32Array(fftSize);
+        kernelReal.set(kernel);
+        this.convolutionFFT.forward(kernelReal, kernelImag);
+
+        const real = new Float32Array(fftSize);
+        const imag = new Float32Array(fftSize);
+
+        for (const channelData of channels) {
+            const length = channelData.length;
+            const output = new Float32Array(length + fftSize);
+
+            for (let start = 0; start < length; start += size) {
+                real.fill(0);
+                imag.fill(0);
+                real.set(channelData.subarray(start, Math.min(start + size, length)));
+
+                this.convolutionFFT.forward(real, imag);
+                for (let bin = 0; bin < fftSize; bin++) {
+                    const re = real[bin] * kernelReal[bin] - imag[bin] * kernelImag[bin];
+                    const im = real[bin] * kernelImag[bin] + imag[bin] * kernelReal[bin];
+                    real[bin] = re;
+                    imag[bin] = im;
+                }
+                this.convolutionFFT.inverse(real, imag);
+
+                for (let n = 0; n < fftSize; n++) {
+                    output[start + n] += real[n];
+                }
+            }
+
+            channelData.set(output.subarray(delay, delay + length));
+        }
+    }
+
+    createDisplayData(sourceSpectrum, referenceSpectrum, curveDb, points = 96) {
+        // Log-spaced dB readings for drawing; spectra are offset so their 1 kHz levels line up
+        const source = this.resampleSpectrum(sourceSpectrum);
+        const reference = this.resampleSpectrum(referenceSpectrum);
+        const binWidth = this.sampleRate / this.fftSize;
+        const toDb = (value) => 20 * Math.log10(value + 1e-12);
+
+        const frequencies = [];
+        const sourceDb = [];
+        const referenceDb = [];
+        const curve = [];
+        for (let point = 0; point < points; point++) {
+            const frequency = this.minFrequency *
+                Math.pow(this.maxFrequency / this.minFrequency, point / (points - 1));
+            const bin = Math.min(curveDb.length - 1, Math.round(frequency / binWidth));
+            frequencies.push(frequency);
+            sourceDb.push(toDb(source[bin]));
+            referenceDb.push(toDb(reference[bin]));
+            curve.push(curveDb[bin]);
+        }
+
+        const anchor = Math.round(1000 / binWidth);
+        const referenceOffset = toDb(source[anchor]) - toDb(reference[anchor]);
+        return {
+            frequencies: frequencies,
+            source: sourceDb,
+            reference: referenceDb.map(level => level + referenceOffset),
+            curve: curve
+        };
+    }
+}
@@ -0,0 +1,382 @@
+#!/usr/bin/env node
+// Mock Railway API for Studio Buddy
+// Implements the analysis server's contract (see RAILWAY_API_INTEGRATION.md) with canned
+// results, so uploads, jobs, SSE progress and resuming can be tried without the real server.
+// It also serves the app itself and answers its /api usage checks, so nothing else is needed.
+//
+// Run with: npm run mock-api   (or: node mock-railway-server.js)
+// Then open http://localhost:8787 and, in the browser console:
+//   localStorage.setItem('studio_buddy_railway_url', location.origin)
+//
+// PORT               port to listen on (default 8787)
+// MOCK_JOB_SECONDS   how long each job takes (default 8)
+// MOCK_LEGACY=1      no jobs on /health and 404 for /jobs and /uploads, like a server without them
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const PORT = Number(process.env.PORT) || 8787;
+const JOB_SECONDS = Number(process.env.MOCK_JOB_SECONDS) || 8;
+const LEGACY = process.env.MOCK_LEGACY === '1';
+const ROOT = __dirname;
+const JOB_TTL = 60 * 60 * 1000;
+
+const STAGES = {
+  analyze: ['Decoding', 'Detecting tempo', 'Detecting key'],
+  separate: ['Decoding', 'Separating with HTDemucs', 'Encoding stem']
+};
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.svg': 'image/svg+xml',
+  '.ico': 'image/x-icon',
+  '.wav': 'audio/wav',
+  '.mp3': 'audio/mpeg'
+};
+
+const uploads = new Map();   // upload_id -> { filename, contentType, data: Buffer, received }
+const jobs = new Map();      // job_id -> job (see createJob)
+
+function send(res, status, body, headers = {}) {
+  const isJSON = !Buffer.isBuffer(body) && typeof body !== 'string';
+  res.writeHead(status, Object.assign({
+    'Access-Control-Allow-Origin': '*',
+    'Content-Type': isJSON ? 'application/json' : 'text/plain'
+  }, headers));
+  res.end(isJSON ? JSON.stringify(body) : body);
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+function parseMultipart(body, contentType) {
+  // Text fields become strings, files { filename, contentType, data }
+  const match = /boundary=(?:"([^"]+)"|([^;]+))/.exec(contentType || '');
+  if (!match) return {};
+
+  const boundary = Buffer.from(`--${match[1] || match[2]}`);
+  const fields = {};
+  let start = body.indexOf(boundary);
+  while (start !== -1) {
+    const next = body.indexOf(boundary, start + boundary.length);
+    if (next === -1) break;
+
+    // Each part sits between "boundary\r\n" and "\r\n" before the next boundary
+    const part = body.subarray(start + boundary.length + 2, next - 2);
+    const headerEnd = part.indexOf('\r\n\r\n');
+    if (headerEnd !== -1) {
+      const headers = part.subarray(0, headerEnd).toString();
+      const name = /name="([^"]*)"/.exec(headers);
+      const filename = /filename="([^"]*)"/.exec(headers);
+      const type = /content-type:\s*([^\r\n]+)/i.exec(headers);
+      const data = part.subarray(headerEnd + 4);
+      if (name) {
+        fields[name[1]] = filename ?
+          { filename: filename[1], contentType: type ? type[1] : 'application/octet-stream', data: data } :
+          data.toString();
+      }
+    }
+    start = next;
+  }
+  return fields;
+}
+
+function getAudio(fields) {
+  // The request's audio file, or the bytes of a completed chunked upload
+  if (fields.audio && fields.audio.data) {
+    return fields.audio;
+  }
+  const upload = fields.upload_id && uploads.get(fields.upload_id);
+  if (upload && upload.received === upload.data.length) {
+    return { filename: upload.filename, contentType: upload.contentType, data: upload.data };
+  }
+  return null;
+}
+
+function describeWav(data) {
+  // Duration and sample rate from a plain RIFF/WAVE header; anything else is left to the client
+  if (data.length < 44 || data.toString('ascii', 0, 4) !== 'RIFF' || data.toString('ascii', 8, 12) !== 'WAVE') {
+    return { duration: null, sampleRate: null };
+  }
+  const sampleRate = data.readUInt32LE(24);
+  const byteRate = data.readUInt32LE(28);
+  const seconds = byteRate > 0 ? (data.length - 44) / byteRate : 0;
+  return {
+    duration: `${Math.floor(seconds / 60)}:${String(Math.floor(seconds % 60)).padStart(2, '0')}`,
+    sampleRate: `${sampleRate} Hz`
+  };
+}
+
+function analyze(audio, fields) {
+  // Canned but stable per file, so repeated analyses of one track agree
+  const digest = crypto.createHash('sha1').update(audio.data).digest();
+  const minBpm = Number(fields.prefer_min_bpm) || 90;
+  const maxBpm = Number(fields.prefer_max_bpm) || 180;
+  const bpm = minBpm + (digest[0] / 255) * (maxBpm - minBpm);
+  const keys = ['C Major', 'A Minor', 'G Major', 'E Minor', 'D Major', 'B Minor', 'F Major', 'D Minor'];
+  const key = keys[digest[1] % keys.length];
+  const wav = describeWav(audio.data);
+
+  return {
+    bpm: Math.round(bpm * 10) / 10,
+    key: key,
+    duration: wav.duration,
+    sample_rate: wav.sampleRate,
+    bpm_candidates: [{ bpm: Math.round(bpm * 10) / 10, confidence: 0.9 }, { bpm: Math.round(bpm * 5) / 10, confidence: 0.4 }],
+    key_candidates: [{ key: key, confidence: 0.8 }],
+    mock: true
+  };
+}
+
+function publicJob(job) {
+  return {
+    job_id: job.id,
+    type: job.type,
+    stem_type: job.stemType,
+    status: job.status,
+    progress: job.progress,
+    stage: job.stage,
+    error: job.error,
+    result: job.type === 'analyze' ? job.result : null
+  };
+}
+
+function notify(job) {
+  const message = `data: ${JSON.stringify(publicJob(job))}\n\n`;
+  for (const res of job.listeners) {
+    res.write(message);
+    if (job.status === 'done' || job.status === 'failed') res.end();
+  }
+  if (job.status === 'done' || job.status === 'failed') job.listeners.clear();
+}
+
+function createJob(type, stemType, audio, fields) {
+  const job = {
+    id: crypto.randomUUID(),
+    type: type,
+    stemType: stemType,
+    status: 'queued',
+    progress: 0,
+    stage: 'Queued',
+    error: null,
+    result: null,
+    audio: audio,
+    listeners: new Set()
+  };
+  jobs.set(job.id, job);
+
+  // Advances a little every 250 ms; the separation "stem" is the uploaded audio itself
+  const step = 250 / (JOB_SECONDS * 1000);
+  const timer = setInterval(() => {
+    job.status = 'running';
+    job.progress = Math.min(1, job.progress + step);
+    const stages = STAGES[type];
+    job.stage = stages[Math.min(stages.length - 1, Math.floor(job.progress * stages.length))];
+
+    if (job.progress >= 1) {
+      clearInterval(timer);
+      job.status = 'done';
+      job.stage = 'Done';
+      job.result = type === 'analyze' ? analyze(audio, fields) : null;
+      setTimeout(() => jobs.delete(job.id), JOB_TTL);
+      console.log(`✅ ${type} job ${job.id} done`);
+    }
+    notify(job);
+  }, 250);
+
+  console.log(`📨 ${type} job ${job.id} queued (${audio.filename}, ${(audio.data.length / 1048576).toFixed(1)} MB)`);
+  return job;
+}
+
+async function handleJobs(req, res, url, parts) {
+  if (req.method === 'POST' && parts.length === 1) {
+    const type = url.searchParams.get('type');
+    if (!STAGES[type]) {
+      return send(res, 400, { error: 'type must be analyze or separate' });
+    }
+    const fields = parseMultipart(await readBody(req), req.headers['content-type']);
+    const audio = getAudio(fields);
+    if (!audio) {
+      return send(res, 400, { error: 'No audio file or completed upload_id' });
+    }
+    const job = createJob(type, url.searchParams.get('stem_type'), audio, fields);
+    return send(res, 202, { job_id: job.id, status: job.status });
+  }
+
+  const job = jobs.get(parts[1]);
+  if (!job) {
+    return send(res, 404, { error: 'Job not found' });
+  }
+
+  if (req.method === 'GET' && parts.length === 2) {
+    return send(res, 200, publicJob(job));
+  }
+
+  if (req.method === 'GET' && parts[2] === 'events') {
+    res.writeHead(200, {
+      'Access-Control-Allow-Origin': '*',
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+    res.write(`data: ${JSON.stringify(publicJob(job))}\n\n`);
+    if (job.status === 'done' || job.status === 'failed') {
+      return res.end();
+    }
+    job.listeners.add(res);
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      job.listeners.delete(res);
+    });
+    return;
+  }
+
+  if (req.method === 'GET' && parts[2] === 'result') {
+    if (job.status !== 'done') {
+      return send(res, 409, { error: `Job is ${job.status}` });
+    }
+    if (job.type === 'analyze') {
+      return send(res, 200, job.result);
+    }
+    return send(res, 200, job.audio.data, { 'Content-Type': job.audio.contentType });
+  }
+
+  send(res, 405, { error: 'Method not allowed' });
+}
+
+async function handleUploads(req, res, parts) {
+  if (req.method === 'POST' && parts.length === 1) {
+    const request = JSON.parse((await readBody(req)).toString() || '{}');
+    if (!(request.size > 0)) {
+      return send(res, 400, { error: 'size is required' });
+    }
+    const id = crypto.randomUUID();
+    uploads.set(id, {
+      filename: request.filename || 'audio',
+      contentType: request.content_type || 'application/octet-stream',
+      data: Buffer.alloc(request.size),
+      received: 0
+    });
+    setTimeout(() => uploads.delete(id), JOB_TTL);
+    return send(res, 201, { upload_id: id });
+  }
+
+  const upload = uploads.get(parts[1]);
+  if (!upload) {
+    return send(res, 404, { error: 'Upload not found' });
+  }
+
+  if (req.method === 'GET') {
+    return send(res, 200, { received: upload.received, size: upload.data.length });
+  }
+
+  if (req.method === 'PUT') {
+    // Chunks must arrive in order - a client that lost track asks GET for the offset
+    const range = /bytes (\d+)-(\d+)\/(\d+)/.exec(req.headers['content-range'] || '');
+    const body = await readBody(req);
+    if (!range || Number(range[1]) !== upload.received || Number(range[2]) - Number(range[1]) + 1 !== body.length) {
+      return send(res, 409, { error: 'Unexpected chunk', received: upload.received });
+    }
+    body.copy(upload.data, upload.received);
+    upload.received += body.length;
+    return send(res, 200, { received: upload.received });
+  }
+
+  send(res, 405, { error: 'Method not allowed' });
+}
+
+async function handleSync(req, res, url, endpoint) {
+  // The original endpoints: the response waits for the (canned) result
+  const fields = parseMultipart(await readBody(req), req.headers['content-type']);
+  const audio = getAudio(fields);
+  if (!audio) {
+    return send(res, 400, { error: 'No audio file or completed upload_id' });
+  }
+  if (endpoint === 'analyze') {
+    return send(res, 200, analyze(audio, fields));
+  }
+  console.log(`🎭 Separated ${url.searchParams.get('stem_type')} from ${audio.filename}`);
+  send(res, 200, audio.data, { 'Content-Type': audio.contentType });
+}
+
+function handleUsageAPI(req, res, name) {
+  // Stand-ins for the Vercel functions in api/ - every request is allowed
+  const responses = {
+    'validate-request': { valid: true, plan: 'premium', unlimited: true },
+    'check-limits': { canProcess: true, plan: 'premium', unlimited: true },
+    'track-usage': { success: true }
+  };
+  if (!responses[name]) {
+    return send(res, 404, { error: 'Not available on the mock server' });
+  }
+  send(res, 200, responses[name]);
+}
+
+function serveStatic(req, res, url) {
+  const file = path.normalize(path.join(ROOT, decodeURIComponent(url.pathname === '/' ? '/index.html' : url.pathname)));
+  if (!file.startsWith(ROOT + path.sep)) {
+    return send(res, 403, 'Forbidden');
+  }
+  fs.readFile(file, (error, data) => {
+    if (error) {
+      return send(res, 404, 'Not found');
+    }
+    send(res, 200, data, { 'Content-Type': MIME_TYPES[path.extname(file)] || 'application/octet-stream' });
+  });
+}
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  const parts = url.pathname.split('/').filter(Boolean);
+
+  if (req.method === 'OPTIONS') {
+    return send(res, 204, '', {
+      'Access-Control-Allow-Methods': 'GET, POST, PUT, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Content-Range, Authorization'
+    });
+  }
+
+  try {
+    if (parts[0] === 'health') {
+      return send(res, 200, LEGACY ? { status: 'healthy' } : { status: 'healthy', jobs: true });
+    }
+    if (parts[0] === 'version') {
+      return send(res, 200, { commit: 'mock', build_time: new Date().toISOString() });
+    }
+    if (parts[0] === 'jobs' || parts[0] === 'uploads') {
+      if (LEGACY) {
+        return send(res, 404, { error: 'Not found' });
+      }
+      return parts[0] === 'jobs' ? await handleJobs(req, res, url, parts) : await handleUploads(req, res, parts);
+    }
+    if ((parts[0] === 'analyze' || parts[0] === 'separate') && req.method === 'POST') {
+      return await handleSync(req, res, url, parts[0]);
+    }
+    if (parts[0] === 'api') {
+      return handleUsageAPI(req, res, parts[1]);
+    }
+    serveStatic(req, res, url);
+  } catch (error) {
+    console.error('❌ Mock server error:', error);
+    send(res, 500, { error: error.message });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`🎛️ Mock Railway API listening on http://localhost:${PORT}${LEGACY ? ' (legacy: no /jobs or /uploads)' : ''}`);
+  console.log(`   In the app's console: localStorage.setItem('studio_buddy_railway_url', 'http://localhost:${PORT}')`);
+});
@@ -0,0 +1,256 @@
+// Multiband Compressor for Studio Buddy Web
+// 3- to 5-band RMS compressor on Linkwitz-Riley (LR4) crossovers with per-band
+// threshold, ratio, attack, release and makeup gain, linked across channels
+//
+// Preset band fields:
+//   threshold: dB relative to the band's median short-term level
+//   ratio:     compression ratio above the threshold
+//   attack:    ms
+//   release:   ms
+//   makeup:    dB
+
+const MULTIBAND_PRESETS = {
+    gentle: {
+        name: 'Gentle (3-band)',
+        crossovers: [200, 3000],
+        bands: [
+            { threshold: 4, ratio: 1.5, attack: 30, release: 250, makeup: 0 },
+            { threshold: 4, ratio: 1.5, attack: 20, release: 200, makeup: 0 },
+            { threshold: 4, ratio: 1.5, attack: 10, release: 150, makeup: 0 }
+        ]
+    },
+    standard: {
+        name: 'Standard (4-band)',
+        crossovers: [120, 800, 5000],
+        bands: [
+            { threshold: 3, ratio: 2, attack: 30, release: 250, makeup: 0.5 },
+            { threshold: 3, ratio: 2, attack: 20, release: 200, makeup: 0.5 },
+            { threshold: 3, ratio: 1.8, attack: 10, release: 150, makeup: 0.5 },
+            { threshold: 3, ratio: 1.8, attack: 5, release: 100, makeup: 0.5 }
+        ]
+    },
+    punchy: {
+        name: 'Punchy (4-band)',
+        crossovers: [100, 600, 4000],
+        bands: [
+            { threshold: 2, ratio: 3, attack: 40, release: 150, makeup: 1 },
+            { threshold: 3, ratio: 2.5, attack: 30, release: 120, makeup: 1 },
+            { threshold: 3, ratio: 2, attack: 15, release: 100, makeup: 0.5 },
+            { threshold: 4, ratio: 1.8, attack: 5, release: 80, makeup: 0.5 }
+        ]
+    },
+    loud: {
+        name: 'Loud (5-band)',
+        crossovers: [80, 250, 1500, 6000],
+        bands: [
+            { threshold: 1, ratio: 3, attack: 30, release: 200, makeup: 1.5 },
+            { threshold: 1, ratio: 3, attack: 20, release: 150, makeup: 1.5 },
+            { threshold: 1, ratio: 2.5, attack: 10, release: 120, makeup: 1 },
+            { threshold: 2, ratio: 2.5, attack: 5, release: 100, makeup: 1 },
+            { threshold: 2, ratio: 2, attack: 2, release: 80, makeup: 1 }
+        ]
+    }
+};
+
+const DEFAULT_MULTIBAND_PRESET = 'standard';
+
+class MultibandCompressor {
+    constructor(sampleRate, crossovers) {
+        if (crossovers.length < 2 || crossovers.length > 4) {
+            throw new Error(`Multiband compressor needs 3 to 5 bands, got ${crossovers.length + 1}`);
+        }
+
+        this.sampleRate = sampleRate;
+        this.crossovers = crossovers.slice().sort((a, b) => a - b);
+        this.analysisWindow = 0.05; // seconds per short-term level reading
+        this.analysisGate = -70;    // dB, ignore silence when measuring band levels
+
+        // Butterworth (Q = 1/√2) sections: two in series make an LR4 crossover,
+        // and LR4 low + high sums to a 2nd-order allpass with the same Q
+        const q = Math.SQRT1_2;
+        this.filters = this.crossovers.map(frequency => ({
+            lowPass: this.createBiquad('lowpass', frequency, q),
+            highPass: this.createBiquad('highpass', frequency, q),
+            allPass: this.createBiquad('allpass', frequency, q)
+        }));
+    }
+
+    get bandCount() {
+        return this.crossovers.length + 1;
+    }
+
+    process(channels, bands) {
+        // Split every channel, compress each band with one linked gain curve, then sum
+        const bandSignals = channels.map(channelData => this.split(channelData));
+        const report = [];
+
+        for (let band = 0; band < this.bandCount; band++) {
+            const signals = bandSignals.map(split => split[band]);
+            const gain = this.calculateGainCurve(signals, bands[band]);
+
+            let minGain = 1.0;
+            for (const signal of signals) {
+                for (let i = 0; i < signal.length; i++) {
+                    signal[i] *= gain[i];
+                }
+            }
+            for (let i = 0; i < gain.length; i++) {
+                if (gain[i] < minGain) minGain = gain[i];
+            }
+
+            const makeupLinear = Math.pow(10, bands[band].makeup / 20);
+            report.push({
+                low: band === 0 ? 0 : this.crossovers[band - 1],
+                high: band < this.crossovers.length ? this.crossovers[band] : this.sampleRate / 2,
+                threshold: bands[band].threshold,
+                ratio: bands[band].ratio,
+                makeup: bands[band].makeup,
+                maxGainReduction: -20 * Math.log10(minGain / makeupLinear)
+            });
+        }
+
+        channels.forEach((channelData, channel) => {
+            channelData.fill(0);
+            for (const signal of bandSignals[channel]) {
+                for (let i = 0; i < channelData.length; i++) {
+                    channelData[i] += signal[i];
+                }
+            }
+        });
+
+        return report;
+    }
+
+    split(channelData) {
+        const bands = [];
+        let rest = new Float32Array(channelData);
+
+        for (const filter of this.filters) {
+            const low = new Float32Array(rest);
+            this.applyBiquad(low, filter.lowPass);
+            this.applyBiquad(low, filter.lowPass);
+
+            this.applyBiquad(rest, filter.highPass);
+            this.applyBiquad(rest, filter.highPass);
+            bands.push(low);
+        }
+        bands.push(rest);
+
+        // Lower bands skipped the higher crossovers - match their phase so the bands sum flat
+        for (let band = 0; band < this.filters.length - 1; band++) {
+            for (let crossover = band + 1; crossover < this.filters.length; crossover++) {
+                this.applyBiquad(bands[band], this.filters[crossover].allPass);
+            }
+        }
+
+        return bands;
+    }
+
+    calculateGainCurve(signals, settings) {
+        // Linked RMS detector: mean square of the loudest channel, smoothed with attack/release
+        const length = signals[0].length;
+        const gain = new Float32Array(length);
+        const attackCoeff = Math.exp(-1 / (Math.max(settings.attack, 0.1) * this.sampleRate / 1000));
+        const releaseCoeff = Math.exp(-1 / (Math.max(settings.release, 1) * this.sampleRate / 1000));
+        const slope = 1 - 1 / Math.max(settings.ratio, 1);
+        const makeup = settings.makeup;
+
+        let envelope = 0;
+        for (let i = 0; i < length; i++) {
+            let power = 0;
+            for (const signal of signals) {
+                const square = signal[i] * signal[i];
+                if (square > power) power = square;
+            }
+
+            const coeff = power > envelope ? attackCoeff : releaseCoeff;
+            envelope = coeff * envelope + (1 - coeff) * power;
+
+            const levelDb = 10 * Math.log10(envelope + 1e-20);
+            const gainReduction = levelDb > settings.threshold ? (levelDb - settings.threshold) * slope : 0;
+            gain[i] = Math.pow(10, (makeup - gainReduction) / 20);
+        }
+
+        return gain;
+    }
+
+    analyze(channels) {
+        // Short-term RMS distribution per band of the channel sum: median and 95th percentile (dB)
+        const length = channels[0].length;
+        const sum = new Float32Array(length);
+        for (const channelData of channels) {
+            for (let i = 0; i < length; i++) {
+                sum[i] += channelData[i] / channels.length;
+            }
+        }
+
+        const windowSize = Math.max(1, Math.round(this.analysisWindow * this.sampleRate));
+        return this.split(sum).map((signal, band) => {
+            const levels = [];
+            for (let start = 0; start + windowSize <= length; start += windowSize) {
+                let power = 0;
+                for (let i = start; i < start + windowSize; i++) {
+                    power += signal[i] * signal[i];
+                }
+                const level = 10 * Math.log10(power / windowSize + 1e-20);
+                if (level > this.analysisGate) levels.push(level);
+            }
+            levels.sort((a, b) => a - b);
+
+            const percentile = (p) => levels.length ?
+                levels[Math.round((levels.length - 1) * p)] : this.analysisGate;
+
+            return {
+                low: band === 0 ? 0 : this.crossovers[band - 1],
+                high: band < this.crossovers.length ? this.crossovers[band] : this.sampleRate / 2,
+                median: percentile(0.5),
+                loud: percentile(0.95)
+            };
+        });
+    }
+
+    createBiquad(type, frequency, q) {
+        // RBJ cookbook coefficients, normalised by a0
+        const omega = 2 * Math.PI * Math.min(frequency, this.sampleRate * 0.45) / this.sampleRate;
+        const cos = Math.cos(omega);
+        const alpha = Math.sin(omega) / (2 * q);
+        const a0 = 1 + alpha;
+
+        let b0, b1, b2;
+        if (type === 'lowpass') {
+            b0 = (1 - cos) / 2;
+            b1 = 1 - cos;
+            b2 = (1 - cos) / 2;
+        } else if (type === 'highpass') {
+            b0 = (1 + cos) / 2;
+            b1 = -(1 + cos);
+            b2 = (1 + cos) / 2;
+        } else {
+            b0 = 1 - alpha;
+            b1 = -2 * cos;
+            b2 = 1 + alpha;
+        }
+
+        return {
+            b0: b0 / a0,
+            b1: b1 / a0,
+            b2: b2 / a0,
+            a1: -2 * cos / a0,
+            a2: (1 - alpha) / a0
+        };
+    }
+
+    applyBiquad(audioData, c) {
+        let x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+
+        for (let i = 0; i < audioData.length; i++) {
+            const x0 = audioData[i];
+            const y0 = c.b0 * x0 + c.b1 * x1 + c.b2 * x2 - c.a1 * y1 - c.a2 * y2;
+
+            audioData[i] = y0;
+
+            x2 = x1; x1 = x0;
+            y2 = y1; y1 = y0;
+        }
+    }
+}
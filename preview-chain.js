@@ -0,0 +1,429 @@
+// Preview Chain for Studio Buddy Web
+// Live approximation of the offline mastering chain as a Web Audio node graph, so control
+// changes can be heard while the song plays. Every stage takes its parameters from the same
+// analysis and settings the offline render uses:
+//   gain        - the first pass's RMS match towards the target
+//   EQ          - MatchingEQ curve (plus the psychoacoustic tilt of all three passes) as a FIR
+//   dynamics    - single-band compressor, or LR4 multiband with createMultibandSettings bands
+//   saturation  - the Saturator curve on a 4x oversampled WaveShaperNode
+//   width       - mid/side matrix
+//   loudness    - final gain calibrated by rendering the same graph offline and measuring LUFS
+//   limiter     - DynamicsCompressorNode at the true-peak ceiling (sample peak, so approximate)
+// The preview always processes linked stereo; mid/side and independent modes only change the
+// final render.
+
+class PreviewChain {
+    constructor(audioContext, audioProcessor) {
+        this.audioContext = audioContext;
+        this.processor = audioProcessor;
+        this.analysis = null;
+        this.settings = null;
+        this.graph = null;
+        this.finalGain = 1;
+        this.targetLoudness = null;
+
+        this.crossfade = 0.03;          // s between graphs when a control changes
+        this.updateInterval = 50;       // ms, at most one graph rebuild per interval
+        this.calibrationDelay = 400;    // ms of quiet before the loudness is re-measured
+        this.calibrationLength = 60;    // s from the middle of the song rendered for the measurement
+        this.detectorOffset = 3;        // dB, multiband thresholds are RMS; the compressor node reacts to peaks
+
+        // The FIR is linear-phase and Chromium/Firefox compressors look ahead 256 frames;
+        // both compressors are always in the graph so the delay never changes
+        this.kernelSize = 4096;
+        this.latency = (this.kernelSize / 2 + 2 * 256) / audioContext.sampleRate;
+
+        // Persistent endpoints - graphs are swapped between them
+        this.input = audioContext.createGain();
+        this.input.channelCount = 2;
+        this.input.channelCountMode = 'explicit';
+        this.input.channelInterpretation = 'speakers';
+        this.output = audioContext.createGain();
+
+        this.updateTimer = null;
+        this.calibrationTimer = null;
+        this.calibrationToken = 0;
+        this.onCalibrated = null;       // (targetLoudness) => void
+    }
+
+    get isReady() {
+        return this.analysis !== null;
+    }
+
+    async prepare(sourceBuffer, references, settings, sourceAnalysis = null) {
+        // The analysis the offline render starts with, done once per source. references is the
+        // list matcheringMaster blends (empty for intelligent mastering)
+        const channels = [];
+        for (let channel = 0; channel < sourceBuffer.numberOfChannels; channel++) {
+            channels.push(sourceBuffer.getChannelData(channel));
+        }
+
+        this.clear();
+        const analysis = {
+            sourceBuffer: sourceBuffer,
+            references: [],
+            sourceAnalysis: sourceAnalysis || await this.processor.analyzeSource(sourceBuffer),
+            referenceAnalysis: null,
+            sourceRMS: this.processor.calculateLinkedRMS(channels),
+            sourceSpectrum: new MatchingEQ(sourceBuffer.sampleRate, { fftSize: this.kernelSize }).analyze(channels),
+            targets: {},        // delivery profile -> intelligent target
+            bandStats: {}       // multiband preset -> { source, reference }
+        };
+        await this.loadReferences(analysis, references, settings);
+
+        this.analysis = analysis;
+        this.finalGain = 1;
+        this.targetLoudness = null;
+        this.update(settings, true);
+    }
+
+    async setReferences(references, settings = this.settings) {
+        // Reference list, weights or section changed; the source analysis still holds
+        if (!this.analysis) return;
+        await this.loadReferences(this.analysis, references, settings);
+        this.update(settings, true);
+    }
+
+    async loadReferences(analysis, references, settings) {
+        const tracks = this.processor.normalizeReferences(references);
+        analysis.references = tracks.length > 0 ? await this.processor.prepareReferenceTracks(tracks, settings) : [];
+        analysis.referenceAnalysis = tracks.length > 0 ? this.processor.combineReferenceTracks(analysis.references) : null;
+        for (const presetId of Object.keys(analysis.bandStats)) {
+            analysis.bandStats[presetId].reference = this.getReferenceBandStats(analysis, presetId);
+        }
+    }
+
+    clear() {
+        this.calibrationToken++;
+        clearTimeout(this.updateTimer);
+        clearTimeout(this.calibrationTimer);
+        this.analysis = null;
+        this.targetLoudness = null;
+        if (this.graph) {
+            this.input.disconnect(this.graph.input);
+            this.graph.fader.disconnect();
+            this.graph = null;
+        }
+    }
+
+    update(settings, immediate = false) {
+        // Controls fire on every drag step; rebuild at most once per interval with the latest values
+        if (!this.analysis) return;
+        this.settings = settings;
+
+        clearTimeout(this.updateTimer);
+        if (immediate) {
+            this.swapGraph();
+        } else {
+            this.updateTimer = setTimeout(() => this.swapGraph(), this.updateInterval);
+        }
+
+        clearTimeout(this.calibrationTimer);
+        this.calibrationTimer = setTimeout(() => this.calibrate(), immediate ? 0 : this.calibrationDelay);
+    }
+
+    swapGraph() {
+        if (!this.analysis) return;
+        const context = this.audioContext;
+        const now = context.currentTime;
+        const previous = this.graph;
+
+        const graph = this.createGraph(context, this.settings);
+        graph.finalGain.gain.value = this.finalGain;
+        graph.fader = context.createGain();
+        graph.fader.gain.setValueAtTime(0, now);
+        graph.fader.gain.linearRampToValueAtTime(1, now + this.crossfade);
+        this.input.connect(graph.input);
+        graph.output.connect(graph.fader);
+        graph.fader.connect(this.output);
+        this.graph = graph;
+
+        if (previous) {
+            previous.fader.gain.cancelScheduledValues(now);
+            previous.fader.gain.setValueAtTime(previous.fader.gain.value, now);
+            previous.fader.gain.linearRampToValueAtTime(0, now + this.crossfade);
+            setTimeout(() => {
+                this.input.disconnect(previous.input);
+                previous.fader.disconnect();
+            }, this.crossfade * 1000 + 50);
+        }
+    }
+
+    async calibrate() {
+        // Same graph without the final gain and limiter, measured like applyFinalProcessing measures
+        if (!this.analysis) return;
+        const token = ++this.calibrationToken;
+        const settings = this.settings;
+        const source = this.analysis.sourceBuffer;
+        const target = this.getTarget(settings);
+
+        const length = Math.min(source.duration, this.calibrationLength);
+        const offset = (source.duration - length) / 2;
+        const context = new OfflineAudioContext(2, Math.ceil(length * source.sampleRate), source.sampleRate);
+        const graph = this.createGraph(context, settings, { measure: true });
+        const node = context.createBufferSource();
+        node.buffer = source;
+        node.connect(graph.input);
+        graph.output.connect(context.destination);
+        node.start(0, offset, length);
+
+        const rendered = await context.startRendering();
+        if (token !== this.calibrationToken) return;
+
+        const currentLUFS = new LoudnessMeter(rendered.sampleRate).measureBuffer(rendered).integrated;
+        const targetLUFS = target.deliveryProfile ? target.lufs : target.lufs + settings.outputLevel;
+        if (!isFinite(currentLUFS) || !isFinite(targetLUFS)) return;
+
+        this.finalGain = Math.pow(10, (targetLUFS - currentLUFS) / 20);
+        this.targetLoudness = targetLUFS;
+        if (this.graph) {
+            this.graph.finalGain.gain.setTargetAtTime(this.finalGain, this.audioContext.currentTime, this.crossfade / 3);
+        }
+
+        console.log(`🎧 Live preview: ${currentLUFS.toFixed(1)} LUFS → target ${targetLUFS.toFixed(1)} LUFS`);
+        if (this.onCalibrated) this.onCalibrated(targetLUFS);
+    }
+
+    getTarget(settings) {
+        // A loaded reference wins, otherwise the intelligent target for the delivery profile
+        const analysis = this.analysis;
+        if (analysis.referenceAnalysis) return analysis.referenceAnalysis;
+
+        const profileId = settings.deliveryProfile;
+        if (!analysis.targets[profileId]) {
+            analysis.targets[profileId] = this.processor.createIntelligentTarget(analysis.sourceAnalysis, profileId);
+        }
+        return analysis.targets[profileId];
+    }
+
+    getBandStats(presetId) {
+        const analysis = this.analysis;
+        if (!analysis.bandStats[presetId]) {
+            analysis.bandStats[presetId] = {
+                source: this.processor.analyzeBandDynamics(analysis.sourceBuffer, presetId).bands,
+                reference: this.getReferenceBandStats(analysis, presetId)
+            };
+        }
+        return analysis.bandStats[presetId];
+    }
+
+    getReferenceBandStats(analysis, presetId) {
+        // Per-reference band levels are measured once on each analysed section and kept on the list entries
+        const references = analysis.references;
+        if (references.length === 0) return null;
+
+        for (const reference of references) {
+            reference.bandDynamics = reference.bandDynamics || {};
+            if (!reference.bandDynamics[presetId] && reference.profile) {
+                // Saved profiles were measured for every preset when they were saved
+                reference.bandDynamics[presetId] = reference.profile.bandDynamics[presetId] || null;
+            } else if (!reference.bandDynamics[presetId]) {
+                const section = this.processor.sliceRegion(reference.buffer, reference.analysis.region);
+                reference.bandDynamics[presetId] = this.processor.analyzeBandDynamics(section, presetId);
+            }
+        }
+        const blend = this.processor.combineBandDynamics(
+            references.map(reference => reference.bandDynamics[presetId]),
+            references.map(reference => reference.weight)
+        );
+        return blend ? blend.bands : null;
+    }
+
+    createGraph(context, settings, options = {}) {
+        // Builds one chain for the live or an offline context. With options.measure the graph
+        // stops before the final gain, which is what calibrate() solves for
+        const target = this.getTarget(settings);
+        const input = context.createGain();
+        input.channelCount = 2;
+        input.channelCountMode = 'explicit';
+        input.channelInterpretation = 'speakers';
+
+        // Pass 1 RMS match
+        const targetRMS = target.rms * Math.pow(10, settings.outputLevel / 20);
+        const preGain = Math.min(targetRMS / this.analysis.sourceRMS, 2.0);
+        input.gain.value = preGain;
+
+        let tail = this.connectEQ(context, input, settings, target);
+        tail = settings.multibandCompression ?
+            this.connectMultiband(context, tail, settings, preGain) :
+            this.connectCompressor(context, tail, settings, target);
+        if (settings.saturation && settings.saturationMix > 0) {
+            tail = this.connectSaturation(context, tail, settings);
+        }
+        tail = this.connectWidth(context, tail, settings.stereoWidth);
+
+        if (options.measure) {
+            return { input: input, output: tail };
+        }
+
+        const finalGain = context.createGain();
+        tail.connect(finalGain);
+        const output = this.connectLimiter(context, finalGain, settings, target);
+        return { input: input, finalGain: finalGain, output: output };
+    }
+
+    connectEQ(context, tail, settings, target) {
+        // Always present (flat when off) so the latency stays fixed
+        const bins = this.kernelSize / 2 + 1;
+        const matchingEQ = new MatchingEQ(context.sampleRate, { fftSize: this.kernelSize });
+        const curve = settings.eqIntensity !== 0 && target.averageSpectrum ?
+            matchingEQ.createCurve(this.analysis.sourceSpectrum, target.averageSpectrum, settings.eqIntensity) :
+            new Float32Array(bins);
+
+        if (settings.psychoacousticProcessing) {
+            // The three passes multiply their per-bin gains
+            const weights = this.processor.calculatePerceptualWeights();
+            for (let bin = 0; bin < bins; bin++) {
+                const weight = this.processor.getPerceptualWeight(bin * context.sampleRate / this.kernelSize, weights);
+                for (let iteration = 1; iteration <= 3; iteration++) {
+                    curve[bin] += 20 * Math.log10(1.0 + (weight - 1.0) * (0.1 / iteration));
+                }
+            }
+        }
+
+        const kernel = context.createBuffer(1, this.kernelSize, context.sampleRate);
+        kernel.getChannelData(0).set(matchingEQ.createKernel(curve));
+        const convolver = context.createConvolver();
+        convolver.normalize = false;
+        convolver.buffer = kernel;
+        tail.connect(convolver);
+        return convolver;
+    }
+
+    connectCompressor(context, tail, settings, target) {
+        // The three per-pass compressors in series, folded into one ratio
+        let ratio = 1;
+        for (let iteration = 1; iteration <= 3; iteration++) {
+            ratio *= 1 + (settings.compression - 1) * (0.3 / iteration);
+        }
+        const threshold = target.dynamicsThreshold !== undefined ? target.dynamicsThreshold : -12;
+        return this.connectDynamics(context, tail, { threshold: threshold, ratio: ratio, attack: 3, release: 100 });
+    }
+
+    connectMultiband(context, tail, settings, preGain) {
+        // Band levels are measured on the unprocessed source, moved by the pass 1 gain
+        const preset = this.processor.getMultibandPreset(settings.multibandPreset);
+        const stats = this.getBandStats(settings.multibandPreset);
+        const gainDb = 20 * Math.log10(preGain);
+        const sourceStats = stats.source.map(band => Object.assign({}, band, {
+            median: band.median + gainDb,
+            loud: band.loud + gainDb
+        }));
+        const bands = this.processor.createMultibandSettings(sourceStats, stats.reference, preset, settings);
+
+        // LR4 split as in MultibandCompressor.split; Web Audio takes low/high-pass Q in dB
+        const crossovers = preset.crossovers.slice().sort((a, b) => a - b);
+        const butterworthQ = 20 * Math.log10(Math.SQRT1_2);
+        const filter = (node, type, frequency) => {
+            const biquad = context.createBiquadFilter();
+            biquad.type = type;
+            biquad.frequency.value = Math.min(frequency, context.sampleRate * 0.45);
+            biquad.Q.value = type === 'allpass' ? Math.SQRT1_2 : butterworthQ;
+            node.connect(biquad);
+            return biquad;
+        };
+
+        const bandInputs = [];
+        let rest = tail;
+        for (const frequency of crossovers) {
+            bandInputs.push(filter(filter(rest, 'lowpass', frequency), 'lowpass', frequency));
+            rest = filter(filter(rest, 'highpass', frequency), 'highpass', frequency);
+        }
+        bandInputs.push(rest);
+
+        const sum = context.createGain();
+        bandInputs.forEach((node, band) => {
+            for (let crossover = band + 1; crossover < crossovers.length; crossover++) {
+                node = filter(node, 'allpass', crossovers[crossover]);
+            }
+            const settingsForBand = Object.assign({}, bands[band], {
+                threshold: bands[band].threshold + this.detectorOffset
+            });
+            this.connectDynamics(context, node, settingsForBand).connect(sum);
+        });
+        return sum;
+    }
+
+    connectDynamics(context, tail, band) {
+        // band: { threshold (dB), ratio, attack (ms), release (ms), makeup (dB) }
+        const compressor = context.createDynamicsCompressor();
+        const threshold = Math.max(-100, Math.min(band.threshold, 0));
+        const ratio = Math.max(1, Math.min(band.ratio, 20));
+        compressor.threshold.value = threshold;
+        compressor.ratio.value = ratio;
+        compressor.knee.value = 0;
+        compressor.attack.value = Math.max(0, Math.min(band.attack / 1000, 1));
+        compressor.release.value = Math.max(0, Math.min(band.release / 1000, 1));
+
+        // The node adds its own makeup of 0.6 × the gain lost at 0 dBFS; take it back out
+        const makeup = context.createGain();
+        makeup.gain.value = Math.pow(10, (0.6 * threshold * (1 - 1 / ratio) + (band.makeup || 0)) / 20);
+
+        tail.connect(compressor);
+        compressor.connect(makeup);
+        return makeup;
+    }
+
+    connectSaturation(context, tail, settings) {
+        const saturator = new Saturator(context.sampleRate, {
+            character: settings.saturationCharacter,
+            drive: settings.saturationDrive,
+            mix: settings.saturationMix
+        });
+
+        // The curve covers ±range after drive; inputs are scaled into the shaper's ±1 domain
+        const driveGain = Math.pow(10, saturator.drive / 20);
+        const range = 2 * driveGain;
+        const points = 16384;
+        const curve = new Float32Array(points);
+        for (let i = 0; i < points; i++) {
+            curve[i] = saturator.shape((i / (points - 1) * 2 - 1) * range);
+        }
+
+        const drive = context.createGain();
+        drive.gain.value = driveGain / range;
+        const shaper = context.createWaveShaper();
+        shaper.curve = curve;
+        shaper.oversample = '4x';
+        const wet = context.createGain();
+        wet.gain.value = saturator.mix / driveGain;
+        const dry = context.createGain();
+        dry.gain.value = 1 - saturator.mix;
+        const sum = context.createGain();
+
+        tail.connect(drive);
+        drive.connect(shaper);
+        shaper.connect(wet);
+        wet.connect(sum);
+        tail.connect(dry);
+        dry.connect(sum);
+        return sum;
+    }
+
+    connectWidth(context, tail, width) {
+        // L' = (1+w)/2·L + (1-w)/2·R, R' = (1-w)/2·L + (1+w)/2·R - mid + side·w, as applyStereoWidth
+        const splitter = context.createChannelSplitter(2);
+        const merger = context.createChannelMerger(2);
+        const same = (1 + width) / 2;
+        const cross = (1 - width) / 2;
+        [[0, 0, same], [1, 0, cross], [0, 1, cross], [1, 1, same]].forEach(([from, to, value]) => {
+            const gain = context.createGain();
+            gain.gain.value = value;
+            splitter.connect(gain, from);
+            gain.connect(merger, 0, to);
+        });
+        tail.connect(splitter);
+        return merger;
+    }
+
+    connectLimiter(context, tail, settings, target) {
+        // Ratio 1 when limiting is off keeps the node (and its look-ahead) in the path
+        const ceilingDb = target.truePeakCeiling !== undefined ? target.truePeakCeiling : 20 * Math.log10(0.95);
+        return this.connectDynamics(context, tail, {
+            threshold: ceilingDb,
+            ratio: settings.enableLimiting ? 20 : 1,
+            attack: settings.limiterAttack,
+            release: settings.limiterRelease
+        });
+    }
+}
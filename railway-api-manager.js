@@ -1,12 +1,53 @@
-// Railway API Manager - Server-Side Analysis Only
-// Replaces all client-side analysis with Railway API calls
+// Railway API Manager - Server-Side Analysis
+// Analysis and stem separation on the Railway API. When the server can't be reached, analysis
+// falls back to the offline AudioAnalyzer (audio-analyzer.js) and is labelled as local.
+// Server results are cached by audio hash (result-cache.js)
+
+// Analysis options sent to /analyze - and part of the cache key, since they change the result
+const ANALYSIS_OPTIONS = ['window_sec', 'prefer_min_bpm', 'prefer_max_bpm', 'genre', 'profile', 'backend'];
 
 class RailwayAPIManager {
     constructor() {
-        // Railway production API endpoint
-        this.baseURL = 'https://vocal-remover-production-1bbc.up.railway.app';
+        // Railway production API endpoint; point it elsewhere (e.g. the local mock server)
+        // with localStorage.setItem('studio_buddy_railway_url', 'http://localhost:8787')
+        this.baseURL = this.getStoredBaseURL() || 'https://vocal-remover-production-1bbc.up.railway.app';
         this.requestTimeout = 60000; // 60 seconds for analysis
+        this.healthTimeout = 10000;
+        this.separationTimeout = 300000; // 5 minutes - HTDemucs on a full song is slow
         this.maxRetries = 2;
+
+        // Resumable uploads: large files go up in chunks before the request that uses them
+        this.chunkSize = 5 * 1024 * 1024;
+        this.chunkThreshold = 8 * 1024 * 1024;
+        this.chunkRetries = 5;          // consecutive failures before an upload is abandoned
+        this.chunkedUploads = null;     // false once the server turns out not to support /uploads
+        this.uploads = new Map();       // file fingerprint -> { uploadId, chunkSize }, for resuming
+
+        // Server jobs: submit, then follow progress over SSE (or polling) until the result is ready
+        this.jobsSupported = null;      // promise of whether the server has /jobs, from one /health probe
+        this.jobPollInterval = 2000;
+        this.jobRetries = 5;            // consecutive failed status checks before giving up
+        this.jobStorageKey = 'studio_buddy_railway_jobs';
+        this.jobMaxAge = 24 * 60 * 60 * 1000;   // older stored jobs are assumed gone from the server
+
+        // Offline fallback for analysis; null on pages that don't load audio-analyzer.js
+        this.localAnalyzer = typeof AudioAnalyzer !== 'undefined' ? new AudioAnalyzer() : null;
+        this.serverHealthy = null;      // result of the last health check
+
+        // Results already fetched for the same audio; null on pages that don't load result-cache.js
+        const resultCache = typeof ResultCache !== 'undefined' ? new ResultCache() : null;
+        this.resultCache = resultCache && resultCache.available ? resultCache : null;
+        if (this.resultCache) {
+            this.resultCache.prune().catch(error => console.warn('⚠️ Could not prune the result cache:', error));
+        }
+    }
+
+    getStoredBaseURL() {
+        try {
+            return localStorage.getItem('studio_buddy_railway_url');
+        } catch (error) {
+            return null;
+        }
     }
 
     async analyzeAudio(audioBuffer, options = {}) {
@@ -14,28 +55,55 @@ class RailwayAPIManager {
         console.log('🚀 Railway API analysis starting...');
         console.log('📡 Target URL:', this.baseURL);
         console.log('🎵 Audio buffer:', audioBuffer);
+        const processType = options.processType || 'mastering';
+
+        // A cached result costs no upload and no usage
+        const cacheKey = this.createCacheKey(await this.hashForCache(audioBuffer, options),
+            Object.assign({ type: 'analyze' }, this.getAnalysisOptions(options)));
+        const cached = cacheKey && await this.resultCache.get(cacheKey);
+        if (cached) {
+            console.log('📦 Analysis served from the result cache');
+            return Object.assign(cached, { cached: true });
+        }
 
         try {
-            // Check usage limits before processing
-            const processType = options.processType || 'mastering';
-            const canProcess = await window.usageManager.canPerformOperation(processType);
+            // Check usage limits before processing. A check that can't be made refuses too, or the
+            // offline fallback below would run without one
+            let canProcess;
+            try {
+                canProcess = await window.usageManager.canPerformOperation(processType);
+            } catch (error) {
+                throw Object.assign(new Error(`Could not check usage limits: ${error.message}`), { refused: true });
+            }
             
             if (!canProcess) {
-                throw new Error('Usage limit exceeded');
+                throw Object.assign(new Error('Usage limit exceeded'), { refused: true });
+            }
+
+            if (this.localAnalyzer && !(await this.isServerReachable())) {
+                console.warn('⚠️ Railway API unreachable - analyzing in the browser');
+                return await this.analyzeLocally(audioBuffer, options, processType);
             }
 
-            // Convert AudioBuffer to File/Blob for upload
-            const audioFile = await this.audioBufferToFile(audioBuffer);
-            console.log('📄 Audio file created:', audioFile);
+            // The original file when the caller has it, otherwise a compressed encode
+            const audioFile = await this.prepareUpload(audioBuffer, options);
+            console.log(`📄 Uploading ${audioFile.name} (${(audioFile.size / 1048576).toFixed(1)} MB)`);
             
             // Validate request with server before processing
             await this.validateRequest(processType);
             
             // Call Railway API for analysis
-            const result = await this.callAnalyzeEndpoint(audioFile, options);
+            const upload = await this.uploadAudio(audioFile, options.onUploadProgress);
+            const result = await this.callAnalyzeEndpoint(upload, options, {
+                name: audioFile.name,
+                processType: processType,
+                cacheKey: cacheKey
+            });
+            await this.cacheResult(cacheKey, result);
             
-            // Track usage after successful processing
-            await window.usageManager.trackOperation(processType);
+            // Track usage after successful processing. trackUsage doesn't throw, so a recording
+            // failure can't discard the server's analysis for the local fallback
+            await this.trackUsage(processType);
             
             console.log(`✅ Railway API analysis complete (${(performance.now() - startTime).toFixed(1)}ms)`);
             return result;
@@ -43,20 +111,71 @@ class RailwayAPIManager {
         } catch (error) {
             console.error('❌ Railway API analysis error:', error);
             console.error('❌ Full error details:', error);
+
+            // Anything but a refusal (usage limits, server-side validation) means the server
+            // couldn't do the work, which the browser can
+            if (this.localAnalyzer && !error.refused && error.name !== 'AbortError' && audioBuffer) {
+                console.warn('⚠️ Falling back to the offline analyzer');
+                return this.analyzeLocally(audioBuffer, options, processType);
+            }
             throw new Error(`Railway API analysis failed: ${error.message}`);
         }
     }
 
-    async separateStems(audioBuffer, stemType = 'instrumental') {
+    async analyzeLocally(audioBuffer, options, processType) {
+        const result = await this.localAnalyzer.analyzeAudio(audioBuffer, options);
+
+        // Usage limits count analyses, wherever they run
+        await this.trackUsage(processType);
+        return result;
+    }
+
+    async trackUsage(operationType) {
+        // Tracking needs the network too, so a failure here mustn't lose the result it counts
+        if (!window.usageManager) return;
+        try {
+            await window.usageManager.trackOperation(operationType);
+        } catch (error) {
+            console.warn(`⚠️ Could not record usage for ${operationType}:`, error);
+        }
+    }
+
+    async isServerReachable() {
+        // A failed health check is repeated before each analysis, so the server is used again
+        // as soon as it's back
+        if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+            return false;
+        }
+        if (this.serverHealthy === false) {
+            await this.checkHealth();
+        }
+        return this.serverHealthy !== false;
+    }
+
+    async separateStems(audioBuffer, stemType = 'instrumental', options = {}) {
         const startTime = performance.now();
         console.log(`🎵 Railway API stem separation starting (${stemType})...`);
 
+        const cacheKey = this.createCacheKey(await this.hashForCache(audioBuffer, options),
+            { type: 'separate', stemType: stemType });
+        const cached = cacheKey && await this.resultCache.get(cacheKey);
+        if (cached) {
+            console.log(`📦 ${stemType} served from the result cache`);
+            return Object.assign(cached, { cached: true });
+        }
+
         try {
-            // Convert AudioBuffer to File/Blob for upload
-            const audioFile = await this.audioBufferToFile(audioBuffer);
+            const audioFile = await this.prepareUpload(audioBuffer, options);
+            const upload = await this.uploadAudio(audioFile, options.onUploadProgress);
             
             // Call Railway API for stem separation
-            const result = await this.callSeparateEndpoint(audioFile, stemType);
+            const result = await this.callSeparateEndpoint(upload, stemType, {
+                onUploadProgress: options.onUploadProgress,
+                onJobProgress: options.onJobProgress,
+                name: audioFile.name,
+                cacheKey: cacheKey
+            });
+            await this.cacheResult(cacheKey, result);
             
             console.log(`✅ Railway API stem separation complete (${(performance.now() - startTime).toFixed(1)}ms)`);
             return result;
@@ -67,25 +186,121 @@ class RailwayAPIManager {
         }
     }
 
-    async callAnalyzeEndpoint(audioFile, options = {}) {
-        const formData = new FormData();
-        formData.append('audio', audioFile);
+    async separateAllStems(audioBuffer, options = {}) {
+        // One request per stem, all in flight at once from a single encoded upload.
+        // options.stems: stem types to request (default: vocals, drums, bass, other)
+        // options.onStemStatus(stemType, status, error): 'processing', 'done' or 'failed'
+        // options.file / options.onUploadProgress / options.onJobProgress: as for analyzeAudio
+        // Resolves to { stems: { stemType: audioBlob }, errors: { stemType: message }, cached }
+        const startTime = performance.now();
+        const requested = options.stems || ['vocals', 'drums', 'bass', 'other'];
+        const report = options.onStemStatus || (() => {});
+        console.log(`🎭 Railway API separation starting (${requested.join(', ')})...`);
+
+        // Stems cached from an earlier separation of the same audio aren't requested again
+        const hash = await this.hashForCache(audioBuffer, options);
+        const cacheKeys = {};
+        const stems = {};
+        for (const stemType of requested) {
+            cacheKeys[stemType] = this.createCacheKey(hash, { type: 'separate', stemType: stemType });
+            const cached = cacheKeys[stemType] && await this.resultCache.get(cacheKeys[stemType]);
+            if (cached) {
+                stems[stemType] = cached.audioBlob;
+                report(stemType, 'done');
+            }
+        }
+        const stemTypes = requested.filter(stemType => !stems[stemType]);
+        if (stemTypes.length === 0) {
+            console.log('📦 All stems served from the result cache');
+            return { stems: stems, errors: {}, cached: true };
+        }
+
+        if (window.usageManager && !(await window.usageManager.canPerformOperation('vocal_separation'))) {
+            throw new Error('Usage limit exceeded');
+        }
+
+        // A chunked upload is shared by every stem request; a small file goes with each of them,
+        // so their progress is averaged
+        const audioFile = await this.prepareUpload(audioBuffer, options);
+        const upload = await this.uploadAudio(audioFile, options.onUploadProgress);
+        const averaged = (callback) => {
+            if (!callback) return () => null;
+            const fractions = stemTypes.map(() => 0);
+            return (index) => (fraction, stage) => {
+                fractions[index] = fraction;
+                callback(fractions.reduce((sum, value) => sum + value, 0) / fractions.length, stage);
+            };
+        };
+        const onUploadProgress = averaged(options.onUploadProgress);
+        const onJobProgress = averaged(options.onJobProgress);
+
+        // The stems' jobs are resumed together after a reload
+        const batch = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+        const results = await Promise.allSettled(stemTypes.map(async (stemType, index) => {
+            report(stemType, 'processing');
+            try {
+                const result = await this.callSeparateEndpoint(upload, stemType, {
+                    onUploadProgress: onUploadProgress(index),
+                    onJobProgress: onJobProgress(index),
+                    name: audioFile.name,
+                    batch: batch,
+                    cacheKey: cacheKeys[stemType]
+                });
+                await this.cacheResult(cacheKeys[stemType], result);
+                report(stemType, 'done');
+                return result;
+            } catch (error) {
+                report(stemType, 'failed', error.message);
+                throw error;
+            }
+        }));
+
+        const errors = {};
+        results.forEach((result, index) => {
+            if (result.status === 'fulfilled') {
+                stems[stemTypes[index]] = result.value.audioBlob;
+            } else {
+                errors[stemTypes[index]] = result.reason.message;
+            }
+        });
+
+        if (results.every(result => result.status === 'rejected')) {
+            if (Object.keys(stems).length === 0) {
+                throw new Error(`Railway API stem separation failed: ${Object.values(errors)[0]}`);
+            }
+        } else {
+            // The whole set counts as one separation
+            await this.trackUsage('vocal_separation');
+        }
+
+        console.log(`✅ Railway API separated ${Object.keys(stems).length}/${requested.length} stems (${(performance.now() - startTime).toFixed(1)}ms)`);
+        return { stems: stems, errors: errors, cached: false };
+    }
+
+    async callAnalyzeEndpoint(upload, options = {}, jobInfo = {}) {
+        const formData = this.createAudioForm(upload);
         
         // Add analysis options
-        if (options.window_sec) formData.append('window_sec', options.window_sec);
-        if (options.prefer_min_bpm) formData.append('prefer_min_bpm', options.prefer_min_bpm);
-        if (options.prefer_max_bpm) formData.append('prefer_max_bpm', options.prefer_max_bpm);
-        if (options.genre) formData.append('genre', options.genre);
-        if (options.profile) formData.append('profile', options.profile);
-        if (options.backend) formData.append('backend', options.backend);
+        for (const [name, value] of Object.entries(this.getAnalysisOptions(options))) {
+            formData.append(name, value);
+        }
+
+        // As a server job when the server has them - progress is reported and a slow analysis or
+        // a page reload doesn't lose the work
+        const job = await this.runJob(formData, Object.assign({ type: 'analyze' }, jobInfo), {
+            onUploadProgress: upload.file ? options.onUploadProgress : null,
+            onProgress: options.onJobProgress
+        });
+        if (job) {
+            return this.parseAnalysisResult(job.result);
+        }
 
         console.log('🚀 Sending request to:', `${this.baseURL}/analyze`);
         console.log('📋 Options:', options);
 
-        const response = await this.makeRequest(`${this.baseURL}/analyze`, {
-            method: 'POST',
-            body: formData
-        });
+        const response = await this.postForm(`${this.baseURL}/analyze`, formData,
+            upload.file ? options.onUploadProgress : null);
 
         console.log('📥 Response status:', response.status, response.statusText);
 
@@ -95,8 +310,46 @@ class RailwayAPIManager {
             throw new Error(`Analysis request failed: ${response.status} ${response.statusText} - ${errorText}`);
         }
 
-        const result = await response.json();
-        
+        return this.parseAnalysisResult(await response.json());
+    }
+
+    getAnalysisOptions(options) {
+        const sent = {};
+        ANALYSIS_OPTIONS.forEach(name => {
+            if (options[name]) sent[name] = options[name];
+        });
+        return sent;
+    }
+
+    async hashForCache(audioBuffer, options = {}) {
+        // null when results can't be cached
+        if (!this.resultCache) return null;
+        try {
+            return await this.resultCache.hashAudio(audioBuffer, options.file);
+        } catch (error) {
+            console.warn('⚠️ Could not hash the audio - its result won\'t be cached:', error);
+            return null;
+        }
+    }
+
+    createCacheKey(hash, request) {
+        // Results from different servers (e.g. the mock server) never mix
+        return hash ? `${hash}:${JSON.stringify(Object.assign({ server: this.baseURL }, request))}` : null;
+    }
+
+    async cacheResult(cacheKey, result) {
+        if (cacheKey && this.resultCache) {
+            await this.resultCache.set(cacheKey, result);
+        }
+    }
+
+    async clearCache() {
+        if (this.resultCache) {
+            await this.resultCache.clear();
+        }
+    }
+
+    parseAnalysisResult(result) {
         // Transform to expected format
         return {
             bpm: result.bpm,
@@ -110,14 +363,28 @@ class RailwayAPIManager {
         };
     }
 
-    async callSeparateEndpoint(audioFile, stemType) {
-        const formData = new FormData();
-        formData.append('audio', audioFile);
+    async callSeparateEndpoint(upload, stemType, options = {}) {
+        // options: { onUploadProgress, onJobProgress, name, batch, cacheKey }
+        const formData = this.createAudioForm(upload);
+        const onUploadProgress = upload.file ? options.onUploadProgress : null;
 
-        const response = await this.makeRequest(`${this.baseURL}/separate?stem_type=${encodeURIComponent(stemType)}`, {
-            method: 'POST',
-            body: formData
-        });
+        const job = await this.runJob(formData, {
+            type: 'separate',
+            stemType: stemType,
+            name: options.name,
+            batch: options.batch,
+            cacheKey: options.cacheKey
+        }, { onUploadProgress: onUploadProgress, onProgress: options.onJobProgress });
+        if (job) {
+            return {
+                audioBlob: job.audioBlob,
+                stemType: stemType,
+                analysisMethod: 'railway-api'
+            };
+        }
+
+        const response = await this.postForm(`${this.baseURL}/separate?stem_type=${encodeURIComponent(stemType)}`, formData,
+            onUploadProgress, this.separationTimeout);
 
         if (!response.ok) {
             throw new Error(`Separation request failed: ${response.status} ${response.statusText}`);
@@ -132,9 +399,265 @@ class RailwayAPIManager {
         };
     }
 
-    async makeRequest(url, options, retryCount = 0) {
+    async runJob(formData, info, callbacks = {}) {
+        // Submits formData as a server job and waits for it to finish. info: { type: 'analyze' |
+        // 'separate', stemType, name, processType, batch, cacheKey } is stored so a reload can pick the job up.
+        // Resolves to the finished job (separations carry their audio as job.audioBlob), or null
+        // when the server has no job API and the caller should use the synchronous endpoint
+        if (!(await this.supportsJobs())) {
+            return null;
+        }
+
+        const query = `type=${info.type}` + (info.stemType ? `&stem_type=${encodeURIComponent(info.stemType)}` : '');
+        const response = await this.postForm(`${this.baseURL}/jobs?${query}`, formData, callbacks.onUploadProgress || null);
+        if (!response.ok) {
+            throw new Error(`Job submission failed: ${response.status} ${response.statusText}`);
+        }
+
+        const submitted = await response.json();
+        const stored = Object.assign({ id: submitted.job_id, submittedAt: Date.now() }, info);
+        this.saveJob(stored);
+        console.log(`📨 ${info.type} job ${stored.id} submitted`);
+
+        const job = await this.finishJob(stored, callbacks.onProgress);
+        this.claimJob(stored.id);
+        return job;
+    }
+
+    supportsJobs() {
+        // Asked before any audio is sent, so a server without jobs doesn't receive the upload twice.
+        // Servers with the job API say so on /health ({"jobs": true}); concurrent callers share the
+        // one probe, and a probe that fails outright is repeated next time
+        if (!this.jobsSupported) {
+            this.jobsSupported = this.makeRequest(`${this.baseURL}/health`, {
+                method: 'GET'
+            }, this.maxRetries, this.healthTimeout)
+                .then(response => this.readCapabilities(response))
+                .catch(error => {
+                    console.warn('⚠️ Could not ask the server about jobs - waiting on the request instead:', error);
+                    this.jobsSupported = null;
+                    return false;
+                });
+        }
+        return this.jobsSupported;
+    }
+
+    async readCapabilities(response) {
+        const health = response.ok ? await response.json().catch(() => ({})) : {};
+        if (health.jobs !== true) {
+            console.log('ℹ️ Server has no job API - waiting on each request instead');
+        }
+        return health.jobs === true;
+    }
+
+    async finishJob(stored, onProgress = null) {
+        // The job stays in storage until its result is in hand (and the caller claims it), so a
+        // connection lost while waiting leaves it for the next page load. Jobs the server failed
+        // (or forgot) are dropped
+        const job = await this.waitForJob(stored.id, onProgress);
+        if (job.status !== 'done') {
+            this.forgetJob(stored.id);
+            throw new Error(job.error || `Server job ${job.status}`);
+        }
+
+        if (stored.type === 'separate') {
+            job.audioBlob = await this.fetchJobResult(stored.id);
+        }
+        return job;
+    }
+
+    async waitForJob(jobId, onProgress = null) {
+        // Server-Sent Events where the browser has them; polling otherwise, or once the stream drops.
+        // onProgress(fraction, stage)
+        const report = (job) => {
+            if (onProgress) onProgress(job.progress || 0, job.stage || job.status);
+        };
+
+        if (typeof EventSource !== 'undefined') {
+            try {
+                return await this.streamJob(jobId, report);
+            } catch (error) {
+                console.warn(`⚠️ ${error.message} - polling job ${jobId} instead`);
+            }
+        }
+        return this.pollJob(jobId, report);
+    }
+
+    streamJob(jobId, report) {
+        return new Promise((resolve, reject) => {
+            const source = new EventSource(`${this.baseURL}/jobs/${encodeURIComponent(jobId)}/events`);
+            source.onmessage = (event) => {
+                let job;
+                try {
+                    job = JSON.parse(event.data);
+                } catch (error) {
+                    source.close();
+                    reject(new Error('Job event stream sent an unreadable update'));
+                    return;
+                }
+                report(job);
+                if (this.isJobFinished(job)) {
+                    source.close();
+                    resolve(job);
+                }
+            };
+            source.onerror = () => {
+                source.close();
+                reject(new Error('Job event stream closed'));
+            };
+        });
+    }
+
+    async pollJob(jobId, report) {
+        let failures = 0;
+        while (true) {
+            try {
+                const response = await this.makeRequest(`${this.baseURL}/jobs/${encodeURIComponent(jobId)}`, {
+                    method: 'GET'
+                });
+                if (response.status === 404) {
+                    return { job_id: jobId, status: 'failed', error: 'The server no longer has this job' };
+                }
+                if (!response.ok) {
+                    throw new Error(`Job status request failed: ${response.status} ${response.statusText}`);
+                }
+
+                const job = await response.json();
+                failures = 0;
+                report(job);
+                if (this.isJobFinished(job)) {
+                    return job;
+                }
+                await this.delay(this.jobPollInterval);
+            } catch (error) {
+                if (++failures > this.jobRetries || !this.isRetryableError(error)) {
+                    throw error;
+                }
+                console.warn(`⚠️ Lost track of job ${jobId} (${error.message}) - retrying (${failures}/${this.jobRetries})...`);
+                await this.waitForConnection();
+                await this.delay(this.jobPollInterval * failures);
+            }
+        }
+    }
+
+    isJobFinished(job) {
+        return ['done', 'failed', 'cancelled'].includes(job.status);
+    }
+
+    async fetchJobResult(jobId) {
+        const response = await this.makeRequest(`${this.baseURL}/jobs/${encodeURIComponent(jobId)}/result`, {
+            method: 'GET'
+        }, 0, this.separationTimeout);
+        if (!response.ok) {
+            throw new Error(`Job result request failed: ${response.status} ${response.statusText}`);
+        }
+        return response.blob();
+    }
+
+    loadJobs() {
+        // Unfinished jobs from this or an earlier page load, minus any too old to still exist
+        try {
+            const jobs = JSON.parse(localStorage.getItem(this.jobStorageKey) || '[]');
+            return Array.isArray(jobs) ? jobs.filter(job => job && job.id && Date.now() - job.submittedAt < this.jobMaxAge) : [];
+        } catch (error) {
+            console.warn('⚠️ Stored server jobs are unreadable - ignoring them:', error);
+            return [];
+        }
+    }
+
+    saveJob(job) {
+        this.writeJobs(this.loadJobs().filter(stored => stored.id !== job.id).concat([job]));
+    }
+
+    forgetJob(jobId) {
+        this.writeJobs(this.loadJobs().filter(stored => stored.id !== jobId));
+    }
+
+    claimJob(jobId) {
+        // Removes a finished job from storage; false when another tab already took it. The read and
+        // write run back to back with nothing awaited between them, so only one tab's claim succeeds
+        const jobs = this.loadJobs();
+        if (!jobs.some(stored => stored.id === jobId)) {
+            return false;
+        }
+        this.writeJobs(jobs.filter(stored => stored.id !== jobId));
+        return true;
+    }
+
+    writeJobs(jobs) {
+        try {
+            localStorage.setItem(this.jobStorageKey, JSON.stringify(jobs));
+        } catch (error) {
+            console.warn('⚠️ Could not store server jobs - they won\'t survive a reload:', error);
+        }
+    }
+
+    async resumeJobs(handlers = {}) {
+        // Collects jobs an earlier page load submitted but never saw finish.
+        // handlers.onAnalysis(analysis, job): each finished analysis
+        // handlers.onStems({ stems, errors }, job): each separation batch with at least one stem
+        // The usage of a resumed job is tracked here, since the page that submitted it never did.
+        // Every open tab resumes the same stored jobs; only the tab that claims a job reports it
+        const jobs = this.loadJobs();
+        this.writeJobs(jobs);
+        if (jobs.length === 0) return;
+        console.log(`🔄 Resuming ${jobs.length} server job(s) from an earlier visit`);
+
+        const batches = new Map();
+        jobs.forEach(job => {
+            const key = job.batch || job.id;
+            batches.set(key, (batches.get(key) || []).concat([job]));
+        });
+
+        await Promise.all(Array.from(batches.values()).map(async (batch) => {
+            const results = await Promise.allSettled(batch.map(job => this.finishJob(job)));
+            const first = batch[0];
+
+            if (first.type === 'analyze') {
+                if (results[0].status === 'rejected') {
+                    console.warn(`⚠️ Resumed analysis of ${first.name} failed:`, results[0].reason.message);
+                    return;
+                }
+                if (!this.claimJob(first.id)) {
+                    console.log(`ℹ️ Analysis of ${first.name} was picked up in another tab`);
+                    return;
+                }
+                const analysis = this.parseAnalysisResult(results[0].value.result);
+                await this.cacheResult(first.cacheKey, analysis);
+                await this.trackUsage(first.processType || 'mastering');
+                if (handlers.onAnalysis) handlers.onAnalysis(analysis, first);
+                return;
+            }
+
+            const stems = {};
+            const errors = {};
+            results.forEach((result, index) => {
+                if (result.status === 'fulfilled') {
+                    if (!this.claimJob(batch[index].id)) return;
+                    stems[batch[index].stemType] = result.value.audioBlob;
+                    this.cacheResult(batch[index].cacheKey, {
+                        audioBlob: result.value.audioBlob,
+                        stemType: batch[index].stemType,
+                        analysisMethod: 'railway-api'
+                    });
+                } else {
+                    errors[batch[index].stemType] = result.reason.message;
+                }
+            });
+            if (Object.keys(stems).length === 0) {
+                if (Object.keys(errors).length > 0) {
+                    console.warn(`⚠️ Resumed separation of ${first.name} failed:`, Object.values(errors)[0]);
+                }
+                return;
+            }
+            await this.trackUsage('vocal_separation');
+            if (handlers.onStems) handlers.onStems({ stems: stems, errors: errors }, first);
+        }));
+    }
+
+    async makeRequest(url, options, retryCount = 0, timeout = this.requestTimeout) {
         const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), this.requestTimeout);
+        const timeoutId = setTimeout(() => controller.abort(), timeout);
 
         try {
             const response = await fetch(url, {
@@ -153,20 +676,228 @@ class RailwayAPIManager {
             clearTimeout(timeoutId);
 
             if (error.name === 'AbortError') {
-                throw new Error(`Request timeout after ${this.requestTimeout / 1000}s`);
+                throw new Error(`Request timeout after ${timeout / 1000}s`);
             }
 
             // Retry logic
             if (retryCount < this.maxRetries && this.isRetryableError(error)) {
                 console.warn(`Request failed, retrying... (${retryCount + 1}/${this.maxRetries})`);
                 await this.delay(1000 * (retryCount + 1)); // Exponential backoff
-                return this.makeRequest(url, options, retryCount + 1);
+                return this.makeRequest(url, options, retryCount + 1, timeout);
             }
 
             throw error;
         }
     }
 
+    createAudioForm(upload) {
+        // upload: { file } to send the audio with the request, or { uploadId } for a finished chunked upload
+        const formData = new FormData();
+        if (upload.uploadId) {
+            formData.append('upload_id', upload.uploadId);
+        } else {
+            formData.append('audio', upload.file);
+        }
+        return formData;
+    }
+
+    async postForm(url, formData, onUploadProgress = null, timeout = this.requestTimeout, retryCount = 0) {
+        // fetch can't report upload progress, so requests that want it go through XHR.
+        // Resolves to a fetch Response either way
+        if (!onUploadProgress || typeof XMLHttpRequest === 'undefined') {
+            return this.makeRequest(url, { method: 'POST', body: formData }, 0, timeout);
+        }
+
+        try {
+            return await new Promise((resolve, reject) => {
+                const xhr = new XMLHttpRequest();
+                xhr.open('POST', url);
+                xhr.responseType = 'blob';
+                xhr.timeout = timeout;
+                xhr.upload.onprogress = (event) => {
+                    if (event.lengthComputable) onUploadProgress(event.loaded / event.total);
+                };
+                xhr.onload = () => resolve(new Response(xhr.response, { status: xhr.status, statusText: xhr.statusText }));
+                xhr.onerror = () => reject(new Error('Network error during upload'));
+                xhr.ontimeout = () => reject(new Error(`Request timeout after ${timeout / 1000}s`));
+                xhr.send(formData);
+            });
+        } catch (error) {
+            if (retryCount < this.maxRetries && error.message.startsWith('Network error')) {
+                console.warn(`Request failed, retrying... (${retryCount + 1}/${this.maxRetries})`);
+                await this.waitForConnection();
+                await this.delay(1000 * (retryCount + 1));
+                return this.postForm(url, formData, onUploadProgress, timeout, retryCount + 1);
+            }
+            throw error;
+        }
+    }
+
+    async prepareUpload(audioBuffer, options = {}) {
+        // The user's original bytes when the caller passes options.file - usually a compressed
+        // MP3/M4A/FLAC and never re-encoded. Otherwise lossless FLAC, and 16-bit WAV only when
+        // the encoder isn't loaded on this page
+        if (options.file) {
+            return options.file;
+        }
+        if (typeof AudioExporter !== 'undefined') {
+            try {
+                return await this.audioBufferToFlac(audioBuffer);
+            } catch (error) {
+                console.warn('⚠️ FLAC encoding failed - uploading WAV:', error);
+            }
+        }
+        return this.audioBufferToFile(audioBuffer);
+    }
+
+    async audioBufferToFlac(audioBuffer) {
+        // Encoded in the export worker where there is one, so long tracks don't freeze the page
+        const options = { format: 'flac', bitDepth: '16', dither: 'tpdf' };
+        let exported;
+        if (typeof MasteringWorkerClient !== 'undefined') {
+            exported = await new MasteringWorkerClient(null, null).exportAudio(audioBuffer, options);
+        } else {
+            const channels = [];
+            for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+                channels.push(audioBuffer.getChannelData(channel));
+            }
+            exported = new AudioExporter().export(channels, audioBuffer.sampleRate, options);
+        }
+
+        return new File([exported.data], 'audio.flac', {
+            type: 'audio/flac',
+            lastModified: Date.now()
+        });
+    }
+
+    async uploadAudio(audioFile, onProgress = null) {
+        // Resolves to what createAudioForm sends: the file itself when it's small (or the server
+        // has no chunked uploads), otherwise the id of a completed chunked upload
+        if (audioFile.size <= this.chunkThreshold || this.chunkedUploads === false) {
+            return { file: audioFile };
+        }
+
+        const uploadId = await this.uploadInChunks(audioFile, onProgress);
+        if (!uploadId) {
+            console.warn('⚠️ Server does not support chunked uploads - sending the file in one request');
+            return { file: audioFile };
+        }
+        return { uploadId: uploadId };
+    }
+
+    async uploadInChunks(audioFile, onProgress) {
+        // Sends the file in chunks with Content-Range. A dropped connection (or a retry of the
+        // whole request) picks up from the offset the server reports rather than from zero.
+        // Resolves to the upload id, or null when the server doesn't support /uploads
+        const key = `${audioFile.name}:${audioFile.size}:${audioFile.lastModified}`;
+        let upload = this.uploads.get(key);
+        let received = upload ? await this.getUploadOffset(upload.uploadId) : null;
+        if (received === null) {
+            upload = await this.createUpload(audioFile);
+            if (!upload) return null;
+            this.uploads.set(key, upload);
+            received = 0;
+        } else if (received > 0 && received < audioFile.size) {
+            console.log(`📤 Resuming upload at ${(received / 1048576).toFixed(1)} MB`);
+        }
+
+        let failures = 0;
+        while (received < audioFile.size) {
+            if (onProgress) onProgress(received / audioFile.size);
+            const end = Math.min(received + upload.chunkSize, audioFile.size);
+            try {
+                received = await this.sendChunk(upload.uploadId, audioFile, received, end);
+                failures = 0;
+            } catch (error) {
+                if (++failures > this.chunkRetries || !this.isRetryableError(error)) {
+                    throw new Error(`Upload failed at ${Math.round(received / audioFile.size * 100)}%: ${error.message}`);
+                }
+                console.warn(`⚠️ Upload interrupted (${error.message}) - resuming (${failures}/${this.chunkRetries})...`);
+                await this.waitForConnection();
+                await this.delay(1000 * failures);
+
+                // Part of the failed chunk may have been stored
+                const offset = await this.getUploadOffset(upload.uploadId).catch(() => null);
+                if (offset !== null) received = offset;
+            }
+        }
+
+        if (onProgress) onProgress(1);
+        return upload.uploadId;
+    }
+
+    async createUpload(audioFile) {
+        const response = await this.makeRequest(`${this.baseURL}/uploads`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                filename: audioFile.name,
+                size: audioFile.size,
+                content_type: audioFile.type || 'application/octet-stream'
+            })
+        });
+
+        if ([404, 405, 501].includes(response.status)) {
+            this.chunkedUploads = false;
+            return null;
+        }
+        if (!response.ok) {
+            throw new Error(`Upload request failed: ${response.status} ${response.statusText}`);
+        }
+
+        const result = await response.json();
+        this.chunkedUploads = true;
+        return {
+            uploadId: result.upload_id,
+            chunkSize: result.chunk_size || this.chunkSize
+        };
+    }
+
+    async sendChunk(uploadId, audioFile, start, end) {
+        // Resolves to the total bytes the server now holds
+        const response = await this.makeRequest(`${this.baseURL}/uploads/${encodeURIComponent(uploadId)}`, {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/octet-stream',
+                'Content-Range': `bytes ${start}-${end - 1}/${audioFile.size}`
+            },
+            body: audioFile.slice(start, end)
+        });
+
+        if (!response.ok) {
+            throw new Error(`Chunk upload failed: ${response.status} ${response.statusText}`);
+        }
+        const result = await response.json();
+        return typeof result.received === 'number' ? result.received : end;
+    }
+
+    async getUploadOffset(uploadId) {
+        // Bytes received so far, or null when the server no longer knows the upload
+        const response = await this.makeRequest(`${this.baseURL}/uploads/${encodeURIComponent(uploadId)}`, {
+            method: 'GET'
+        });
+        if (!response.ok) return null;
+        const result = await response.json();
+        return typeof result.received === 'number' ? result.received : null;
+    }
+
+    waitForConnection(timeout = this.requestTimeout) {
+        // Resolves once the browser is back online, straight away if it never went offline
+        if (typeof navigator === 'undefined' || navigator.onLine !== false) {
+            return Promise.resolve();
+        }
+        console.log('📡 Offline - waiting for the connection to come back...');
+        return new Promise(resolve => {
+            const done = () => {
+                clearTimeout(timer);
+                window.removeEventListener('online', done);
+                resolve();
+            };
+            const timer = setTimeout(done, timeout);
+            window.addEventListener('online', done);
+        });
+    }
+
     async audioBufferToFile(audioBuffer) {
         // Convert AudioBuffer to WAV file
         const wavBlob = this.audioBufferToWav(audioBuffer);
@@ -241,7 +972,7 @@ class RailwayAPIManager {
 
             if (!response.ok) {
                 const error = await response.json();
-                throw new Error(error.message || error.error || 'Request validation failed');
+                throw Object.assign(new Error(error.message || error.error || 'Request validation failed'), { refused: true });
             }
 
             const result = await response.json();
@@ -273,15 +1004,20 @@ class RailwayAPIManager {
 
     // Health check
     async checkHealth() {
+        // Short timeout and no retries - a healthy server answers quickly
         try {
             const response = await this.makeRequest(`${this.baseURL}/health`, {
                 method: 'GET'
-            });
-            return response.ok;
+            }, this.maxRetries, this.healthTimeout);
+            this.serverHealthy = response.ok;
+            if (response.ok) {
+                this.jobsSupported = this.readCapabilities(response);
+            }
         } catch (error) {
             console.error('Health check failed:', error);
-            return false;
+            this.serverHealthy = false;
         }
+        return this.serverHealthy;
     }
 
     // Get API version info
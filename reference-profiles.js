@@ -0,0 +1,187 @@
+// Reference Profiles for Studio Buddy Web
+// Library of saved reference analyses - spectrum, loudness, dynamics, stereo width and
+// band levels, but no audio (see AudioProcessor.createReferenceProfile). Profiles live in
+// IndexedDB for guests and in Firestore (users/{uid}/referenceProfiles) once signed in,
+// and move between machines as JSON files. A profile can stand in for a reference track.
+
+class ReferenceProfileLibrary {
+    constructor() {
+        this.store = new IndexedDBStore('studio_buddy', 'reference_profiles', 'id');
+        this.account = new UserCollection('referenceProfiles');
+        this.fileType = 'studio-buddy-reference-profiles';
+        this.fileVersion = 1;
+    }
+
+    get storageLocation() {
+        return this.account.storageLocation;
+    }
+
+    async list() {
+        const user = this.account.getUser();
+        if (user) {
+            try {
+                const snapshot = await this.account.getCollection(user).get();
+                return snapshot.docs
+                    .map(doc => Object.assign({ id: doc.id }, doc.data()))
+                    .sort((a, b) => a.name.localeCompare(b.name));
+            } catch (error) {
+                console.warn('⚠️ Could not load reference profiles from your account - showing browser profiles:', error);
+            }
+        }
+
+        try {
+            const profiles = await this.store.run('readonly', store => store.getAll());
+            return profiles.sort((a, b) => a.name.localeCompare(b.name));
+        } catch (error) {
+            console.warn('⚠️ Stored reference profiles are unavailable:', error);
+            return [];
+        }
+    }
+
+    async save(profile, name = profile.name) {
+        const trimmed = (name || '').trim();
+        if (!trimmed) {
+            throw new Error('Please enter a profile name');
+        }
+
+        const id = this.account.createId(trimmed);
+        const saved = Object.assign({}, this.sanitizeProfile(profile), {
+            name: trimmed,
+            updatedAt: new Date().toISOString()
+        });
+
+        const user = this.account.getUser();
+        if (user) {
+            await this.account.getCollection(user).doc(id).set(saved);
+        } else {
+            await this.store.run('readwrite', store => store.put(Object.assign({ id: id }, saved)));
+        }
+
+        console.log(`💾 Reference profile "${trimmed}" saved to ${this.storageLocation}`);
+        return Object.assign({ id: id }, saved);
+    }
+
+    async remove(id) {
+        const user = this.account.getUser();
+        if (user) {
+            await this.account.getCollection(user).doc(id).delete();
+        } else {
+            await this.store.run('readwrite', store => store.delete(id));
+        }
+    }
+
+    toJSON(profiles) {
+        return JSON.stringify({
+            type: this.fileType,
+            version: this.fileVersion,
+            profiles: profiles.map(profile => this.sanitizeProfile(profile))
+        });
+    }
+
+    parseFile(text) {
+        // A bare profile object is accepted as a single profile
+        const profiles = this.account.parseFile(text, {
+            type: this.fileType,
+            version: this.fileVersion,
+            key: 'profiles',
+            label: 'reference profiles',
+            isItem: data => data.type === REFERENCE_PROFILE_TYPE
+        });
+
+        const valid = [];
+        for (const profile of profiles) {
+            try {
+                valid.push(this.sanitizeProfile(profile));
+            } catch (error) {
+                console.warn('⚠️ Skipping unusable reference profile:', error.message);
+            }
+        }
+        if (valid.length === 0) {
+            throw new Error('The file does not contain any usable reference profiles');
+        }
+        return valid;
+    }
+
+    async importFile(text) {
+        const profiles = this.parseFile(text);
+        const saved = [];
+        for (const profile of profiles) {
+            saved.push(await this.save(profile));
+        }
+        return saved;
+    }
+
+    sanitizeProfile(profile) {
+        // Rebuilds a profile from known fields only, so files and old records can't smuggle in
+        // anything the processor doesn't expect. Throws when the spectrum is unusable
+        const number = (value) => (typeof value === 'number' && isFinite(value) ? value : null);
+        const numbers = (object) => {
+            const result = {};
+            if (object && typeof object === 'object') {
+                for (const [key, value] of Object.entries(object)) result[key] = number(value);
+            }
+            return result;
+        };
+
+        const analysis = profile && profile.analysis;
+        const spectrum = analysis && analysis.averageSpectrum;
+        if (!profile || typeof profile.name !== 'string' || !profile.name.trim()) {
+            throw new Error('Reference profile has no name');
+        }
+        if (!spectrum || !(spectrum.sampleRate > 0) || !(spectrum.fftSize > 0) || !Array.isArray(spectrum.magnitudes) ||
+            spectrum.magnitudes.length !== spectrum.fftSize / 2 + 1 || !spectrum.magnitudes.every(value => number(value) !== null)) {
+            throw new Error(`Reference profile "${profile.name}" has no usable spectrum`);
+        }
+
+        const bandDynamics = {};
+        for (const [presetId, entry] of Object.entries(profile.bandDynamics || {})) {
+            if (!MULTIBAND_PRESETS[presetId] || !entry || !Array.isArray(entry.crossovers) || !Array.isArray(entry.bands)) continue;
+            bandDynamics[presetId] = {
+                crossovers: entry.crossovers.map(number),
+                bands: entry.bands.map(band => ({
+                    low: number(band && band.low),
+                    high: number(band && band.high),
+                    median: number(band && band.median),
+                    loud: number(band && band.loud)
+                }))
+            };
+        }
+
+        const region = profile.region && number(profile.region.start) !== null && number(profile.region.end) !== null ?
+            { start: profile.region.start, end: profile.region.end } : null;
+
+        return {
+            type: REFERENCE_PROFILE_TYPE,
+            name: profile.name.trim(),
+            duration: number(profile.duration),
+            sampleRate: number(profile.sampleRate),
+            numberOfChannels: number(profile.numberOfChannels),
+            region: region,
+            analysis: {
+                rms: number(analysis.rms),
+                peak: number(analysis.peak),
+                lufs: number(analysis.lufs),
+                truePeak: number(analysis.truePeak),
+                loudnessRange: number(analysis.loudnessRange),
+                shortTermMax: number(analysis.shortTermMax),
+                momentaryMax: number(analysis.momentaryMax),
+                frequencyResponse: numbers(analysis.frequencyResponse),
+                averageSpectrum: {
+                    sampleRate: spectrum.sampleRate,
+                    fftSize: spectrum.fftSize,
+                    magnitudes: spectrum.magnitudes.slice()
+                },
+                psychoacousticProfile: numbers(analysis.psychoacousticProfile),
+                dynamicRange: number(analysis.dynamicRange),
+                stereoWidth: number(analysis.stereoWidth),
+                midSide: analysis.midSide ? {
+                    midRMS: number(analysis.midSide.midRMS),
+                    sideRMS: number(analysis.midSide.sideRMS),
+                    sideToMid: number(analysis.midSide.sideToMid),
+                    bands: numbers(analysis.midSide.bands)
+                } : null
+            },
+            bandDynamics: bandDynamics
+        };
+    }
+}
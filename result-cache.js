@@ -0,0 +1,103 @@
+// Result Cache for Studio Buddy Web
+// Railway API results - analyses and separated stems - kept in IndexedDB under a SHA-256
+// hash of the audio, so the same track isn't uploaded, processed and counted against the
+// usage limit again. Entries expire after a TTL; a failing cache only ever costs a miss.
+
+class ResultCache {
+    constructor() {
+        this.store = new IndexedDBStore('studio_buddy_cache', 'results', 'key');
+        this.ttl = 7 * 24 * 60 * 60 * 1000;
+    }
+
+    get available() {
+        return typeof indexedDB !== 'undefined' && typeof crypto !== 'undefined' && !!crypto.subtle;
+    }
+
+    async hashAudio(audioBuffer, file = null) {
+        // The file is what the server receives, so it's hashed when there is one; otherwise the
+        // decoded samples. Resolves to a hex digest
+        if (!crypto.subtle) {
+            throw new Error('SHA-256 needs a secure (https) page');
+        }
+        if (file) {
+            return this.toHex(await crypto.subtle.digest('SHA-256', await file.arrayBuffer()));
+        }
+        if (!audioBuffer) {
+            throw new Error('No audio to hash');
+        }
+
+        // One digest per channel, then a digest of the format and those, so no channel is copied
+        const header = new Float64Array([audioBuffer.sampleRate, audioBuffer.numberOfChannels, audioBuffer.length]);
+        const parts = [new Uint8Array(header.buffer)];
+        for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+            const data = audioBuffer.getChannelData(channel);
+            parts.push(new Uint8Array(await crypto.subtle.digest('SHA-256',
+                new Uint8Array(data.buffer, data.byteOffset, data.byteLength))));
+        }
+
+        const combined = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+        let offset = 0;
+        for (const part of parts) {
+            combined.set(part, offset);
+            offset += part.length;
+        }
+        return this.toHex(await crypto.subtle.digest('SHA-256', combined));
+    }
+
+    toHex(digest) {
+        return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    async get(key) {
+        // The stored value, or null when missing, expired or unreadable
+        try {
+            const entry = await this.store.run('readonly', store => store.get(key));
+            if (!entry) return null;
+            if (entry.expiresAt <= Date.now()) {
+                await this.store.run('readwrite', store => store.delete(key));
+                return null;
+            }
+            return entry.value;
+        } catch (error) {
+            console.warn('⚠️ Result cache lookup failed:', error);
+            return null;
+        }
+    }
+
+    async set(key, value) {
+        try {
+            const now = Date.now();
+            await this.store.run('readwrite', store => store.put({ key: key, value: value, storedAt: now, expiresAt: now + this.ttl }));
+        } catch (error) {
+            console.warn('⚠️ Could not cache the result:', error);
+        }
+    }
+
+    async count() {
+        return this.store.run('readonly', store => store.count());
+    }
+
+    async clear() {
+        await this.store.run('readwrite', store => store.clear());
+        console.log('🗑️ Result cache cleared');
+    }
+
+    async prune() {
+        // Drops expired entries - get() only removes the ones it's asked for
+        let removed = 0;
+        await this.store.run('readwrite', store => {
+            const request = store.openCursor();
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return;
+                if (cursor.value.expiresAt <= Date.now()) {
+                    cursor.delete();
+                    removed++;
+                }
+                cursor.continue();
+            };
+            return request;
+        });
+        return removed;
+    }
+}
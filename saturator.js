@@ -0,0 +1,165 @@
+// Saturator for Studio Buddy Web
+// Optional 4x oversampled waveshaper with tape, tube, transistor and clean-clip
+// characters, drive and dry/wet mix
+
+const SATURATION_CHARACTERS = {
+    tape: 'Tape',
+    tube: 'Tube',
+    transistor: 'Transistor',
+    clean: 'Clean clip'
+};
+
+const DEFAULT_SATURATION_CHARACTER = 'tape';
+
+class Saturator {
+    constructor(sampleRate, options = {}) {
+        this.sampleRate = sampleRate;
+        this.character = options.character in SATURATION_CHARACTERS ? options.character : DEFAULT_SATURATION_CHARACTER;
+        this.drive = options.drive !== undefined ? options.drive : 6;    // dB into the curve
+        this.mix = options.mix !== undefined ? options.mix : 1.0;        // 0 = dry, 1 = wet
+        this.factor = options.oversampling || 4;
+        this.tapsPerPhase = 24;
+
+        // Tube bias adds even harmonics; the DC it leaves is removed after decimation
+        this.tubeBias = 0.3;
+        this.tubeOffset = Math.tanh(this.tubeBias);
+        this.tubeSlope = 1 - this.tubeOffset * this.tubeOffset;
+
+        this.filter = this.createAntiAliasFilter();
+        this.shape = this.createCurve(this.character);
+    }
+
+    process(channels) {
+        if (this.mix <= 0) return;
+
+        const driveGain = Math.pow(10, this.drive / 20);
+        for (const channelData of channels) {
+            const wet = this.processChannel(channelData, driveGain);
+            this.removeDC(wet);
+            for (let i = 0; i < channelData.length; i++) {
+                channelData[i] += (wet[i] - channelData[i]) * this.mix;
+            }
+        }
+    }
+
+    processChannel(channelData, driveGain) {
+        // Polyphase upsample → waveshape → anti-alias filter → decimate, one input sample at a time
+        const factor = this.factor;
+        const taps = this.tapsPerPhase;
+        const { phases, kernel } = this.filter;
+        const kernelLength = kernel.length;
+        const shape = this.shape;
+
+        const length = channelData.length;
+        const history = new Float32Array(taps);           // recent input samples, newest first
+        const upsampled = new Float32Array(kernelLength * 2);  // mirrored ring of shaped oversampled samples
+        const wet = new Float32Array(length);
+        let ringIndex = 0;
+
+        // Both filters together delay by kernelLength - 1 oversampled samples; reading after the
+        // last phase makes that a whole number of input samples
+        const delay = (kernelLength - factor) / factor;
+
+        for (let n = 0; n < length + delay; n++) {
+            for (let tap = taps - 1; tap > 0; tap--) history[tap] = history[tap - 1];
+            history[0] = n < length ? channelData[n] * driveGain : 0;
+
+            for (let phase = 0; phase < factor; phase++) {
+                const coefficients = phases[phase];
+                let sum = 0;
+                for (let tap = 0; tap < taps; tap++) {
+                    sum += history[tap] * coefficients[tap];
+                }
+                const shaped = shape(sum);
+                upsampled[ringIndex] = shaped;
+                upsampled[ringIndex + kernelLength] = shaped;
+                ringIndex = ringIndex + 1 === kernelLength ? 0 : ringIndex + 1;
+            }
+
+            // Decimate: one low-passed output per input sample
+            let output = 0;
+            const newest = ringIndex - 1 + kernelLength;
+            for (let k = 0; k < kernelLength; k++) {
+                output += kernel[k] * upsampled[newest - k];
+            }
+
+            const index = n - delay;
+            if (index >= 0) wet[index] = output / driveGain;
+        }
+
+        return wet;
+    }
+
+    createCurve(character) {
+        // Every curve has unity slope at zero, so drive changes colour rather than level
+        if (character === 'tube') {
+            const bias = this.tubeBias;
+            const offset = this.tubeOffset;
+            const slope = this.tubeSlope;
+            return (x) => (Math.tanh(x + bias) - offset) / slope;
+        }
+        if (character === 'transistor') {
+            // Sharper knee than tanh
+            return (x) => {
+                const squared = x * x;
+                return x / Math.sqrt(Math.sqrt(1 + squared * squared));
+            };
+        }
+        if (character === 'clean') {
+            // Cubic soft knee reaching ±1 at |x| = 1.5, flat above
+            return (x) => {
+                const scaled = x * 2 / 3;
+                if (scaled >= 1) return 1;
+                if (scaled <= -1) return -1;
+                return 1.5 * (scaled - scaled * scaled * scaled / 3);
+            };
+        }
+        return (x) => Math.tanh(x);
+    }
+
+    createAntiAliasFilter() {
+        // Blackman-windowed sinc at the original Nyquist, shared by interpolation and decimation
+        const factor = this.factor;
+        const length = this.tapsPerPhase * factor;
+        const center = (length - 1) / 2;
+        const kernel = new Float32Array(length);
+        let sum = 0;
+
+        for (let n = 0; n < length; n++) {
+            const x = (n - center) / factor;
+            const sinc = x === 0 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x);
+            const window = 0.42 - 0.5 * Math.cos(2 * Math.PI * n / (length - 1)) +
+                0.08 * Math.cos(4 * Math.PI * n / (length - 1));
+            kernel[n] = sinc * window;
+            sum += kernel[n];
+        }
+        for (let n = 0; n < length; n++) {
+            kernel[n] /= sum;
+        }
+
+        // Interpolation phases carry the zero-stuffing gain of `factor`
+        const phases = [];
+        for (let phase = 0; phase < factor; phase++) {
+            const coefficients = new Float32Array(this.tapsPerPhase);
+            for (let tap = 0; tap < this.tapsPerPhase; tap++) {
+                coefficients[tap] = kernel[tap * factor + phase] * factor;
+            }
+            phases.push(coefficients);
+        }
+
+        return { kernel: kernel, phases: phases };
+    }
+
+    removeDC(audioData) {
+        // 5 Hz one-pole high-pass
+        const coefficient = Math.exp(-2 * Math.PI * 5 / this.sampleRate);
+        let previousInput = 0;
+        let previousOutput = 0;
+        for (let i = 0; i < audioData.length; i++) {
+            const output = audioData[i] - previousInput + coefficient * previousOutput;
+            previousInput = audioData[i];
+            previousOutput = output;
+            audioData[i] = output;
+        }
+    }
+}
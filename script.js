@@ -4,11 +4,35 @@ class StudioBuddyApp {
     constructor() {
         this.audioContext = null;
         this.sourceBuffer = null;
-        this.referenceBuffer = null;
+        this.references = [];      // [{ id, name, buffer | profile, weight, analysis }], blended into one target
+        this.nextReferenceId = 1;
+        this.maxReferences = 5;
+        this.abReferenceId = null; // the reference the A/B transport plays
+        this.sourceAnalysis = null;
+        this.referenceRegionToken = 0;
         this.masteredBuffer = null;
-        this.currentlyPlaying = null;
+        this.masteringReport = null;
+        this.sourceFileName = null;
+        this.sourceFileKey = null;
+        this.analyzeFileKey = null;
+        this.analyzeFileName = null;
+        this.analyzeFile = null;        // uploaded as-is for analysis, rather than re-encoded
+        this.trackAnalyses = {};   // /analyze results by file, used to pre-fill export metadata
+        this.abPlayer = null;
+        this.previewChain = null;
+        this.previewPreparing = false;
+        this.transportFrame = null;
         this.audioProcessor = null;
+        this.masteringClient = null;
+        this.masteringQueue = null;
+        this.presetManager = null;
+        this.referenceProfiles = null;
+        this.profileList = [];     // saved reference profiles for the picker
+        this.presetList = [];
+        this.activePreset = null;   // last applied preset, reported while the controls still match it
         this.audioAnalyzer = null;
+        this.stemMixer = null;
+        this.stemSourceName = null;
         this.lyricsGenerator = null;
         
         this.init();
@@ -19,8 +43,17 @@ class StudioBuddyApp {
             // Initialize Web Audio API
             this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
             this.audioProcessor = new AudioProcessor(this.audioContext);
+            this.masteringClient = new MasteringWorkerClient(this.audioContext, this.audioProcessor);
+            this.masteringQueue = new MasteringQueue(this.audioContext, this.masteringClient);
+            this.abPlayer = new ABPlayer(this.audioContext);
+            this.previewChain = new PreviewChain(this.audioContext, this.audioProcessor);
+            this.reportExporter = new MasteringReportExporter();
+            this.audioExporter = new AudioExporter();
+            this.presetManager = new PresetManager();
+            this.referenceProfiles = new ReferenceProfileLibrary();
+            this.stemMixer = new StemMixer(this.audioContext);
             
-            // Use Railway API Manager - SERVER ONLY (no client-side fallback)
+            // Use Railway API Manager - analysis falls back to the offline analyzer when it's down
             this.audioAnalyzer = new RailwayAPIManager();
             
             // Initialize AI Lyrics Generator
@@ -30,7 +63,7 @@ class StudioBuddyApp {
             const isHealthy = await this.audioAnalyzer.checkHealth();
             if (!isHealthy) {
                 console.warn('⚠️  Railway API health check failed');
-                this.showNotification('Railway API may be unavailable', 'warning');
+                this.showNotification('Railway API unavailable - analysis will run in your browser', 'warning');
             } else {
                 console.log('✅ Railway API is healthy');
                 const version = await this.audioAnalyzer.getVersion();
@@ -57,6 +90,7 @@ class StudioBuddyApp {
             this.setupEventListeners();
             this.setupMatrixBackground();
             this.updateClock();
+            this.resumeServerJobs();
             
             console.log('Studio Buddy Web initialized with TuneBat-style analysis');
         } catch (error) {
@@ -99,15 +133,28 @@ class StudioBuddyApp {
         });
 
         document.getElementById('reference-file').addEventListener('change', (e) => {
-            this.handleReferenceFile(e.target.files[0]);
+            this.handleReferenceFiles(e.target.files);
+            e.target.value = '';
         });
+        this.setupReferenceList();
 
         document.getElementById('analyze-file').addEventListener('change', (e) => {
             this.handleAnalyzeFile(e.target.files[0]);
         });
 
         // Control sliders
+        this.setupLimiterControls();
+        this.setupMultibandControls();
+        this.setupSaturationControls();
         this.setupSliderListeners();
+        this.setupDeliveryProfileSelector();
+        this.setupStereoModeSelector();
+        this.setupPresetControls();
+        this.setupQueueButton();
+        this.setupABControls();
+        this.setupTransport();
+        this.setupStemControls();
+        this.setupCacheControls();
 
         // Buttons
         document.getElementById('master-button').addEventListener('click', () => {
@@ -155,7 +202,12 @@ class StudioBuddyApp {
             { id: 'output-level', valueId: 'output-level-value', suffix: ' dB' },
             { id: 'compression', valueId: 'compression-value', suffix: '' },
             { id: 'eq-intensity', valueId: 'eq-intensity-value', suffix: '%' },
-            { id: 'stereo-width', valueId: 'stereo-width-value', suffix: '%' }
+            { id: 'stereo-width', valueId: 'stereo-width-value', suffix: '%' },
+            { id: 'limiter-attack', valueId: 'limiter-attack-value', suffix: ' ms' },
+            { id: 'limiter-release', valueId: 'limiter-release-value', suffix: ' ms' },
+            { id: 'limiter-lookahead', valueId: 'limiter-lookahead-value', suffix: ' ms' },
+            { id: 'saturation-drive', valueId: 'saturation-drive-value', suffix: ' dB' },
+            { id: 'saturation-mix', valueId: 'saturation-mix-value', suffix: '%' }
         ];
 
         sliders.forEach(slider => {
@@ -168,6 +220,1130 @@ class StudioBuddyApp {
         });
     }
 
+    setupLimiterControls() {
+        if (document.getElementById('limiter-attack')) return;
+
+        const settingsContent = document.querySelector('#settings-window .window-content');
+        if (!settingsContent) return;
+
+        const section = document.createElement('div');
+        section.className = 'section';
+        section.innerHTML = '<h3>True-Peak Limiter</h3>';
+
+        const controls = [
+            { id: 'limiter-attack', label: 'Attack', min: 0.5, max: 10, step: 0.5, value: 5 },
+            { id: 'limiter-release', label: 'Release', min: 10, max: 500, step: 10, value: 80 },
+            { id: 'limiter-lookahead', label: 'Lookahead', min: 1, max: 10, step: 0.5, value: 5 }
+        ];
+
+        controls.forEach(control => {
+            const item = document.createElement('div');
+            item.className = 'setting-item';
+            item.innerHTML = `
+                <label for="${control.id}">${control.label}:</label>
+                <input type="range" id="${control.id}" min="${control.min}" max="${control.max}" step="${control.step}" value="${control.value}" style="width: 100px;">
+                <span id="${control.id}-value">${control.value} ms</span>
+            `;
+            section.appendChild(item);
+        });
+
+        settingsContent.appendChild(section);
+    }
+
+    setupSaturationControls() {
+        if (document.getElementById('saturation')) return;
+
+        const settingsContent = document.querySelector('#settings-window .window-content');
+        if (!settingsContent) return;
+
+        const section = document.createElement('div');
+        section.className = 'section';
+        section.innerHTML = `
+            <h3>Saturation</h3>
+            <div class="setting-item">
+                <label><input type="checkbox" id="saturation"> Enable saturation (4x oversampled)</label>
+            </div>
+            <div class="setting-item">
+                <label for="saturation-character">Character:</label>
+                <select id="saturation-character"></select>
+            </div>
+            <div class="setting-item">
+                <label for="saturation-drive">Drive:</label>
+                <input type="range" id="saturation-drive" min="0" max="24" step="0.5" value="6" style="width: 100px;">
+                <span id="saturation-drive-value">6 dB</span>
+            </div>
+            <div class="setting-item">
+                <label for="saturation-mix">Mix:</label>
+                <input type="range" id="saturation-mix" min="0" max="100" step="1" value="100" style="width: 100px;">
+                <span id="saturation-mix-value">100%</span>
+            </div>
+        `;
+
+        const select = section.querySelector('#saturation-character');
+        for (const [id, name] of Object.entries(SATURATION_CHARACTERS)) {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = name;
+            option.selected = id === DEFAULT_SATURATION_CHARACTER;
+            select.appendChild(option);
+        }
+
+        settingsContent.appendChild(section);
+    }
+
+    setupMultibandControls() {
+        if (document.getElementById('multiband-compression')) return;
+
+        const settingsContent = document.querySelector('#settings-window .window-content');
+        if (!settingsContent) return;
+
+        const section = document.createElement('div');
+        section.className = 'section';
+        section.innerHTML = `
+            <h3>Multiband Compressor</h3>
+            <div class="setting-item">
+                <label><input type="checkbox" id="multiband-compression"> Enable multiband compression</label>
+            </div>
+            <div class="setting-item">
+                <label for="multiband-preset">Preset:</label>
+                <select id="multiband-preset"></select>
+            </div>
+            <div id="multiband-bands"></div>
+        `;
+
+        const select = section.querySelector('#multiband-preset');
+        for (const [id, preset] of Object.entries(MULTIBAND_PRESETS)) {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = preset.name;
+            option.selected = id === DEFAULT_MULTIBAND_PRESET;
+            select.appendChild(option);
+        }
+        select.addEventListener('change', () => this.renderMultibandBands());
+
+        settingsContent.appendChild(section);
+        this.renderMultibandBands();
+    }
+
+    renderMultibandBands() {
+        // One row per band; empty fields follow the preset / reference
+        const preset = MULTIBAND_PRESETS[document.getElementById('multiband-preset').value];
+        const edges = [0, ...preset.crossovers, null];
+        const formatFrequency = (frequency) => frequency >= 1000 ? `${frequency / 1000}k` : `${frequency}`;
+
+        let html = `<table class="multiband-table">
+            <tr><th>Band</th><th>Thresh (dBFS)</th><th>Ratio</th><th>Attack (ms)</th><th>Release (ms)</th><th>Makeup (dB)</th></tr>`;
+        preset.bands.forEach((band, index) => {
+            const range = edges[index + 1] === null ?
+                `${formatFrequency(edges[index])}+` :
+                `${formatFrequency(edges[index])}-${formatFrequency(edges[index + 1])}`;
+            html += `<tr><td>${range} Hz</td>
+                <td><input type="number" id="mb-${index}-threshold" step="0.5" placeholder="auto"></td>
+                <td><input type="number" id="mb-${index}-ratio" min="1" max="20" step="0.1" placeholder="${band.ratio}"></td>
+                <td><input type="number" id="mb-${index}-attack" min="0.1" step="1" placeholder="${band.attack}"></td>
+                <td><input type="number" id="mb-${index}-release" min="1" step="10" placeholder="${band.release}"></td>
+                <td><input type="number" id="mb-${index}-makeup" step="0.5" placeholder="${band.makeup}"></td></tr>`;
+        });
+        html += '</table>';
+
+        document.getElementById('multiband-bands').innerHTML = html;
+    }
+
+    getMultibandOverrides() {
+        const preset = MULTIBAND_PRESETS[document.getElementById('multiband-preset').value];
+        return preset.bands.map((band, index) => {
+            const override = {};
+            for (const key of ['threshold', 'ratio', 'attack', 'release', 'makeup']) {
+                const input = document.getElementById(`mb-${index}-${key}`);
+                if (input && input.value !== '') {
+                    override[key] = parseFloat(input.value);
+                }
+            }
+            return override;
+        });
+    }
+
+    setupDeliveryProfileSelector() {
+        const options = Object.entries(DELIVERY_PROFILES).map(([id, profile]) => ({
+            value: id,
+            label: `${profile.name} (${profile.integrated} LUFS)`
+        }));
+        this.createSelectControl('delivery-profile', 'Delivery:', options, DEFAULT_DELIVERY_PROFILE);
+    }
+
+    setupStereoModeSelector() {
+        this.createSelectControl('stereo-mode', 'Stereo:', [
+            { value: 'linked', label: 'Linked stereo' },
+            { value: 'midSide', label: 'Mid/Side' },
+            { value: 'independent', label: 'Independent L/R' }
+        ], 'linked');
+    }
+
+    createSelectControl(id, labelText, options, selectedValue) {
+        if (document.getElementById(id)) return;
+
+        const controls = document.querySelector('#studio-buddy-window .controls-grid') ||
+            document.querySelector('#studio-buddy-window .window-content');
+        if (!controls) return;
+
+        const group = document.createElement('div');
+        group.className = 'control-group';
+        group.innerHTML = `<label for="${id}">${labelText}</label>`;
+
+        const select = document.createElement('select');
+        select.id = id;
+        this.fillSelect(select, options, selectedValue);
+
+        group.appendChild(select);
+        controls.appendChild(group);
+    }
+
+    fillSelect(select, options, selectedValue) {
+        for (const { value, label } of options) {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            option.selected = value === selectedValue;
+            select.appendChild(option);
+        }
+    }
+
+    setupPresetControls() {
+        if (document.getElementById('preset-select')) return;
+
+        const settingsContent = document.querySelector('#settings-window .window-content');
+        if (!settingsContent) return;
+
+        const section = document.createElement('div');
+        section.className = 'section preset-controls';
+        section.innerHTML = `
+            <h3>Presets</h3>
+            <div class="setting-item">
+                <label for="preset-select">Preset:</label>
+                <select id="preset-select"></select>
+                <button id="preset-delete" disabled>Delete</button>
+            </div>
+            <div class="setting-item">
+                <label for="preset-name">Save as:</label>
+                <input type="text" id="preset-name" maxlength="60" placeholder="My preset">
+                <button id="preset-save">Save</button>
+            </div>
+            <div class="setting-item">
+                <button id="preset-export">Export...</button>
+                <label class="preset-import">Import...<input type="file" id="preset-file" accept=".json,application/json" hidden></label>
+            </div>
+            <div class="preset-storage" id="preset-storage"></div>
+        `;
+        settingsContent.insertBefore(section, settingsContent.firstChild);
+
+        section.querySelector('#preset-select').addEventListener('change', (e) => this.selectPreset(e.target.value));
+        section.querySelector('#preset-save').addEventListener('click', () => this.savePreset());
+        section.querySelector('#preset-delete').addEventListener('click', () => this.deletePreset());
+        section.querySelector('#preset-export').addEventListener('click', () => this.exportPreset());
+        section.querySelector('#preset-file').addEventListener('change', (e) => {
+            this.importPresets(e.target.files[0]);
+            e.target.value = '';
+        });
+
+        // Editing any control after loading a preset drops back to "Custom"
+        const syncSelection = (e) => {
+            if (!e.target.closest('.preset-controls')) this.syncPresetSelection();
+        };
+        document.addEventListener('input', syncSelection);
+        document.addEventListener('change', syncSelection);
+
+        // Signing in or out switches between browser and account presets
+        if (window.authManager) {
+            window.authManager.onAuthStateChange(() => this.refreshPresetList());
+        }
+        this.refreshPresetList();
+    }
+
+    async refreshPresetList(selectedValue) {
+        const select = document.getElementById('preset-select');
+        if (!select) return;
+
+        this.presetList = this.presetManager.getFactoryPresets();
+        const userPresets = await this.presetManager.listUserPresets();
+        this.presetList.push(...userPresets);
+
+        select.innerHTML = '<option value="">Custom</option>';
+        const groups = [
+            { label: 'Factory', presets: this.presetList.filter(preset => preset.factory), prefix: 'factory:' },
+            { label: 'My presets', presets: userPresets, prefix: 'user:' }
+        ];
+        for (const group of groups) {
+            if (group.presets.length === 0) continue;
+            const optgroup = document.createElement('optgroup');
+            optgroup.label = group.label;
+            group.presets.forEach(preset => {
+                const option = document.createElement('option');
+                option.value = group.prefix + preset.id;
+                option.textContent = preset.name;
+                optgroup.appendChild(option);
+            });
+            select.appendChild(optgroup);
+        }
+
+        document.getElementById('preset-storage').textContent = this.presetManager.storageLocation === 'account' ?
+            '☁️ Your presets are saved to your account' :
+            '💻 Your presets are saved in this browser - sign in to keep them in your account';
+
+        // Keep the loaded preset selected across refreshes (e.g. after signing in) if it still exists
+        select.value = selectedValue !== undefined ? selectedValue :
+            (this.activePreset ? this.getPresetValue(this.activePreset) : '');
+        if (!select.value) {
+            this.activePreset = null;
+        }
+        this.updatePresetButtons();
+    }
+
+    findPreset(value) {
+        const [kind, id] = value.split(/:(.*)/);
+        return (this.presetList || []).find(preset => preset.id === id && preset.factory === (kind === 'factory')) || null;
+    }
+
+    getPresetValue(preset) {
+        return `${preset.factory ? 'factory' : 'user'}:${preset.id}`;
+    }
+
+    selectPreset(value) {
+        const preset = value ? this.findPreset(value) : null;
+        if (preset) {
+            this.applySettings(preset.settings);
+            this.activePreset = preset;
+            document.getElementById('preset-select').value = value;
+            if (!preset.factory) {
+                document.getElementById('preset-name').value = preset.name;
+            }
+            console.log(`🎚️ Preset "${preset.name}" loaded`);
+        } else {
+            this.activePreset = null;
+        }
+        this.updatePresetButtons();
+    }
+
+    syncPresetSelection() {
+        const select = document.getElementById('preset-select');
+        if (!select || !this.activePreset) return;
+
+        if (!this.presetManager.matches(this.activePreset, this.getProcessingSettings())) {
+            this.activePreset = null;
+            select.value = '';
+            this.updatePresetButtons();
+        }
+    }
+
+    updatePresetButtons() {
+        const select = document.getElementById('preset-select');
+        const preset = select.value ? this.findPreset(select.value) : null;
+        document.getElementById('preset-delete').disabled = !preset || preset.factory;
+    }
+
+    applySettings(settings) {
+        // Inverse of getProcessingSettings; keys the preset leaves out keep their current value
+        const sliders = {
+            outputLevel: { id: 'output-level', scale: 1 },
+            compression: { id: 'compression', scale: 1 },
+            eqIntensity: { id: 'eq-intensity', scale: 100 },
+            stereoWidth: { id: 'stereo-width', scale: 100 },
+            limiterAttack: { id: 'limiter-attack', scale: 1 },
+            limiterRelease: { id: 'limiter-release', scale: 1 },
+            limiterLookahead: { id: 'limiter-lookahead', scale: 1 },
+            saturationDrive: { id: 'saturation-drive', scale: 1 },
+            saturationMix: { id: 'saturation-mix', scale: 100 },
+            referenceRegionLength: { id: 'reference-region-length', scale: 1 }
+        };
+        const checkboxes = {
+            autoNormalize: 'auto-normalize',
+            enableLimiting: 'enable-limiting',
+            psychoacousticProcessing: 'psychoacoustic-processing',
+            multibandCompression: 'multiband-compression',
+            saturation: 'saturation'
+        };
+        const selects = {
+            stereoMode: 'stereo-mode',
+            deliveryProfile: 'delivery-profile',
+            saturationCharacter: 'saturation-character',
+            referenceRegion: 'reference-region'
+        };
+
+        for (const [key, slider] of Object.entries(sliders)) {
+            const element = document.getElementById(slider.id);
+            if (!element || settings[key] === undefined) continue;
+            element.value = Math.round(settings[key] * slider.scale * 1000) / 1000;
+            element.dispatchEvent(new Event('input'));   // refreshes the value label
+        }
+        for (const [key, id] of Object.entries(checkboxes)) {
+            const element = document.getElementById(id);
+            if (element && settings[key] !== undefined) element.checked = settings[key];
+        }
+        for (const [key, id] of Object.entries(selects)) {
+            const element = document.getElementById(id);
+            if (element && settings[key] !== undefined) element.value = settings[key];
+        }
+
+        // The band rows depend on the multiband preset, so rebuild them before filling overrides
+        const multibandSelect = document.getElementById('multiband-preset');
+        if (multibandSelect && settings.multibandPreset !== undefined) {
+            multibandSelect.value = settings.multibandPreset;
+            this.renderMultibandBands();
+        }
+        if (settings.multibandOverrides !== undefined) {
+            document.querySelectorAll('#multiband-bands input').forEach(input => { input.value = ''; });
+            settings.multibandOverrides.forEach((override, index) => {
+                for (const [key, value] of Object.entries(override || {})) {
+                    const input = document.getElementById(`mb-${index}-${key}`);
+                    if (input) input.value = value;
+                }
+            });
+        }
+        this.updatePreviewSettings();
+        this.updateReferenceRegion();
+    }
+
+    async savePreset() {
+        const name = document.getElementById('preset-name').value;
+        try {
+            const preset = await this.presetManager.save(name, this.getProcessingSettings());
+            await this.refreshPresetList(this.getPresetValue(preset));
+            this.activePreset = this.findPreset(this.getPresetValue(preset));
+            this.showNotification(`Preset "${preset.name}" saved`, 'success');
+        } catch (error) {
+            console.error('Error saving preset:', error);
+            alert(`Could not save preset: ${error.message}`);
+        }
+    }
+
+    async deletePreset() {
+        const select = document.getElementById('preset-select');
+        const preset = this.findPreset(select.value);
+        if (!preset || preset.factory) return;
+        if (!confirm(`Delete preset "${preset.name}"?`)) return;
+
+        try {
+            await this.presetManager.remove(preset.id);
+            this.activePreset = null;
+            await this.refreshPresetList('');
+        } catch (error) {
+            console.error('Error deleting preset:', error);
+            alert(`Could not delete preset: ${error.message}`);
+        }
+    }
+
+    exportPreset() {
+        // Exports the selected preset, or the current controls when none is selected
+        const select = document.getElementById('preset-select');
+        const preset = select.value ? this.findPreset(select.value) : null;
+        const name = preset ? preset.name : (document.getElementById('preset-name').value.trim() || 'Custom');
+        const settings = preset ? preset.settings : this.presetManager.sanitizeSettings(this.getProcessingSettings());
+
+        const blob = new Blob([this.presetManager.toJSON([{ name: name, settings: settings }])], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `${name.replace(/[^\w\-]+/g, '_')}_preset.json`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
+    async importPresets(file) {
+        if (!file) return;
+
+        try {
+            const saved = await this.presetManager.importFile(await file.text());
+            const first = saved[0];
+            await this.refreshPresetList(this.getPresetValue(first));
+            this.selectPreset(this.getPresetValue(first));
+            this.showNotification(saved.length === 1 ?
+                `Preset "${first.name}" imported` :
+                `${saved.length} presets imported`, 'success');
+        } catch (error) {
+            console.error('Error importing presets:', error);
+            alert(`Could not import presets: ${error.message}`);
+        }
+    }
+
+    setupABControls() {
+        if (document.getElementById('ab-difference-btn')) return;
+
+        // index.html ships the Original/Mastered buttons with inline handlers for the old
+        // <audio>-element player; take them over rather than duplicating them
+        let originalButton = document.getElementById('ab-original-btn');
+        let masteredButton = document.getElementById('ab-mastered-btn');
+        let buttons;
+        if (originalButton && masteredButton) {
+            buttons = originalButton.parentNode;
+            [originalButton, masteredButton].forEach(button => {
+                button.removeAttribute('onclick');
+                button.removeAttribute('style');
+            });
+        } else {
+            const content = document.querySelector('#studio-buddy-window .window-content');
+            if (!content) return;
+
+            const section = document.createElement('div');
+            section.className = 'section';
+            section.innerHTML = `
+                <h3>A/B Comparison</h3>
+                <div>
+                    <button id="ab-original-btn">🎵 Original</button>
+                    <button id="ab-mastered-btn" disabled>✨ Mastered</button>
+                </div>
+                <div id="ab-status"></div>
+            `;
+            content.appendChild(section);
+            originalButton = section.querySelector('#ab-original-btn');
+            masteredButton = section.querySelector('#ab-mastered-btn');
+            buttons = originalButton.parentNode;
+        }
+        buttons.classList.add('ab-buttons');
+
+        const differenceButton = document.createElement('button');
+        differenceButton.id = 'ab-difference-btn';
+        differenceButton.textContent = '〰️ Difference';
+        differenceButton.title = 'Original minus master (null test)';
+        differenceButton.disabled = true;
+        buttons.appendChild(differenceButton);
+
+        const referenceButton = document.createElement('button');
+        referenceButton.id = 'ab-reference-btn';
+        referenceButton.textContent = '🎯 Reference';
+        referenceButton.disabled = true;
+        buttons.appendChild(referenceButton);
+
+        const previewButton = document.createElement('button');
+        previewButton.id = 'ab-preview-btn';
+        previewButton.textContent = '🎧 Live preview';
+        previewButton.title = 'The original through the current settings, updated as you change them';
+        previewButton.disabled = true;
+        buttons.appendChild(previewButton);
+
+        const options = document.createElement('div');
+        options.className = 'ab-options';
+        options.innerHTML = `
+            <div class="setting-item">
+                <label><input type="checkbox" id="ab-level-match" checked> Match loudness</label>
+            </div>
+            <div class="setting-item ab-loop">
+                <label><input type="checkbox" id="ab-loop"> Loop</label>
+                <input type="number" id="ab-loop-start" min="0" step="0.1" value="0"> -
+                <input type="number" id="ab-loop-end" min="0" step="0.1" value="0"> s
+                <button id="ab-loop-in" title="Loop from the playhead">[ In</button>
+                <button id="ab-loop-out" title="Loop to the playhead">Out ]</button>
+            </div>
+        `;
+        buttons.insertAdjacentElement('afterend', options);
+
+        originalButton.addEventListener('click', () => this.selectABMode('original'));
+        masteredButton.addEventListener('click', () => this.selectABMode('mastered'));
+        differenceButton.addEventListener('click', () => this.selectABMode('difference'));
+        referenceButton.addEventListener('click', () => this.selectABMode('reference'));
+        previewButton.addEventListener('click', () => this.selectABMode('preview'));
+
+        document.getElementById('ab-level-match').addEventListener('change', (e) => {
+            this.abPlayer.setLevelMatch(e.target.checked);
+            this.updateABControls();
+        });
+
+        const applyLoop = () => this.applyABLoop();
+        document.getElementById('ab-loop').addEventListener('change', applyLoop);
+        document.getElementById('ab-loop-start').addEventListener('change', applyLoop);
+        document.getElementById('ab-loop-end').addEventListener('change', applyLoop);
+        document.getElementById('ab-loop-in').addEventListener('click', () => this.setLoopPoint('start'));
+        document.getElementById('ab-loop-out').addEventListener('click', () => this.setLoopPoint('end'));
+
+        this.abPlayer.onEnded = () => {
+            this.updateABControls();
+            this.updateTransport();
+        };
+
+        // Mastering controls re-route the live preview as they move
+        const previewControls = [
+            'output-level', 'compression', 'eq-intensity', 'stereo-width', 'enable-limiting',
+            'psychoacoustic-processing', 'limiter-attack', 'limiter-release', 'delivery-profile',
+            'multiband-compression', 'multiband-preset', 'saturation', 'saturation-character',
+            'saturation-drive', 'saturation-mix'
+        ];
+        const updatePreview = (e) => {
+            if (previewControls.includes(e.target.id) || e.target.closest('#multiband-bands')) {
+                this.updatePreviewSettings();
+            }
+        };
+        document.addEventListener('input', updatePreview);
+        document.addEventListener('change', updatePreview);
+        this.previewChain.onCalibrated = () => {
+            this.abPlayer.rampGains();
+            this.updateABControls();
+        };
+        this.updateABControls();
+    }
+
+    async selectABMode(mode) {
+        if (!this.abPlayer.hasMode(mode)) return;
+
+        // Clicking the version that is already playing pauses; anything else switches in place
+        if (this.abPlayer.playing && this.abPlayer.mode === mode) {
+            this.abPlayer.pause();
+        } else {
+            this.abPlayer.setMode(mode);
+            if (!this.abPlayer.playing) {
+                await this.abPlayer.play();
+            }
+        }
+        this.updateABControls();
+        this.startTransportUpdates();
+    }
+
+    applyABLoop() {
+        const checkbox = document.getElementById('ab-loop');
+        const start = parseFloat(document.getElementById('ab-loop-start').value) || 0;
+        const end = parseFloat(document.getElementById('ab-loop-end').value) || 0;
+
+        // Regions shorter than 100 ms (or reversed) are refused rather than looping on a click
+        checkbox.checked = this.abPlayer.setLoop(checkbox.checked, Math.min(start, end), Math.max(start, end));
+        this.updateTransport();
+    }
+
+    setLoopPoint(edge) {
+        // Marks the playhead as the loop's in or out point and turns looping on
+        document.getElementById(edge === 'start' ? 'ab-loop-start' : 'ab-loop-end').value = this.abPlayer.position.toFixed(1);
+        document.getElementById('ab-loop').checked = true;
+        this.applyABLoop();
+    }
+
+    setABTrack(mode, buffer, integratedLoudness) {
+        this.abPlayer.setTrack(mode, buffer, integratedLoudness);
+
+        const loopEnd = document.getElementById('ab-loop-end');
+        if (loopEnd && !parseFloat(loopEnd.value)) {
+            loopEnd.value = this.abPlayer.duration.toFixed(1);
+        }
+        this.updateABControls();
+        this.updateTransport();
+    }
+
+    async preparePreview() {
+        // Re-analyzes for the live preview whenever the source or reference changes
+        if (!this.sourceBuffer || !this.previewChain) return;
+
+        this.abPlayer.setPreviewChain(null);
+        this.previewPreparing = true;
+        this.updateABControls();
+        try {
+            if (!this.sourceAnalysis) {
+                this.sourceAnalysis = await this.audioProcessor.analyzeSource(this.sourceBuffer);
+                this.renderReferenceList();
+            }
+            await this.previewChain.prepare(this.sourceBuffer, this.getReferences(), this.getProcessingSettings(), this.sourceAnalysis);
+            this.abPlayer.setPreviewChain(this.previewChain);
+        } catch (error) {
+            console.error('Error preparing the live preview:', error);
+            this.showNotification('Live preview is unavailable for this file', 'warning');
+        } finally {
+            this.previewPreparing = false;
+            this.updateABControls();
+        }
+    }
+
+    updatePreviewSettings() {
+        if (!this.previewChain || !this.previewChain.isReady) return;
+        try {
+            this.previewChain.update(this.getProcessingSettings());
+        } catch (error) {
+            console.warn('⚠️ Live preview update failed:', error);
+        }
+    }
+
+    async updatePreviewReferences(settings = this.getProcessingSettings()) {
+        // The preview analyses references it hasn't seen, which can fail like any decode or analysis
+        try {
+            await this.previewChain.setReferences(this.getReferences(), settings);
+        } catch (error) {
+            console.error('Error updating the live preview references:', error);
+            this.showNotification(`Live preview could not use the references: ${error.message}`, 'warning');
+        }
+    }
+
+    updateABControls() {
+        const status = document.getElementById('ab-status');
+        if (!status) return;
+
+        for (const mode of Object.keys(AB_MODES)) {
+            const button = document.getElementById(`ab-${mode}-btn`);
+            button.disabled = !this.abPlayer.hasMode(mode);
+            button.classList.toggle('active', this.abPlayer.mode === mode && this.abPlayer.hasMode(mode));
+        }
+
+        const parts = [`${this.abPlayer.playing ? '▶' : '⏸'} ${AB_MODES[this.abPlayer.mode]}`];
+        const offset = this.abPlayer.getLevelOffset();
+        if (offset !== null && this.abPlayer.mode !== 'difference') {
+            parts.push(this.abPlayer.levelMatch ?
+                `loudness matched (master ${offset >= 0 ? '+' : ''}${offset.toFixed(1)} LU)` :
+                `master is ${offset >= 0 ? '+' : ''}${offset.toFixed(1)} LU`);
+        }
+        if (this.abPlayer.mode === 'difference' && this.abPlayer.differenceDepth !== null) {
+            parts.push(`residue ${this.abPlayer.differenceDepth.toFixed(1)} dB below the original`);
+        }
+        if (this.abPlayer.mode === 'preview' && this.previewChain.targetLoudness !== null) {
+            parts.push(`approximate, calibrated to ${this.previewChain.targetLoudness.toFixed(1)} LUFS`);
+        }
+        if (this.previewPreparing) {
+            parts.push('preparing live preview...');
+        }
+        status.textContent = parts.join(' · ');
+    }
+
+    setupTransport() {
+        const existing = document.getElementById('progress-container');
+        if (existing && existing.dataset.transport) return;
+
+        // index.html has the transport markup wired to its old <audio>-element player; take it
+        // over if present, otherwise build it
+        let playButton = document.getElementById('play-pause-btn');
+        let progress = existing;
+        if (playButton && progress) {
+            playButton.removeAttribute('onclick');
+            ['onclick', 'onmousemove', 'onmouseleave'].forEach(attribute => progress.removeAttribute(attribute));
+        } else {
+            const content = document.querySelector('#studio-buddy-window .window-content');
+            if (!content) return;
+
+            const section = document.createElement('div');
+            section.className = 'section transport';
+            section.innerHTML = `
+                <h3>Transport</h3>
+                <div class="transport-row">
+                    <button id="play-pause-btn">▶ Play</button>
+                    <span><span id="current-time">0:00</span> / <span id="total-time">0:00</span></span>
+                    <div class="transport-meters">
+                        <div class="transport-meter"><div id="vu-left"></div></div>
+                        <div class="transport-meter"><div id="vu-right"></div></div>
+                    </div>
+                </div>
+                <div id="progress-container" class="transport-progress">
+                    <div id="progress-fill"></div>
+                    <div id="seek-preview"></div>
+                </div>
+            `;
+            content.appendChild(section);
+            playButton = section.querySelector('#play-pause-btn');
+            progress = section.querySelector('#progress-container');
+        }
+        progress.dataset.transport = 'true';
+
+        const loopRegion = document.createElement('div');
+        loopRegion.className = 'transport-loop';
+        loopRegion.id = 'transport-loop';
+        progress.appendChild(loopRegion);
+
+        playButton.title = 'Space: play/pause · ←/→: seek 5 s · Home: back to start · I/O: loop in/out · L: loop on/off · 1-4: Original/Mastered/Difference/Reference';
+        playButton.addEventListener('click', () => this.togglePlayback());
+
+        // Clicking the progress bar or the waveform seeks there
+        const timeAt = (event, element) => {
+            const rect = element.getBoundingClientRect();
+            return Math.max(0, Math.min(1, (event.clientX - rect.left) / rect.width)) * this.abPlayer.duration;
+        };
+        progress.addEventListener('click', (e) => this.seekTo(timeAt(e, progress)));
+        progress.addEventListener('mousemove', (e) => {
+            const preview = document.getElementById('seek-preview');
+            if (!preview || !this.abPlayer.duration) return;
+            const time = timeAt(e, progress);
+            preview.textContent = this.formatDuration(time);
+            preview.style.left = `${(time / this.abPlayer.duration) * 100}%`;
+            preview.style.display = 'block';
+        });
+        progress.addEventListener('mouseleave', () => {
+            const preview = document.getElementById('seek-preview');
+            if (preview) preview.style.display = 'none';
+        });
+
+        const waveform = document.getElementById('waveform-canvas');
+        if (waveform) {
+            waveform.style.cursor = 'pointer';
+            waveform.addEventListener('click', (e) => this.seekTo(timeAt(e, waveform)));
+        }
+
+        document.addEventListener('keydown', (e) => this.handleTransportKey(e));
+        this.updateTransport();
+    }
+
+    handleTransportKey(event) {
+        // Leave typing and browser shortcuts alone
+        if (event.ctrlKey || event.metaKey || event.altKey) return;
+        if (event.target.closest && event.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+        if (!this.abPlayer.duration) return;
+
+        const modes = { '1': 'original', '2': 'mastered', '3': 'difference', '4': 'reference', '5': 'preview' };
+        switch (event.key) {
+            case ' ':
+                // A focused button already clicks itself on Space
+                if (event.target.closest && event.target.closest('button')) return;
+                this.togglePlayback();
+                break;
+            case 'ArrowLeft':
+                this.seekTo(this.abPlayer.position - 5);
+                break;
+            case 'ArrowRight':
+                this.seekTo(this.abPlayer.position + 5);
+                break;
+            case 'Home':
+                this.seekTo(this.abPlayer.loop.enabled ? this.abPlayer.loop.start : 0);
+                break;
+            case 'i':
+            case 'I':
+                this.setLoopPoint('start');
+                break;
+            case 'o':
+            case 'O':
+                this.setLoopPoint('end');
+                break;
+            case 'l':
+            case 'L':
+                document.getElementById('ab-loop').checked = !document.getElementById('ab-loop').checked;
+                this.applyABLoop();
+                break;
+            default:
+                if (!modes[event.key]) return;
+                // Number keys change what is heard without starting or stopping playback
+                this.abPlayer.setMode(modes[event.key]);
+                this.updateABControls();
+                this.updateTransport();
+        }
+        event.preventDefault();
+    }
+
+    async togglePlayback() {
+        if (this.abPlayer.playing) {
+            this.abPlayer.pause();
+        } else {
+            await this.abPlayer.play();
+        }
+        this.updateABControls();
+        this.startTransportUpdates();
+    }
+
+    seekTo(seconds) {
+        this.abPlayer.seek(seconds);
+        this.updateTransport();
+    }
+
+    startTransportUpdates() {
+        // Redraws position and meters every frame while playing, then once more on stop
+        if (this.transportFrame) return;
+
+        const tick = () => {
+            this.updateTransport();
+            this.transportFrame = this.abPlayer.playing ? requestAnimationFrame(tick) : null;
+        };
+        tick();
+    }
+
+    updateTransport() {
+        const progress = document.getElementById('progress-container');
+        if (!progress || !progress.dataset.transport) return;
+
+        const player = this.abPlayer;
+        const duration = player.duration;
+        const position = player.position;
+
+        document.getElementById('current-time').textContent = this.formatDuration(position);
+        document.getElementById('total-time').textContent = this.formatDuration(duration);
+        document.getElementById('progress-fill').style.width = duration ? `${(position / duration) * 100}%` : '0%';
+
+        const loopRegion = document.getElementById('transport-loop');
+        loopRegion.style.display = player.loop.enabled && duration ? 'block' : 'none';
+        if (player.loop.enabled && duration) {
+            loopRegion.style.left = `${(player.loop.start / duration) * 100}%`;
+            loopRegion.style.width = `${((player.loop.end - player.loop.start) / duration) * 100}%`;
+        }
+
+        // Material icon markup in index.html, plain text in the built fallback
+        const playButton = document.getElementById('play-pause-btn');
+        const icon = playButton.querySelector('.material-symbols-outlined');
+        if (icon) {
+            icon.textContent = player.playing ? 'pause' : 'play_arrow';
+            icon.nextElementSibling.textContent = player.playing ? 'Pause' : 'Play';
+        } else {
+            playButton.textContent = player.playing ? '⏸ Pause' : '▶ Play';
+        }
+
+        // Peak meters on a -60..0 dBFS scale
+        const levels = player.playing ? player.getLevels() : [-Infinity, -Infinity];
+        ['vu-left', 'vu-right'].forEach((id, channel) => {
+            const meter = document.getElementById(id);
+            if (meter) {
+                const height = isFinite(levels[channel]) ? Math.max(0, Math.min(100, (levels[channel] + 60) / 60 * 100)) : 0;
+                meter.style.height = `${height}%`;
+            }
+        });
+    }
+
+    setupQueueButton() {
+        if (document.getElementById('open-queue')) return;
+
+        const masterButton = document.getElementById('master-button');
+        if (!masterButton) return;
+
+        const button = document.createElement('button');
+        button.id = 'open-queue';
+        button.textContent = '📚 Batch / Album';
+        button.addEventListener('click', () => {
+            this.setupQueueWindow();
+            this.renderQueue();
+            this.openWindow('queue');
+        });
+        masterButton.insertAdjacentElement('afterend', button);
+    }
+
+    setupQueueWindow() {
+        if (document.getElementById('queue-window')) return;
+
+        const masteringWindow = document.getElementById('studio-buddy-window');
+        if (!masteringWindow) return;
+
+        const queueWindow = document.createElement('div');
+        queueWindow.className = 'window queue-window';
+        queueWindow.id = 'queue-window';
+        queueWindow.innerHTML = `
+            <div class="title-bar">
+                <div class="title-bar-text">Batch / Album Mastering</div>
+                <div class="title-bar-controls">
+                    <div class="title-bar-control" id="queue-close">×</div>
+                </div>
+            </div>
+            <div class="window-content">
+                <div class="queue-drop" id="queue-drop">
+                    Drop audio files here or <label class="queue-browse">browse<input type="file" id="queue-files" accept="audio/*" multiple hidden></label>
+                </div>
+                <div class="setting-item">
+                    <label><input type="checkbox" id="queue-album-mode" checked> Album mode (keep relative loudness between tracks)</label>
+                </div>
+                <div class="setting-item">
+                    <label><input type="checkbox" id="queue-use-reference"> Use the loaded reference track(s) for every track</label>
+                </div>
+                <table class="queue-table">
+                    <thead>
+                        <tr><th>#</th><th>Track</th><th>Status</th><th>Before</th><th>After</th><th>True peak</th><th></th></tr>
+                    </thead>
+                    <tbody id="queue-rows"></tbody>
+                </table>
+                <div class="report-actions">
+                    <button id="queue-start">▶ Master All</button>
+                    <button id="queue-cancel" disabled>Cancel</button>
+                    <button id="queue-clear">Clear</button>
+                </div>
+                <h3>Download</h3>
+                <div class="setting-item">
+                    <label for="queue-format">Format:</label>
+                    <select id="queue-format"></select>
+                </div>
+                <div class="setting-item">
+                    <label for="queue-artist">Artist:</label>
+                    <input type="text" id="queue-artist">
+                </div>
+                <div class="setting-item">
+                    <label for="queue-upc">UPC:</label>
+                    <input type="text" id="queue-upc" placeholder="12 or 13 digits" maxlength="13">
+                </div>
+                <div class="report-actions">
+                    <button id="queue-download" disabled>🗜️ Download ZIP</button>
+                </div>
+            </div>
+        `;
+        masteringWindow.parentNode.appendChild(queueWindow);
+
+        // One entry per format/bit depth; integer formats are TPDF-dithered
+        const formatOptions = [];
+        for (const [id, format] of Object.entries(EXPORT_FORMATS)) {
+            format.bitDepths.forEach(bitDepth => {
+                formatOptions.push({
+                    value: `${id}:${bitDepth}`,
+                    label: `${format.name} ${bitDepth === '32f' ? '32-bit float' : `${bitDepth}-bit`}`
+                });
+            });
+        }
+        this.fillSelect(document.getElementById('queue-format'), formatOptions, 'wav:24');
+
+        const queue = this.masteringQueue;
+        queue.onUpdate = () => this.renderQueue();
+
+        const addFiles = (files) => {
+            queue.addFiles(files);
+            this.renderQueue();
+        };
+        document.getElementById('queue-files').addEventListener('change', (e) => {
+            addFiles(e.target.files);
+            e.target.value = '';
+        });
+
+        const dropZone = document.getElementById('queue-drop');
+        dropZone.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            dropZone.classList.add('dragging');
+        });
+        dropZone.addEventListener('dragleave', () => dropZone.classList.remove('dragging'));
+        dropZone.addEventListener('drop', (e) => {
+            e.preventDefault();
+            dropZone.classList.remove('dragging');
+            addFiles(e.dataTransfer.files);
+        });
+
+        document.getElementById('queue-rows').addEventListener('click', (e) => {
+            const removeButton = e.target.closest('[data-remove]');
+            if (removeButton) {
+                queue.remove(parseInt(removeButton.dataset.remove, 10));
+                this.renderQueue();
+            }
+        });
+
+        document.getElementById('queue-album-mode').addEventListener('change', (e) => {
+            if (!queue.running) queue.setAlbumMode(e.target.checked);
+            this.renderQueue();
+        });
+
+        document.getElementById('queue-start').addEventListener('click', () => this.startQueue());
+        document.getElementById('queue-cancel').addEventListener('click', () => queue.cancel());
+        document.getElementById('queue-clear').addEventListener('click', () => {
+            queue.clear();
+            this.renderQueue();
+        });
+        document.getElementById('queue-download').addEventListener('click', () => this.downloadQueueZip());
+        document.getElementById('queue-close').addEventListener('click', () => {
+            queueWindow.style.display = 'none';
+        });
+
+        this.makeDraggable(queueWindow, queueWindow.querySelector('.title-bar'));
+        queueWindow.addEventListener('mousedown', () => this.bringToFront(queueWindow));
+    }
+
+    renderQueue() {
+        const rows = document.getElementById('queue-rows');
+        if (!rows) return;
+
+        const queue = this.masteringQueue;
+        const level = (value, unit) => (isFinite(value) ? `${value.toFixed(1)} ${unit}` : '-');
+        const statusText = (item) => {
+            if (item.status === 'processing') return `${item.stage} (${Math.round(item.progress)}%)`;
+            if (item.status === 'error') return `Failed: ${item.error}`;
+            if (item.status === 'done' && item.albumGain < 0) return `${item.stage} (album ${item.albumGain.toFixed(1)} dB)`;
+            return item.stage || 'Queued';
+        };
+
+        rows.innerHTML = '';
+        if (queue.items.length === 0) {
+            rows.innerHTML = '<tr><td colspan="7" class="queue-empty">No tracks queued</td></tr>';
+        }
+
+        queue.items.forEach((item, index) => {
+            const report = item.report;
+            const row = document.createElement('tr');
+            row.className = `queue-${item.status}`;
+            row.innerHTML = `
+                <td>${index + 1}</td>
+                <td class="queue-name"></td>
+                <td class="queue-status"></td>
+                <td>${report ? level(report.before.integrated, 'LUFS') : '-'}</td>
+                <td>${report ? level(report.after.integrated, 'LUFS') : '-'}</td>
+                <td>${report ? level(report.after.truePeak, 'dBTP') : '-'}</td>
+                <td>${queue.running ? '' : `<button data-remove="${item.id}" title="Remove">×</button>`}</td>
+            `;
+            // File names and errors are user data, so they go in as text
+            row.querySelector('.queue-name').textContent = item.name;
+            row.querySelector('.queue-status').textContent = statusText(item);
+            rows.appendChild(row);
+        });
+
+        document.getElementById('queue-start').disabled = queue.running ||
+            !queue.items.some(item => item.status !== 'done');
+        document.getElementById('queue-cancel').disabled = !queue.running;
+        document.getElementById('queue-clear').disabled = queue.running;
+        document.getElementById('queue-download').disabled = queue.running || queue.completedItems.length === 0;
+        document.getElementById('queue-use-reference').disabled = this.getReferences().length === 0;
+    }
+
+    async startQueue() {
+        const queue = this.masteringQueue;
+        if (queue.running || queue.items.length === 0) return;
+        if (this.masteringClient.isRunning) {
+            alert('Wait for the current mastering job to finish first.');
+            return;
+        }
+
+        const useReference = document.getElementById('queue-use-reference').checked;
+        const masterButton = document.getElementById('master-button');
+        masterButton.disabled = true;
+
+        try {
+            await queue.run({
+                references: useReference ? this.getReferences() : null,
+                settings: this.getProcessingSettings(),
+                albumMode: document.getElementById('queue-album-mode').checked,
+                // Every track is checked and counted against the usage limits on its own
+                canProcess: () => window.sessionManager.requireAuth(),
+                onTrackDone: () => window.sessionManager.recordUsage()
+            });
+
+            const done = queue.completedItems.length;
+            this.showNotification(`Batch mastering finished: ${done} of ${queue.items.length} tracks mastered`,
+                done === queue.items.length ? 'success' : 'warning');
+        } catch (error) {
+            console.error('Error running mastering queue:', error);
+            alert('Error during batch mastering. Please try again.');
+        } finally {
+            masterButton.disabled = false;
+            this.renderQueue();
+        }
+    }
+
+    async downloadQueueZip() {
+        const queue = this.masteringQueue;
+        if (queue.running || queue.completedItems.length === 0) return;
+
+        const [format, bitDepth] = document.getElementById('queue-format').value.split(':');
+        const metadata = {
+            artist: document.getElementById('queue-artist').value.trim(),
+            upc: document.getElementById('queue-upc').value.replace(/\s/g, '')
+        };
+        const metadataError = this.validateExportMetadata(metadata);
+        if (metadataError) {
+            alert(metadataError);
+            return;
+        }
+
+        const button = document.getElementById('queue-download');
+        button.disabled = true;
+        button.textContent = '⏳ Encoding...';
+
+        try {
+            const presetName = this.getExportPresetName(queue.completedItems[0].report);
+            const blob = await queue.createZip(this.audioExporter, {
+                format: format,
+                bitDepth: bitDepth,
+                dither: bitDepth === '32f' ? 'none' : 'tpdf',
+                metadata: metadata
+            }, presetName);
+
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `${(presetName || 'album').replace(/[^\w\-]+/g, '_')}_album_masters.zip`;
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            console.error('Error creating album zip:', error);
+            alert('Error creating the zip download.');
+        } finally {
+            button.textContent = '🗜️ Download ZIP';
+            this.renderQueue();
+        }
+    }
+
     async handleSourceFile(file) {
         if (!file) return;
 
@@ -175,15 +1351,23 @@ class StudioBuddyApp {
             this.showProgress('Loading source audio...');
             const arrayBuffer = await file.arrayBuffer();
             this.sourceBuffer = await this.audioContext.decodeAudioData(arrayBuffer);
+            this.sourceFileName = file.name;
+            this.sourceFileKey = this.getFileKey(file);
+            this.sourceAnalysis = null;
             
             document.getElementById('source-info').textContent = 
                 `${file.name} - ${this.formatDuration(this.sourceBuffer.duration)} - ${this.sourceBuffer.sampleRate}Hz`;
             
             document.getElementById('play-source').disabled = false;
             document.getElementById('master-button').disabled = false;
+
+            // A new source makes the previous master's comparison meaningless
+            this.setABTrack('mastered', null);
+            this.setABTrack('original', this.sourceBuffer);
             
             this.hideProgress();
             this.drawWaveform(this.sourceBuffer);
+            this.preparePreview();
         } catch (error) {
             console.error('Error loading source file:', error);
             alert('Error loading source file. Please check the file format.');
@@ -191,24 +1375,497 @@ class StudioBuddyApp {
         }
     }
 
-    async handleReferenceFile(file) {
+    async handleReferenceFiles(files) {
+        const selected = Array.from(files || []);
+        if (selected.length === 0) return;
+
+        const room = this.maxReferences - this.references.length;
+        if (selected.length > room) {
+            this.showNotification(`Up to ${this.maxReferences} references can be blended - remove one to add another`, 'warning');
+        }
+
+        for (const file of selected.slice(0, Math.max(0, room))) {
+            try {
+                this.showProgress(`Loading reference ${file.name}...`);
+                const arrayBuffer = await file.arrayBuffer();
+                const buffer = await this.audioContext.decodeAudioData(arrayBuffer);
+
+                // Measured once here; the blend, the comparison and the live preview all reuse it
+                this.showProgress(`Analyzing reference ${file.name}...`);
+                const analysis = await this.audioProcessor.analyzeReferenceSection(buffer, this.getProcessingSettings());
+                this.references.push({
+                    id: this.nextReferenceId++,
+                    name: file.name,
+                    buffer: buffer,
+                    weight: 1,
+                    region: null,       // manual section, in seconds
+                    analysis: analysis
+                });
+            } catch (error) {
+                console.error('Error loading reference file:', error);
+                alert(`Error loading reference file ${file.name}. Please check the file format.`);
+            }
+        }
+        this.hideProgress();
+        this.selectDefaultABReference();
+        this.updateReferences();
+    }
+
+    selectDefaultABReference() {
+        // Saved profiles have no audio, so the transport only plays loaded reference files
+        const playable = this.references.filter(reference => reference.buffer);
+        if (!playable.some(reference => reference.id === this.abReferenceId)) {
+            this.abReferenceId = playable.length > 0 ? playable[0].id : null;
+        }
+    }
+
+    setupReferenceList() {
+        if (document.getElementById('reference-list')) return;
+
+        const input = document.getElementById('reference-file');
+        if (!input) return;
+        input.multiple = true;
+
+        const list = document.createElement('div');
+        list.id = 'reference-list';
+        list.className = 'reference-list';
+        (document.getElementById('reference-info') || input).insertAdjacentElement('afterend', list);
+
+        // Which part of each reference is analysed; the mode is saved with presets like any other
+        // setting, the manual section belongs to each reference
+        const region = document.createElement('div');
+        region.className = 'reference-region';
+        region.innerHTML = `
+            <div class="setting-item">
+                <label for="reference-region">Analyze:</label>
+                <select id="reference-region"></select>
+                <span class="reference-region-loudest">
+                    <input type="number" id="reference-region-length" min="5" max="60" step="1" value="${DEFAULT_REFERENCE_REGION_LENGTH}"> s
+                </span>
+                <span class="reference-region-manual" title="Section of the A/B reference - each reference keeps its own">
+                    <input type="number" id="reference-region-start" min="0" step="0.1"> -
+                    <input type="number" id="reference-region-end" min="0" step="0.1"> s
+                </span>
+            </div>
+            <canvas id="reference-waveform" width="400" height="48" title="Drag across the waveform to pick the section to analyze"></canvas>
+        `;
+        list.insertAdjacentElement('afterend', region);
+        this.fillSelect(region.querySelector('#reference-region'),
+            Object.entries(REFERENCE_REGION_MODES).map(([value, label]) => ({ value: value, label: label })), 'full');
+        region.querySelectorAll('#reference-region, #reference-region-length').forEach(control => {
+            control.addEventListener('change', () => this.updateReferenceRegion());
+        });
+        region.querySelectorAll('#reference-region-start, #reference-region-end').forEach(control => {
+            control.addEventListener('change', () => this.setReferenceSelection(
+                parseFloat(document.getElementById('reference-region-start').value) || 0,
+                parseFloat(document.getElementById('reference-region-end').value) || 0));
+        });
+        this.setupReferenceWaveform(region.querySelector('#reference-waveform'));
+        this.updateReferenceRegionControls();
+
+        // Saved reference profiles: the analysis of a reference without its audio
+        const profiles = document.createElement('div');
+        profiles.className = 'reference-profiles';
+        profiles.innerHTML = `
+            <div class="setting-item">
+                <label for="reference-profile-select">Saved profiles:</label>
+                <select id="reference-profile-select"></select>
+                <button id="reference-profile-add" disabled>Use</button>
+                <button id="reference-profile-delete" disabled>Delete</button>
+            </div>
+            <div class="setting-item">
+                <button id="reference-profile-export" disabled>Export...</button>
+                <label class="preset-import">Import...<input type="file" id="reference-profile-file" accept=".json,application/json" hidden></label>
+            </div>
+            <div class="preset-storage" id="reference-profile-storage"></div>
+        `;
+        region.insertAdjacentElement('afterend', profiles);
+        profiles.querySelector('#reference-profile-select').addEventListener('change', () => this.updateReferenceProfileButtons());
+        profiles.querySelector('#reference-profile-add').addEventListener('click', () => this.addReferenceProfile());
+        profiles.querySelector('#reference-profile-delete').addEventListener('click', () => this.deleteReferenceProfile());
+        profiles.querySelector('#reference-profile-export').addEventListener('click', () => this.exportReferenceProfile());
+        profiles.querySelector('#reference-profile-file').addEventListener('change', (e) => {
+            this.importReferenceProfiles(e.target.files[0]);
+            e.target.value = '';
+        });
+        if (window.authManager) {
+            window.authManager.onAuthStateChange(() => this.refreshReferenceProfiles());
+        }
+        this.refreshReferenceProfiles();
+
+        list.addEventListener('change', (e) => {
+            const reference = this.references.find(item => item.id === parseInt(e.target.dataset.reference));
+            if (!reference) return;
+
+            if (e.target.name === 'ab-reference') {
+                this.abReferenceId = reference.id;
+                this.setABTrack('reference', reference.buffer, reference.analysis.lufs);
+                this.fillReferenceSelection();
+                this.drawReferenceWaveform();
+            } else if (e.target.classList.contains('reference-weight')) {
+                const weight = parseFloat(e.target.value);
+                reference.weight = isFinite(weight) ? Math.max(0, Math.min(weight, 10)) : 1;
+                this.updateReferences();
+            }
+        });
+
+        list.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-remove]');
+            if (button) this.removeReference(parseInt(button.dataset.remove));
+            const saveButton = e.target.closest('[data-save-profile]');
+            if (saveButton) this.saveReferenceProfile(parseInt(saveButton.dataset.saveProfile));
+        });
+    }
+
+    removeReference(id) {
+        this.references = this.references.filter(reference => reference.id !== id);
+        this.selectDefaultABReference();
+        this.updateReferences();
+    }
+
+    async refreshReferenceProfiles(selectedId) {
+        const select = document.getElementById('reference-profile-select');
+        if (!select) return;
+
+        const previous = selectedId !== undefined ? selectedId : select.value;
+        this.profileList = await this.referenceProfiles.list();
+        select.innerHTML = this.profileList.length === 0 ? '<option value="">No saved profiles</option>' : '';
+        this.fillSelect(select, this.profileList.map(profile => ({ value: profile.id, label: profile.name })), previous);
+
+        document.getElementById('reference-profile-storage').textContent = this.referenceProfiles.storageLocation === 'account' ?
+            '☁️ Your reference profiles are saved to your account' :
+            '💻 Your reference profiles are saved in this browser - sign in to keep them in your account';
+        this.updateReferenceProfileButtons();
+    }
+
+    getSelectedReferenceProfile() {
+        const select = document.getElementById('reference-profile-select');
+        return select ? this.profileList.find(profile => profile.id === select.value) || null : null;
+    }
+
+    updateReferenceProfileButtons() {
+        const selected = !!this.getSelectedReferenceProfile();
+        ['reference-profile-add', 'reference-profile-delete', 'reference-profile-export'].forEach(id => {
+            document.getElementById(id).disabled = !selected;
+        });
+    }
+
+    async saveReferenceProfile(id) {
+        // Stores the reference's current analysis (its analysed section) without the audio
+        const reference = this.references.find(item => item.id === id);
+        if (!reference || !reference.buffer) return;
+
+        try {
+            const name = reference.name.replace(/\.[^/.]+$/, '');
+            const profile = await this.referenceProfiles.save(
+                this.audioProcessor.createReferenceProfile(reference.buffer, reference.analysis, name));
+            await this.refreshReferenceProfiles(profile.id);
+            this.showNotification(`Reference profile "${profile.name}" saved`, 'success');
+        } catch (error) {
+            console.error('Error saving reference profile:', error);
+            alert(`Could not save reference profile: ${error.message}`);
+        }
+    }
+
+    addReferenceProfile() {
+        const profile = this.getSelectedReferenceProfile();
+        if (!profile) return;
+        if (this.references.length >= this.maxReferences) {
+            this.showNotification(`Up to ${this.maxReferences} references can be blended - remove one to add another`, 'warning');
+            return;
+        }
+
+        this.references.push({
+            id: this.nextReferenceId++,
+            name: profile.name,
+            buffer: null,
+            profile: profile,
+            weight: 1,
+            analysis: this.audioProcessor.createProfileAnalysis(profile, this.getProcessingSettings())
+        });
+        this.updateReferences();
+    }
+
+    async deleteReferenceProfile() {
+        const profile = this.getSelectedReferenceProfile();
+        if (!profile) return;
+        if (!confirm(`Delete reference profile "${profile.name}"?`)) return;
+
+        try {
+            await this.referenceProfiles.remove(profile.id);
+            await this.refreshReferenceProfiles('');
+        } catch (error) {
+            console.error('Error deleting reference profile:', error);
+            alert(`Could not delete reference profile: ${error.message}`);
+        }
+    }
+
+    exportReferenceProfile() {
+        const profile = this.getSelectedReferenceProfile();
+        if (!profile) return;
+
+        const blob = new Blob([this.referenceProfiles.toJSON([profile])], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `${profile.name.replace(/[^\w\-]+/g, '_')}_reference_profile.json`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
+    async importReferenceProfiles(file) {
         if (!file) return;
 
         try {
-            this.showProgress('Loading reference audio...');
-            const arrayBuffer = await file.arrayBuffer();
-            this.referenceBuffer = await this.audioContext.decodeAudioData(arrayBuffer);
-            
-            document.getElementById('reference-info').textContent = 
-                `${file.name} - ${this.formatDuration(this.referenceBuffer.duration)} - ${this.referenceBuffer.sampleRate}Hz`;
-            
-            document.getElementById('play-reference').disabled = false;
-            this.hideProgress();
+            const saved = await this.referenceProfiles.importFile(await file.text());
+            await this.refreshReferenceProfiles(saved[0].id);
+            this.showNotification(saved.length === 1 ?
+                `Reference profile "${saved[0].name}" imported` :
+                `${saved.length} reference profiles imported`, 'success');
         } catch (error) {
-            console.error('Error loading reference file:', error);
-            alert('Error loading reference file. Please check the file format.');
-            this.hideProgress();
+            console.error('Error importing reference profiles:', error);
+            alert(`Could not import reference profiles: ${error.message}`);
+        }
+    }
+
+    getReferences() {
+        // What matcheringMaster blends: references with a weight above zero
+        return this.references
+            .filter(reference => reference.weight > 0)
+            .map(reference => ({
+                name: reference.name,
+                buffer: reference.buffer,
+                profile: reference.profile || null,
+                weight: reference.weight,
+                region: reference.region || null,
+                analysis: reference.analysis
+            }));
+    }
+
+    updateReferences() {
+        const info = document.getElementById('reference-info');
+        if (info) {
+            const count = this.references.length;
+            const first = this.references[0];
+            info.textContent = count === 0 ? '' : (count > 1 ?
+                `${count} references - the target is their weighted blend` :
+                (first.buffer ?
+                    `${first.name} - ${this.formatDuration(first.buffer.duration)} - ${first.buffer.sampleRate}Hz` :
+                    `${first.name} - saved profile`));
+        }
+        document.getElementById('play-reference').disabled = !this.abReferenceId;
+
+        const abReference = this.references.find(reference => reference.id === this.abReferenceId);
+        this.setABTrack('reference', abReference ? abReference.buffer : null, abReference ? abReference.analysis.lufs : undefined);
+        this.renderReferenceList();
+        this.fillReferenceSelection();
+        this.drawReferenceWaveform();
+
+        if (this.previewChain.isReady) {
+            this.updatePreviewReferences();
+        } else {
+            this.preparePreview();
+        }
+    }
+
+    updateReferenceRegionControls() {
+        const mode = document.getElementById('reference-region').value;
+        document.querySelector('.reference-region-loudest').style.display = mode === 'loudest' ? 'inline' : 'none';
+        document.querySelector('.reference-region-manual').style.display = mode === 'manual' ? 'inline' : 'none';
+    }
+
+    setReferenceSelection(start, end) {
+        // Manual section of the A/B reference; under a second clears it (the whole track)
+        const reference = this.references.find(item => item.id === this.abReferenceId);
+        if (!reference) return;
+        const round = (time) => Math.round(time * 10) / 10;
+        reference.region = end - start >= 1 ? { start: round(start), end: round(end) } : null;
+        this.fillReferenceSelection();
+        this.updateReferenceRegion();
+    }
+
+    fillReferenceSelection() {
+        // The start/end fields show the A/B reference's own manual section
+        const start = document.getElementById('reference-region-start');
+        if (!start) return;
+        const reference = this.references.find(item => item.id === this.abReferenceId);
+        const region = reference && reference.region;
+        start.value = region ? region.start.toFixed(1) : '';
+        document.getElementById('reference-region-end').value = region ? region.end.toFixed(1) : '';
+    }
+
+    async updateReferenceRegion() {
+        // Re-analyses the references whose section changed, then refreshes the table and preview
+        if (!document.getElementById('reference-region')) return;
+        this.updateReferenceRegionControls();
+
+        const token = ++this.referenceRegionToken;
+        const settings = this.getProcessingSettings();
+        const stale = this.references.filter(reference => reference.buffer &&
+            reference.analysis.regionKey !== this.audioProcessor.getReferenceRegionKey(settings, reference.region));
+        if (stale.length === 0) return;
+
+        this.showProgress('Analyzing reference sections...');
+        try {
+            for (const reference of stale) {
+                const analysis = await this.audioProcessor.analyzeReferenceSection(reference.buffer, settings, reference.region);
+                if (token !== this.referenceRegionToken) return;
+                reference.analysis = analysis;
+            }
+        } catch (error) {
+            console.error('Error analyzing reference sections:', error);
+            if (token === this.referenceRegionToken) {
+                alert(`Could not analyze the reference sections: ${error.message}`);
+            }
+            return;
+        } finally {
+            if (token === this.referenceRegionToken) this.hideProgress();
+        }
+
+        this.renderReferenceList();
+        this.drawReferenceWaveform();
+        if (this.previewChain.isReady) {
+            await this.updatePreviewReferences(settings);
+        }
+    }
+
+    setupReferenceWaveform(canvas) {
+        // Dragging across the waveform selects a manual region
+        let dragStart = null;
+        const timeAt = (e) => {
+            const reference = this.references.find(item => item.id === this.abReferenceId);
+            const rect = canvas.getBoundingClientRect();
+            const fraction = Math.max(0, Math.min((e.clientX - rect.left) / rect.width, 1));
+            return reference ? fraction * reference.buffer.duration : 0;
+        };
+
+        canvas.addEventListener('mousedown', (e) => {
+            if (!this.abReferenceId) return;
+            dragStart = timeAt(e);
+            e.preventDefault();
+        });
+        document.addEventListener('mousemove', (e) => {
+            if (dragStart === null) return;
+            const time = timeAt(e);
+            this.drawReferenceWaveform({ start: Math.min(dragStart, time), end: Math.max(dragStart, time) });
+        });
+        document.addEventListener('mouseup', (e) => {
+            if (dragStart === null) return;
+            const time = timeAt(e);
+            const start = Math.min(dragStart, time);
+            const end = Math.max(dragStart, time);
+            dragStart = null;
+
+            // A click (or a sliver under a second) leaves the current section alone
+            if (end - start < 1) {
+                this.drawReferenceWaveform();
+                return;
+            }
+            document.getElementById('reference-region').value = 'manual';
+            this.syncPresetSelection();
+            this.setReferenceSelection(start, end);
+        });
+    }
+
+    drawReferenceWaveform(selection = null) {
+        // The A/B reference with its analysed section (or the selection being dragged) highlighted
+        const canvas = document.getElementById('reference-waveform');
+        if (!canvas) return;
+
+        const reference = this.references.find(item => item.id === this.abReferenceId);
+        canvas.style.display = reference ? 'block' : 'none';
+        if (!reference) return;
+
+        const ctx = canvas.getContext('2d');
+        const width = canvas.width;
+        const height = canvas.height;
+        const duration = reference.buffer.duration;
+        ctx.fillStyle = '#000';
+        ctx.fillRect(0, 0, width, height);
+
+        const region = selection || reference.analysis.region || { start: 0, end: duration };
+        ctx.fillStyle = '#004400';
+        ctx.fillRect(region.start / duration * width, 0, (region.end - region.start) / duration * width, height);
+
+        const data = reference.buffer.getChannelData(0);
+        const step = Math.ceil(data.length / width);
+        const amp = height / 2;
+        ctx.strokeStyle = '#00ff00';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        for (let i = 0; i < width; i++) {
+            let min = 1.0;
+            let max = -1.0;
+            for (let j = i * step; j < Math.min((i + 1) * step, data.length); j++) {
+                if (data[j] < min) min = data[j];
+                if (data[j] > max) max = data[j];
+            }
+            ctx.moveTo(i, (1 + min) * amp);
+            ctx.lineTo(i, (1 + max) * amp);
+        }
+        ctx.stroke();
+    }
+
+    renderReferenceList() {
+        const list = document.getElementById('reference-list');
+        if (!list) return;
+
+        list.innerHTML = '';
+        if (this.references.length === 0) return;
+
+        // Source minus reference, so "-3.0 LU" reads as "the source is 3 LU quieter"
+        const signed = (value, unit) => (isFinite(value) ? `${value > 0 ? '+' : ''}${value.toFixed(1)}${unit}` : '-');
+        const compare = (analysis) => (this.sourceAnalysis ?
+            this.audioProcessor.compareWithReference(this.sourceAnalysis, analysis) : {});
+        const cells = (difference) => `
+            <td>${signed(difference.loudness, ' LU')}</td>
+            <td>${signed(difference.loudnessRange, ' LU')}</td>
+            <td>${signed(difference.stereoWidth, '')}</td>
+            <td>${signed(difference.low, ' dB')}</td>
+            <td>${signed(difference.mid, ' dB')}</td>
+            <td>${signed(difference.high, ' dB')}</td>
+        `;
+
+        const table = document.createElement('table');
+        table.className = 'reference-table';
+        table.innerHTML = `
+            <caption>${this.sourceAnalysis ? 'Source compared with each reference (source - reference)' : 'Load a source to compare it with the references'}</caption>
+            <tr>
+                <th title="Reference played by the A/B transport">A/B</th><th>Reference</th><th>Weight</th>
+                <th>Loudness</th><th>LRA</th><th>Width</th><th>Low</th><th>Mid</th><th>High</th><th></th>
+            </tr>
+        `;
+
+        this.references.forEach(reference => {
+            // Saved profiles have no audio to play, and are already saved
+            const row = document.createElement('tr');
+            row.innerHTML = `
+                <td><input type="radio" name="ab-reference" data-reference="${reference.id}" ${reference.id === this.abReferenceId ? 'checked' : ''} ${reference.buffer ? '' : 'disabled'}></td>
+                <td class="reference-name"></td>
+                <td><input type="number" class="reference-weight" data-reference="${reference.id}" min="0" max="10" step="0.5" value="${reference.weight}"></td>
+                ${cells(compare(reference.analysis))}
+                <td>
+                    ${reference.buffer ? `<button data-save-profile="${reference.id}" title="Save reference profile">💾</button>` : ''}
+                    <button data-remove="${reference.id}" title="Remove">×</button>
+                </td>
+            `;
+            // File and profile names are user data, so they go in as text
+            row.querySelector('.reference-name').textContent = reference.buffer ? reference.name : `${reference.name} (profile)`;
+            table.appendChild(row);
+        });
+
+        // The blend is the actual mastering target once there is more than one reference
+        const active = this.getReferences();
+        if (active.length > 1) {
+            const blend = this.audioProcessor.combineReferenceAnalyses(active);
+            const row = document.createElement('tr');
+            row.className = 'reference-blend';
+            row.innerHTML = `<td></td><td>Weighted blend</td><td></td>${cells(compare(blend))}<td></td>`;
+            table.appendChild(row);
         }
+        list.appendChild(table);
     }
 
     async handleAnalyzeFile(file) {
@@ -220,6 +1877,9 @@ class StudioBuddyApp {
             
             document.getElementById('analyze-button').disabled = false;
             this.analyzeBuffer = audioBuffer;
+            this.analyzeFileName = file.name;
+            this.analyzeFile = file;
+            this.analyzeFileKey = this.getFileKey(file);
         } catch (error) {
             console.error('Error loading analyze file:', error);
             alert('Error loading file for analysis.');
@@ -238,42 +1898,57 @@ class StudioBuddyApp {
             return;
         }
 
+        const masterButton = document.getElementById('master-button');
+
         try {
-            this.showProgress('Mastering audio...');
+            this.showProgress('Mastering audio...', true);
+            masterButton.disabled = true;
             
             const settings = this.getProcessingSettings();
             
-            // Use reference if available, otherwise use intelligent mastering
-            if (this.referenceBuffer) {
-                this.masteredBuffer = await this.audioProcessor.matcheringMaster(
-                    this.sourceBuffer, 
-                    this.referenceBuffer, 
-                    settings
-                );
-            } else {
-                this.masteredBuffer = await this.audioProcessor.intelligentMaster(
-                    this.sourceBuffer, 
-                    settings
-                );
-            }
+            // Runs in a background worker; matches the weighted reference blend if any, otherwise intelligent mastering
+            const result = await this.masteringClient.master(
+                this.sourceBuffer,
+                this.getReferences(),
+                settings,
+                (percent, stage) => this.updateProgress(percent, stage)
+            );
+            this.masteredBuffer = result.buffer;
+            this.setABTrack('original', this.sourceBuffer, result.report ? result.report.before.integrated : undefined);
+            this.setABTrack('mastered', this.masteredBuffer, result.report ? result.report.after.integrated : undefined);
             
             document.getElementById('play-mastered').disabled = false;
             document.getElementById('download-mastered').disabled = false;
             
             this.hideProgress();
             this.drawWaveform(this.masteredBuffer);
+            this.drawGainReduction(result.limiterReport);
+            this.drawMatchingEQ(result.matchingEQ);
+            this.displayComplianceReport(result.compliance);
+            this.masteringReport = result.report;
+            this.displayReportActions();
             
             // Track usage for monetization
             await window.sessionManager.recordUsage();
             
             alert('Audio mastering completed successfully!');
         } catch (error) {
+            this.hideProgress();
+            if (error.name === 'AbortError') {
+                this.showNotification('Mastering cancelled', 'warning');
+                return;
+            }
             console.error('Error mastering audio:', error);
             alert('Error during audio mastering. Please try again.');
-            this.hideProgress();
+        } finally {
+            masterButton.disabled = false;
         }
     }
 
+    cancelMastering() {
+        this.masteringClient.cancel();
+    }
+
     async analyzeAudio() {
         if (!this.analyzeBuffer) {
             alert('Please load an audio file for analysis first.');
@@ -295,26 +1970,25 @@ class StudioBuddyApp {
                 prefer_min_bpm: 90,
                 prefer_max_bpm: 180,
                 profile: 'accurate',
-                backend: 'pro'
+                backend: 'pro',
+                file: this.analyzeFile,
+                onUploadProgress: (fraction) => this.updateUploadProgress(fraction, 'Analyzing on the server'),
+                onJobProgress: (fraction, stage) => this.updateProgress(Math.round(fraction * 100), `Analyzing on the server - ${stage}`)
             };
             
             const analysis = await this.audioAnalyzer.analyzeAudio(this.analyzeBuffer, analysisOptions);
-            
-            // Update main results
-            document.getElementById('bpm-result').textContent = Math.round(analysis.bpm) + ' BPM';
-            document.getElementById('key-result').textContent = analysis.key;
-            document.getElementById('duration-result').textContent = analysis.duration || this.formatDuration(this.analyzeBuffer.duration);
-            document.getElementById('samplerate-result').textContent = analysis.sampleRate || (this.analyzeBuffer.sampleRate + ' Hz');
-            
-            // Display enhanced features if available
-            this.displayEnhancedResults(analysis);
-            
-            // Generate basic spectrum visualization since Railway API may not return spectrum
-            this.drawSpectrumFromBuffer(this.analyzeBuffer);
+            this.trackAnalyses[this.analyzeFileKey] = { bpm: analysis.bpm, key: analysis.key };
+            this.showAnalysisResults(analysis, this.analyzeBuffer);
             this.hideProgress();
+            if (analysis.local) {
+                this.showNotification('Railway API unreachable - analyzed in your browser', 'warning');
+            }
             
-            // Track usage for monetization
-            await window.sessionManager.recordUsage();
+            // Track usage for monetization - a cached result was paid for the first time
+            if (!analysis.cached) {
+                await window.sessionManager.recordUsage();
+                this.updateCacheStatus();
+            }
             
             console.log('Analysis complete via Railway API:', analysis.analysisMethod, 'confidence:', analysis.confidence);
         } catch (error) {
@@ -324,128 +1998,291 @@ class StudioBuddyApp {
         }
     }
 
-    getProcessingSettings() {
+    getProcessingSettings() {
+        const settings = {
+            outputLevel: parseFloat(document.getElementById('output-level').value),
+            compression: parseInt(document.getElementById('compression').value),
+            eqIntensity: parseInt(document.getElementById('eq-intensity').value) / 100,
+            stereoWidth: parseInt(document.getElementById('stereo-width').value) / 100,
+            autoNormalize: document.getElementById('auto-normalize').checked,
+            enableLimiting: document.getElementById('enable-limiting').checked,
+            psychoacousticProcessing: document.getElementById('psychoacoustic-processing').checked,
+            bufferSize: parseInt(document.getElementById('buffer-size').value),
+            limiterAttack: parseFloat(document.getElementById('limiter-attack').value),
+            limiterRelease: parseFloat(document.getElementById('limiter-release').value),
+            limiterLookahead: parseFloat(document.getElementById('limiter-lookahead').value),
+            quality: document.getElementById('quality-setting').value,
+            deliveryProfile: document.getElementById('delivery-profile').value,
+            stereoMode: document.getElementById('stereo-mode').value,
+            multibandCompression: document.getElementById('multiband-compression').checked,
+            multibandPreset: document.getElementById('multiband-preset').value,
+            multibandOverrides: this.getMultibandOverrides(),
+            saturation: document.getElementById('saturation').checked,
+            saturationCharacter: document.getElementById('saturation-character').value,
+            saturationDrive: parseFloat(document.getElementById('saturation-drive').value),
+            saturationMix: parseInt(document.getElementById('saturation-mix').value) / 100,
+            referenceRegion: document.getElementById('reference-region').value,
+            referenceRegionLength: parseFloat(document.getElementById('reference-region-length').value)
+        };
+
+        if (this.activePreset && this.presetManager.matches(this.activePreset, settings)) {
+            settings.preset = this.activePreset.name;
+        }
+        return settings;
+    }
+
+    async playAudio(type) {
+        // Every buffer plays through the shared A/B transport, so switching keeps the playhead
+        const modes = { source: 'original', reference: 'reference', mastered: 'mastered' };
+        if (modes[type]) {
+            await this.selectABMode(modes[type]);
+        }
+    }
+
+    downloadMastered() {
+        if (!this.masteredBuffer) {
+            alert('No mastered audio to download.');
+            return;
+        }
+
+        this.setupExportDialog();
+        this.prefillExportMetadata();
+        this.updateExportDialog();
+        this.openWindow('export');
+    }
+
+    setupExportDialog() {
+        if (document.getElementById('export-window')) return;
+
+        const masteringWindow = document.getElementById('studio-buddy-window');
+        if (!masteringWindow) return;
+
+        const exportWindow = document.createElement('div');
+        exportWindow.className = 'window export-window';
+        exportWindow.id = 'export-window';
+        exportWindow.innerHTML = `
+            <div class="title-bar">
+                <div class="title-bar-text">Export Mastered Audio</div>
+                <div class="title-bar-controls">
+                    <div class="title-bar-control" id="export-close">×</div>
+                </div>
+            </div>
+            <div class="window-content">
+                <div class="setting-item">
+                    <label for="export-format">Format:</label>
+                    <select id="export-format"></select>
+                </div>
+                <div class="setting-item">
+                    <label for="export-bit-depth">Bit depth:</label>
+                    <select id="export-bit-depth"></select>
+                </div>
+                <div class="setting-item">
+                    <label for="export-dither">Dither:</label>
+                    <select id="export-dither"></select>
+                </div>
+                <div class="setting-item">
+                    <label for="export-sample-rate">Sample rate:</label>
+                    <select id="export-sample-rate"></select>
+                </div>
+                <h3>Metadata</h3>
+                <div class="setting-item">
+                    <label for="export-title">Title:</label>
+                    <input type="text" id="export-title">
+                </div>
+                <div class="setting-item">
+                    <label for="export-artist">Artist:</label>
+                    <input type="text" id="export-artist">
+                </div>
+                <div class="setting-item">
+                    <label for="export-isrc">ISRC:</label>
+                    <input type="text" id="export-isrc" placeholder="CC-XXX-YY-NNNNN" maxlength="15">
+                </div>
+                <div class="setting-item">
+                    <label for="export-upc">UPC:</label>
+                    <input type="text" id="export-upc" placeholder="12 or 13 digits" maxlength="13">
+                </div>
+                <div class="setting-item">
+                    <label for="export-bpm">BPM:</label>
+                    <input type="number" id="export-bpm" min="1" max="999" step="1">
+                </div>
+                <div class="setting-item">
+                    <label for="export-key">Key:</label>
+                    <input type="text" id="export-key" placeholder="e.g. A minor">
+                </div>
+                <div class="export-filename" id="export-filename"></div>
+                <div class="report-actions">
+                    <button id="export-confirm">💾 Export</button>
+                    <button id="export-cancel">Cancel</button>
+                </div>
+            </div>
+        `;
+        masteringWindow.parentNode.appendChild(exportWindow);
+
+        this.fillSelect(document.getElementById('export-format'),
+            Object.entries(EXPORT_FORMATS).map(([id, format]) => ({ value: id, label: format.name })), 'wav');
+        this.fillSelect(document.getElementById('export-dither'),
+            Object.entries(EXPORT_DITHER_TYPES).map(([id, name]) => ({ value: id, label: name })), 'tpdf');
+
+        ['export-format', 'export-bit-depth', 'export-dither', 'export-sample-rate'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.updateExportDialog());
+        });
+
+        const close = () => { exportWindow.style.display = 'none'; };
+        document.getElementById('export-close').addEventListener('click', close);
+        document.getElementById('export-cancel').addEventListener('click', close);
+        document.getElementById('export-confirm').addEventListener('click', () => this.exportMastered());
+
+        this.makeDraggable(exportWindow, exportWindow.querySelector('.title-bar'));
+        exportWindow.addEventListener('mousedown', () => this.bringToFront(exportWindow));
+    }
+
+    updateExportDialog() {
+        if (!document.getElementById('export-window')) return;
+
+        // FLAC has no float mode, so the bit depth list follows the format
+        const format = document.getElementById('export-format').value;
+        const bitDepthSelect = document.getElementById('export-bit-depth');
+        const previousBitDepth = bitDepthSelect.value || '24';
+        const bitDepths = EXPORT_FORMATS[format].bitDepths;
+        bitDepthSelect.innerHTML = '';
+        bitDepths.forEach(bitDepth => {
+            const option = document.createElement('option');
+            option.value = bitDepth;
+            option.textContent = bitDepth === '32f' ? '32-bit float' : `${bitDepth}-bit`;
+            option.selected = bitDepth === (bitDepths.includes(previousBitDepth) ? previousBitDepth : '24');
+            bitDepthSelect.appendChild(option);
+        });
+
+        // Float output keeps the full resolution, there is nothing to dither
+        document.getElementById('export-dither').disabled = bitDepthSelect.value === '32f';
+
+        const rateSelect = document.getElementById('export-sample-rate');
+        const previousRate = rateSelect.value || 'original';
+        const originalRate = this.masteredBuffer ? this.masteredBuffer.sampleRate : null;
+        rateSelect.innerHTML = '';
+        [{ value: 'original', label: originalRate ? `Original (${originalRate / 1000} kHz)` : 'Original' }]
+            .concat(EXPORT_SAMPLE_RATES
+                .filter(rate => rate !== originalRate)
+                .map(rate => ({ value: String(rate), label: `${rate / 1000} kHz` })))
+            .forEach(({ value, label }) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = label;
+                option.selected = value === previousRate;
+                rateSelect.appendChild(option);
+            });
+
+        const options = this.getExportOptions();
+        document.getElementById('export-filename').textContent =
+            this.audioExporter.createFilename(this.sourceFileName, this.getExportPresetName(), options);
+    }
+
+    getExportOptions() {
+        const bitDepth = document.getElementById('export-bit-depth').value;
+        const rate = document.getElementById('export-sample-rate').value;
         return {
-            outputLevel: parseFloat(document.getElementById('output-level').value),
-            compression: parseInt(document.getElementById('compression').value),
-            eqIntensity: parseInt(document.getElementById('eq-intensity').value) / 100,
-            stereoWidth: parseInt(document.getElementById('stereo-width').value) / 100,
-            autoNormalize: document.getElementById('auto-normalize').checked,
-            enableLimiting: document.getElementById('enable-limiting').checked,
-            psychoacousticProcessing: document.getElementById('psychoacoustic-processing').checked,
-            bufferSize: parseInt(document.getElementById('buffer-size').value),
-            quality: document.getElementById('quality-setting').value
+            format: document.getElementById('export-format').value,
+            bitDepth: bitDepth,
+            dither: bitDepth === '32f' ? 'none' : document.getElementById('export-dither').value,
+            sampleRate: rate === 'original' ? this.masteredBuffer.sampleRate : parseInt(rate, 10),
+            metadata: this.getExportMetadata()
         };
     }
 
-    async playAudio(type) {
-        if (this.currentlyPlaying) {
-            this.currentlyPlaying.stop();
-            this.currentlyPlaying = null;
-        }
+    prefillExportMetadata() {
+        // A new source resets the per-track fields; artist and UPC usually carry over between tracks
+        const exportWindow = document.getElementById('export-window');
+        if (!exportWindow) return;
 
-        let buffer;
-        switch (type) {
-            case 'source':
-                buffer = this.sourceBuffer;
-                break;
-            case 'reference':
-                buffer = this.referenceBuffer;
-                break;
-            case 'mastered':
-                buffer = this.masteredBuffer;
-                break;
-            default:
-                return;
+        if (exportWindow.dataset.track !== this.sourceFileKey) {
+            exportWindow.dataset.track = this.sourceFileKey || '';
+            document.getElementById('export-title').value = (this.sourceFileName || '').replace(/\.[^/.]+$/, '');
+            ['export-isrc', 'export-bpm', 'export-key'].forEach(id => {
+                document.getElementById(id).value = '';
+            });
         }
 
-        if (!buffer) return;
+        // BPM and key come from the Railway /analyze result when this same file was analyzed
+        const analysis = this.trackAnalyses[this.sourceFileKey];
+        if (analysis) {
+            const bpmInput = document.getElementById('export-bpm');
+            const keyInput = document.getElementById('export-key');
+            if (!bpmInput.value && analysis.bpm) bpmInput.value = Math.round(analysis.bpm);
+            if (!keyInput.value && analysis.key) keyInput.value = analysis.key;
+        }
+    }
 
-        try {
-            if (this.audioContext.state === 'suspended') {
-                await this.audioContext.resume();
-            }
+    getExportMetadata() {
+        const value = (id) => document.getElementById(id).value.trim();
+        const bpm = parseFloat(value('export-bpm'));
+        return {
+            title: value('export-title'),
+            artist: value('export-artist'),
+            isrc: value('export-isrc').replace(/[\s-]/g, '').toUpperCase(),
+            upc: value('export-upc').replace(/\s/g, ''),
+            bpm: bpm > 0 ? bpm : null,
+            key: value('export-key'),
+            loudness: this.masteringReport ? this.masteringReport.after : null
+        };
+    }
 
-            const source = this.audioContext.createBufferSource();
-            source.buffer = buffer;
-            source.connect(this.audioContext.destination);
-            source.start();
-            
-            this.currentlyPlaying = source;
-            
-            source.onended = () => {
-                this.currentlyPlaying = null;
-            };
-        } catch (error) {
-            console.error('Error playing audio:', error);
+    validateExportMetadata(metadata) {
+        if (metadata.isrc && !/^[A-Z]{2}[A-Z0-9]{3}\d{7}$/.test(metadata.isrc)) {
+            return 'ISRC must be 12 characters: country code, registrant, year and designation (e.g. US-RC1-76-07839).';
+        }
+        if (metadata.upc && !/^\d{12,13}$/.test(metadata.upc)) {
+            return 'UPC must be 12 digits (or 13 for an EAN).';
         }
+        return null;
     }
 
-    downloadMastered() {
-        if (!this.masteredBuffer) {
-            alert('No mastered audio to download.');
+    getExportPresetName(report = this.masteringReport) {
+        // Name the file after the settings the master was made with, not the current controls
+        const settings = report ? report.settings : this.getProcessingSettings();
+        const profile = DELIVERY_PROFILES[settings.deliveryProfile];
+        const name = settings.preset || (profile ? profile.name : settings.deliveryProfile);
+        return report && report.mode === 'reference' ? `${name} reference` : name;
+    }
+
+    async exportMastered() {
+        if (!this.masteredBuffer) return;
+
+        const options = this.getExportOptions();
+        const metadataError = this.validateExportMetadata(options.metadata);
+        if (metadataError) {
+            alert(metadataError);
             return;
         }
 
+        const filename = this.audioExporter.createFilename(this.sourceFileName, this.getExportPresetName(), options);
+        const button = document.getElementById('export-confirm');
+        button.disabled = true;
+        button.textContent = '⏳ Encoding...';
+
         try {
-            const wav = this.audioBufferToWav(this.masteredBuffer);
-            const blob = new Blob([wav], { type: 'audio/wav' });
+            const exported = await this.masteringClient.exportAudio(this.masteredBuffer, options);
+            const blob = new Blob([exported.data], { type: exported.mimeType });
             const url = URL.createObjectURL(blob);
-            
+
             const a = document.createElement('a');
             a.href = url;
-            a.download = 'mastered_audio.wav';
+            a.download = filename;
             document.body.appendChild(a);
             a.click();
             document.body.removeChild(a);
             URL.revokeObjectURL(url);
+
+            document.getElementById('export-window').style.display = 'none';
+            this.showNotification(`Exported ${filename}`, 'success');
         } catch (error) {
-            console.error('Error downloading file:', error);
+            console.error('Error exporting audio:', error);
             alert('Error creating download file.');
+        } finally {
+            button.disabled = false;
+            button.textContent = '💾 Export';
         }
     }
 
-    audioBufferToWav(buffer) {
-        const length = buffer.length;
-        const numberOfChannels = buffer.numberOfChannels;
-        const sampleRate = buffer.sampleRate;
-        const arrayBuffer = new ArrayBuffer(44 + length * numberOfChannels * 2);
-        const view = new DataView(arrayBuffer);
-        
-        // WAV header
-        const writeString = (offset, string) => {
-            for (let i = 0; i < string.length; i++) {
-                view.setUint8(offset + i, string.charCodeAt(i));
-            }
-        };
-
-        writeString(0, 'RIFF');
-        view.setUint32(4, 36 + length * numberOfChannels * 2, true);
-        writeString(8, 'WAVE');
-        writeString(12, 'fmt ');
-        view.setUint32(16, 16, true);
-        view.setUint16(20, 1, true);
-        view.setUint16(22, numberOfChannels, true);
-        view.setUint32(24, sampleRate, true);
-        view.setUint32(28, sampleRate * numberOfChannels * 2, true);
-        view.setUint16(32, numberOfChannels * 2, true);
-        view.setUint16(34, 16, true);
-        writeString(36, 'data');
-        view.setUint32(40, length * numberOfChannels * 2, true);
-
-        // Convert float samples to 16-bit PCM
-        let offset = 44;
-        for (let i = 0; i < length; i++) {
-            for (let channel = 0; channel < numberOfChannels; channel++) {
-                const sample = Math.max(-1, Math.min(1, buffer.getChannelData(channel)[i]));
-                view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7FFF, true);
-                offset += 2;
-            }
-        }
-
-        return arrayBuffer;
-    }
-
     drawWaveform(audioBuffer) {
         const canvas = document.getElementById('waveform-canvas');
         const ctx = canvas.getContext('2d');
@@ -480,6 +2317,118 @@ class StudioBuddyApp {
         ctx.stroke();
     }
 
+    drawGainReduction(limiterReport) {
+        let canvas = document.getElementById('gain-reduction-canvas');
+        if (!canvas) {
+            const masteringContent = document.querySelector('#studio-buddy-window .window-content');
+            if (!masteringContent) return;
+
+            canvas = document.createElement('canvas');
+            canvas.id = 'gain-reduction-canvas';
+            canvas.width = 360;
+            canvas.height = 40;
+            canvas.title = 'Limiter gain reduction';
+            masteringContent.appendChild(canvas);
+        }
+
+        const ctx = canvas.getContext('2d');
+        const width = canvas.width;
+        const height = canvas.height;
+
+        ctx.fillStyle = '#000';
+        ctx.fillRect(0, 0, width, height);
+
+        if (!limiterReport || limiterReport.gainReduction.length === 0) {
+            canvas.style.display = 'none';
+            return;
+        }
+        canvas.style.display = 'block';
+
+        // Gain reduction hangs down from the top edge, scaled to at least 6 dB
+        const trace = limiterReport.gainReduction;
+        const scale = Math.max(6, limiterReport.maxGainReduction);
+        const step = trace.length / width;
+
+        ctx.fillStyle = '#ff4040';
+        for (let x = 0; x < width; x++) {
+            let reduction = 0;
+            const end = Math.min(trace.length, Math.ceil((x + 1) * step));
+            for (let i = Math.floor(x * step); i < end; i++) {
+                if (trace[i] > reduction) reduction = trace[i];
+            }
+            ctx.fillRect(x, 0, 1, (reduction / scale) * height);
+        }
+
+        ctx.fillStyle = '#00ff00';
+        ctx.font = '9px sans-serif';
+        ctx.fillText(`GR max ${limiterReport.maxGainReduction.toFixed(1)} dB`, 4, height - 4);
+    }
+
+    drawMatchingEQ(matchingEQ) {
+        let canvas = document.getElementById('eq-curve-canvas');
+        if (!canvas) {
+            const masteringContent = document.querySelector('#studio-buddy-window .window-content');
+            if (!masteringContent) return;
+
+            canvas = document.createElement('canvas');
+            canvas.id = 'eq-curve-canvas';
+            canvas.width = 360;
+            canvas.height = 120;
+            canvas.title = 'Matching EQ: source (grey), reference (cyan), EQ curve (yellow)';
+            masteringContent.appendChild(canvas);
+        }
+
+        const ctx = canvas.getContext('2d');
+        const width = canvas.width;
+        const height = canvas.height;
+
+        ctx.fillStyle = '#000';
+        ctx.fillRect(0, 0, width, height);
+
+        if (!matchingEQ) {
+            canvas.style.display = 'none';
+            return;
+        }
+        canvas.style.display = 'block';
+
+        const points = matchingEQ.frequencies.length;
+        const xAt = (index) => (index / (points - 1)) * width;
+
+        // Spectra share a 60 dB window below their loudest point; the curve uses ±12 dB around the centre
+        const spectrumTop = Math.max(...matchingEQ.source, ...matchingEQ.reference);
+        const spectrumY = (level) => Math.min(height, ((spectrumTop - level) / 60) * height);
+        const curveY = (gain) => height / 2 - (gain / 12) * (height / 2);
+
+        ctx.strokeStyle = '#333';
+        ctx.beginPath();
+        ctx.moveTo(0, height / 2);
+        ctx.lineTo(width, height / 2);
+        ctx.stroke();
+
+        const plot = (values, toY, color) => {
+            ctx.strokeStyle = color;
+            ctx.beginPath();
+            values.forEach((value, index) => {
+                if (index === 0) ctx.moveTo(xAt(index), toY(value));
+                else ctx.lineTo(xAt(index), toY(value));
+            });
+            ctx.stroke();
+        };
+
+        ctx.lineWidth = 1;
+        plot(matchingEQ.source, spectrumY, '#808080');
+        plot(matchingEQ.reference, spectrumY, '#00c0c0');
+        ctx.lineWidth = 2;
+        plot(matchingEQ.curve, curveY, '#ffff00');
+        ctx.lineWidth = 1;
+
+        ctx.fillStyle = '#00ff00';
+        ctx.font = '9px sans-serif';
+        ctx.fillText('Matching EQ ±12 dB', 4, 10);
+        ctx.fillText(`${Math.round(matchingEQ.frequencies[0])} Hz`, 4, height - 4);
+        ctx.fillText(`${Math.round(matchingEQ.frequencies[points - 1] / 1000)} kHz`, width - 40, height - 4);
+    }
+
     drawSpectrum(spectrumData) {
         const canvas = document.getElementById('spectrum-canvas');
         const ctx = canvas.getContext('2d');
@@ -517,6 +2466,9 @@ class StudioBuddyApp {
             this.bringToFront(windowElement);
             this.addTaskButton(windowId);
             this.setActiveWindow(windowId);
+            if (windowId === 'settings') {
+                this.updateCacheStatus();
+            }
         }
     }
 
@@ -543,7 +2495,9 @@ class StudioBuddyApp {
         const titles = {
             'studio-buddy': 'Studio Buddy',
             'analyzer': 'Key/BPM Analyzer',
-            'settings': 'Settings'
+            'settings': 'Settings',
+            'export': 'Export',
+            'queue': 'Album Queue'
         };
         
         button.textContent = titles[windowId] || windowId;
@@ -625,18 +2579,45 @@ class StudioBuddyApp {
         setInterval(updateTime, 1000);
     }
 
-    showProgress(text) {
+    showProgress(text, cancellable = false) {
         document.getElementById('progress-container').style.display = 'block';
         document.getElementById('progress-text').textContent = text;
         document.getElementById('progress-fill').style.width = '0%';
+        this.getCancelButton().style.display = cancellable ? 'block' : 'none';
     }
 
     hideProgress() {
         document.getElementById('progress-container').style.display = 'none';
     }
 
-    updateProgress(percent) {
+    updateProgress(percent, stage) {
         document.getElementById('progress-fill').style.width = percent + '%';
+        if (stage) {
+            document.getElementById('progress-text').textContent = `${stage} (${percent}%)`;
+        }
+    }
+
+    updateUploadProgress(fraction, nextStage) {
+        // Upload progress from RailwayAPIManager; once the file is up the server takes over
+        const percent = Math.round(fraction * 100);
+        this.updateProgress(percent, percent < 100 ? 'Uploading audio' : nextStage);
+    }
+
+    getCancelButton() {
+        let cancelButton = document.getElementById('cancel-master');
+        if (!cancelButton) {
+            cancelButton = document.createElement('button');
+            cancelButton.id = 'cancel-master';
+            cancelButton.className = 'cancel-button';
+            cancelButton.textContent = 'Cancel';
+            cancelButton.addEventListener('click', () => this.cancelMastering());
+            document.getElementById('progress-container').appendChild(cancelButton);
+        }
+        return cancelButton;
+    }
+
+    getFileKey(file) {
+        return `${file.name}|${file.size}|${file.lastModified}`;
     }
 
     formatDuration(seconds) {
@@ -645,6 +2626,39 @@ class StudioBuddyApp {
         return `${mins}:${secs.toString().padStart(2, '0')}`;
     }
 
+    showAnalysisResults(analysis, buffer) {
+        // buffer is null for an analysis resumed after a reload - the server's values are all there is
+        document.getElementById('bpm-result').textContent = Math.round(analysis.bpm) + ' BPM';
+        document.getElementById('key-result').textContent = analysis.key;
+        document.getElementById('duration-result').textContent = analysis.duration || (buffer ? this.formatDuration(buffer.duration) : '--');
+        document.getElementById('samplerate-result').textContent = analysis.sampleRate || (buffer ? buffer.sampleRate + ' Hz' : '--');
+        
+        // Display enhanced features if available
+        this.displayEnhancedResults(analysis);
+        
+        // Generate basic spectrum visualization since Railway API may not return spectrum
+        if (buffer) {
+            this.drawSpectrumFromBuffer(buffer);
+        }
+    }
+
+    resumeServerJobs() {
+        // Analyses and separations that were still running on the server when the page was closed
+        this.audioAnalyzer.resumeJobs({
+            onAnalysis: async (analysis, job) => {
+                this.showAnalysisResults(analysis, null);
+                this.openWindow('analyzer');
+                this.showNotification(`Analysis of ${job.name || 'your track'} finished while you were away`, 'success');
+                await window.sessionManager.recordUsage();
+            },
+            onStems: async (result, job) => {
+                await this.openStems(result, null, job.name || 'audio');
+            }
+        }).catch(error => {
+            console.warn('⚠️ Could not resume server jobs:', error);
+        });
+    }
+
     displayEnhancedResults(analysis) {
         // Create or update enhanced results display
         let enhancedDiv = document.getElementById('enhanced-results');
@@ -663,10 +2677,15 @@ class StudioBuddyApp {
         let html = '<h3>🎯 Enhanced Analysis</h3>';
         
         // Analysis method and confidence
-        html += `<div class="analysis-meta">
-            <span class="method">Method: ${analysis.analysisMethod || 'client-side'}</span>
+        const method = analysis.local ? '💻 Local (offline analyzer)' :
+            (analysis.analysisMethod || 'client-side') + (analysis.cached ? ' (cached)' : '');
+        html += `<div class="analysis-meta${analysis.local ? ' local' : ''}">
+            <span class="method">Method: ${method}</span>
             <span class="confidence">Confidence: ${((analysis.confidence || 0.5) * 100).toFixed(1)}%</span>
         </div>`;
+        if (analysis.local) {
+            html += '<div class="local-note">The Railway API couldn\'t be reached, so this track was analyzed in your browser. Results may be less accurate than a server analysis.</div>';
+        }
 
         // BPM candidates if available
         if (analysis.bpmCandidates && analysis.bpmCandidates.length > 1) {
@@ -736,6 +2755,93 @@ class StudioBuddyApp {
         enhancedDiv.innerHTML = html;
     }
     
+    displayReportActions() {
+        let actions = document.getElementById('report-actions');
+        if (!actions) {
+            const masteringContent = document.querySelector('#studio-buddy-window .window-content');
+            if (!masteringContent) return;
+
+            actions = document.createElement('div');
+            actions.id = 'report-actions';
+            actions.className = 'report-actions';
+            actions.innerHTML = `
+                <button id="download-report-json">📄 Report (JSON)</button>
+                <button id="download-report-html">🖨️ Report (HTML)</button>
+            `;
+            masteringContent.appendChild(actions);
+
+            document.getElementById('download-report-json').addEventListener('click', () => {
+                this.downloadReport('json');
+            });
+            document.getElementById('download-report-html').addEventListener('click', () => {
+                this.downloadReport('html');
+            });
+        }
+
+        actions.style.display = this.masteringReport ? 'flex' : 'none';
+    }
+
+    downloadReport(format) {
+        if (!this.masteringReport) {
+            alert('Master a track first to create a report.');
+            return;
+        }
+
+        try {
+            this.reportExporter.download(this.masteringReport, format, this.sourceFileName);
+        } catch (error) {
+            console.error('Error exporting mastering report:', error);
+            alert('Error creating the mastering report.');
+        }
+    }
+
+    displayComplianceReport(report) {
+        let reportDiv = document.getElementById('compliance-report');
+        if (!reportDiv) {
+            reportDiv = document.createElement('div');
+            reportDiv.id = 'compliance-report';
+            reportDiv.className = 'compliance-report';
+
+            const masteringContent = document.querySelector('#studio-buddy-window .window-content');
+            if (masteringContent) {
+                masteringContent.appendChild(reportDiv);
+            }
+        }
+
+        // Silent or fully gated input measures -Infinity, shown as '-' like the other readouts
+        const level = (value, unit) => (isFinite(value) ? `${value.toFixed(1)} ${unit}` : '-');
+        const formatGain = (value) => Math.abs(value) < 0.05 ? '0.0 dB' : `${value > 0 ? '+' : ''}${value.toFixed(1)} dB`;
+
+        let html = '<h3>📡 Delivery Compliance</h3>';
+        html += `<div class="analysis-meta">
+            <span>Integrated: ${level(report.integrated, 'LUFS')}</span>
+            <span>True Peak: ${level(report.truePeak, 'dBTP')}</span>
+            <span>LRA: ${level(report.loudnessRange, 'LU')}</span>
+        </div>`;
+
+        html += '<table class="compliance-table"><tr><th>Platform</th><th>Target</th><th>Result</th><th>Playback Gain</th></tr>';
+        report.platforms.forEach(platform => {
+            const failures = [];
+            if (!platform.checks.loudness) {
+                failures.push(isFinite(platform.loudnessOffset)
+                    ? `${platform.loudnessOffset > 0 ? '+' : ''}${platform.loudnessOffset.toFixed(1)} LU`
+                    : 'silent');
+            }
+            if (!platform.checks.truePeak) failures.push('true peak');
+            if (!platform.checks.loudnessRange) failures.push('LRA');
+
+            html += `<tr class="${platform.pass ? 'pass' : 'fail'}">
+                <td>${platform.name}</td>
+                <td>${platform.target} LUFS / ${platform.ceiling} dBTP</td>
+                <td>${platform.pass ? '✅ Pass' : `❌ Fail (${failures.join(', ')})`}</td>
+                <td>${formatGain(platform.normalizationGain)}</td>
+            </tr>`;
+        });
+        html += '</table>';
+
+        reportDiv.innerHTML = html;
+    }
+    
     bringToFront(windowElement) {
         // Reset all windows to base z-index
         document.querySelectorAll('.window').forEach(win => {
@@ -818,10 +2924,12 @@ class StudioBuddyApp {
         notification.className = `notification notification-${type}`;
         notification.innerHTML = `
             <div class="notification-content">
-                <span>${message}</span>
+                <span></span>
                 <button onclick="this.parentElement.parentElement.remove()">×</button>
             </div>
         `;
+        // Messages carry preset, profile and file names from other people's files - set as text
+        notification.querySelector('span').textContent = message;
         
         // Add to page
         document.body.appendChild(notification);
@@ -922,6 +3030,400 @@ class StudioBuddyApp {
             alert(`Railway API stem separation failed: ${error.message}\n\nPlease check your internet connection and try again.`);
         }
     }
+
+    setupStemControls() {
+        if (document.getElementById('separate-all-stems')) return;
+
+        // index.html's vocal remover ships a "Separate All Stems" button wired to its inline
+        // one-stem-at-a-time flow; take it over, or add one next to Analyze
+        let button = document.querySelector('#vocal-remover-window button[onclick^="separateAllStems"]');
+        if (button) {
+            button.removeAttribute('onclick');
+        } else {
+            const analyzeButton = document.getElementById('analyze-button');
+            if (!analyzeButton) return;
+            button = document.createElement('button');
+            button.textContent = '🎭 Separate Stems';
+            analyzeButton.insertAdjacentElement('afterend', button);
+        }
+        button.id = 'separate-all-stems';
+        button.addEventListener('click', () => this.separateAllStems());
+    }
+
+    setupCacheControls() {
+        if (document.getElementById('clear-result-cache')) return;
+
+        const settingsContent = document.querySelector('#settings-window .window-content');
+        if (!settingsContent || !this.audioAnalyzer.resultCache) return;
+
+        const section = document.createElement('div');
+        section.className = 'section';
+        section.innerHTML = `
+            <h3>Result Cache</h3>
+            <div class="setting-item">
+                <span id="result-cache-status">Analyses and stems are kept for 7 days, so the same track isn't processed twice</span>
+            </div>
+            <div class="setting-item">
+                <button id="clear-result-cache">🗑️ Clear cache</button>
+            </div>
+        `;
+        settingsContent.appendChild(section);
+
+        section.querySelector('#clear-result-cache').addEventListener('click', async () => {
+            try {
+                await this.audioAnalyzer.clearCache();
+                this.updateCacheStatus();
+                this.showNotification('Result cache cleared', 'success');
+            } catch (error) {
+                console.error('Could not clear the result cache:', error);
+                this.showNotification(`Could not clear the result cache: ${error.message}`, 'error');
+            }
+        });
+        this.updateCacheStatus();
+    }
+
+    async updateCacheStatus() {
+        const status = document.getElementById('result-cache-status');
+        if (!status) return;
+        try {
+            const count = await this.audioAnalyzer.resultCache.count();
+            const days = Math.round(this.audioAnalyzer.resultCache.ttl / 86400000);
+            status.textContent = `${count} cached result${count === 1 ? '' : 's'} - kept for ${days} days, so the same track isn't processed twice`;
+        } catch (error) {
+            status.textContent = 'The result cache is unavailable in this browser';
+        }
+    }
+
+    async getStemSource() {
+        // The vocal remover's file when one is chosen, otherwise the file loaded for analysis
+        const input = document.getElementById('vocal-input');
+        const file = input && input.files[0];
+        if (file) {
+            const buffer = await this.audioContext.decodeAudioData(await file.arrayBuffer());
+            return { buffer: buffer, name: file.name, file: file };
+        }
+        return this.analyzeBuffer ?
+            { buffer: this.analyzeBuffer, name: this.analyzeFileName || 'audio', file: this.analyzeFile } : null;
+    }
+
+    async separateAllStems() {
+        const canProcess = await window.sessionManager.requireAuth();
+        if (!canProcess) return;
+
+        const button = document.getElementById('separate-all-stems');
+        try {
+            button.disabled = true;
+            this.showProgress('Loading audio for stem separation...');
+            const source = await this.getStemSource();
+            if (!source) {
+                this.hideProgress();
+                alert('Please load an audio file first.');
+                return;
+            }
+
+            // Per-stem status goes in the vocal remover's results box when the page has one
+            const status = {};
+            Object.keys(STEM_TYPES).forEach(stem => {
+                status[stem] = 'waiting';
+            });
+            const onStemStatus = (stem, state, error) => {
+                status[stem] = state === 'failed' ? `failed: ${error}` : state;
+                const done = Object.values(status).filter(value => value === 'done').length;
+                this.updateProgress(Math.round(done / Object.keys(STEM_TYPES).length * 100),
+                    `Separating stems with HTDemucs - ${done}/${Object.keys(STEM_TYPES).length} ready`);
+                this.renderStemStatus(status);
+            };
+            this.renderStemStatus(status);
+
+            const result = await this.audioAnalyzer.separateAllStems(source.buffer, {
+                stems: Object.keys(STEM_TYPES),
+                onStemStatus: onStemStatus,
+                file: source.file,
+                onUploadProgress: (fraction) => this.updateUploadProgress(fraction, 'Separating stems with HTDemucs'),
+                onJobProgress: (fraction) => {
+                    const done = Object.values(status).filter(value => value === 'done').length;
+                    this.updateProgress(Math.round(fraction * 100),
+                        `Separating stems with HTDemucs - ${done}/${Object.keys(STEM_TYPES).length} ready`);
+                }
+            });
+
+            this.updateProgress(100, 'Decoding stems...');
+            await this.openStems(result, source.buffer, source.name, status);
+            this.updateCacheStatus();
+        } catch (error) {
+            console.error('Error separating stems via Railway API:', error);
+            this.hideProgress();
+            alert(`Stem separation failed: ${error.message}\n\nPlease check your internet connection and try again.`);
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    async openStems(result, mix, name, status = null) {
+        // result: { stems: { stem: blob }, errors } from RailwayAPIManager. mix is the separated
+        // audio, when there is one, to derive a missing "other" stem from
+        const buffers = {};
+        for (const [stem, blob] of Object.entries(result.stems)) {
+            buffers[stem] = await this.audioContext.decodeAudioData(await blob.arrayBuffer());
+        }
+
+        // Without an "other" stem from the server, it's whatever the rest leave of the mix
+        if (mix && !buffers.other && buffers.vocals && buffers.drums && buffers.bass &&
+            buffers.vocals.sampleRate === mix.sampleRate) {
+            buffers.other = this.stemMixer.createResidualStem(mix,
+                { vocals: buffers.vocals, drums: buffers.drums, bass: buffers.bass });
+            if (status) {
+                status.other = 'done (derived from the mix)';
+                this.renderStemStatus(status);
+            }
+        }
+
+        // Keep the STEM_TYPES order in the mixer; anything else (a resumed single-stem job) goes last
+        const ordered = {};
+        Object.keys(STEM_TYPES).concat(Object.keys(buffers)).filter(stem => buffers[stem]).forEach(stem => {
+            ordered[stem] = buffers[stem];
+        });
+        this.stemMixer.setStems(ordered);
+        this.stemSourceName = name;
+
+        this.hideProgress();
+        this.setupStemMixerWindow();
+        this.renderStemMixer();
+        this.openWindow('stem-mixer');
+
+        const failed = Object.keys(result.errors || {}).filter(stem => !buffers[stem]);
+        this.showNotification(failed.length === 0 ?
+            `Stems of ${name} ready in the mixer` :
+            `Stems ready - ${failed.join(', ')} could not be separated`, failed.length === 0 ? 'success' : 'warning');
+    }
+
+    renderStemStatus(status) {
+        const results = document.getElementById('vocal-results');
+        if (!results) return;
+
+        let list = document.getElementById('multi-stem-progress');
+        if (!list) {
+            results.innerHTML = '';
+            list = document.createElement('div');
+            list.id = 'multi-stem-progress';
+            results.appendChild(list);
+        }
+
+        list.innerHTML = '';
+        for (const [stem, label] of Object.entries(STEM_TYPES)) {
+            const row = document.createElement('div');
+            row.className = `stem-status stem-${status[stem].split(/[: ]/)[0]}`;
+            // Server errors are passed through, so they go in as text
+            row.textContent = `${label}: ${status[stem]}`;
+            list.appendChild(row);
+        }
+    }
+
+    setupStemMixerWindow() {
+        if (document.getElementById('stem-mixer-window')) return;
+
+        const masteringWindow = document.getElementById('studio-buddy-window');
+        const parent = masteringWindow ? masteringWindow.parentNode : document.body;
+
+        const mixerWindow = document.createElement('div');
+        mixerWindow.className = 'window stem-mixer-window';
+        mixerWindow.id = 'stem-mixer-window';
+        mixerWindow.innerHTML = `
+            <div class="title-bar">
+                <div class="title-bar-text">Stem Mixer</div>
+                <div class="title-bar-controls">
+                    <div class="title-bar-control" id="stem-mixer-close">×</div>
+                </div>
+            </div>
+            <div class="window-content">
+                <div class="stem-mixer-source" id="stem-mixer-source"></div>
+                <table class="queue-table stem-table">
+                    <thead>
+                        <tr><th>Stem</th><th>Solo</th><th>Mute</th><th>Volume</th><th>Pan</th><th></th></tr>
+                    </thead>
+                    <tbody id="stem-rows"></tbody>
+                </table>
+                <div class="report-actions">
+                    <button id="stem-play">▶ Play</button>
+                    <button id="stem-stop">⏹ Stop</button>
+                    <input type="range" id="stem-seek" min="0" max="1" step="0.001" value="0">
+                    <span id="stem-position">0:00</span>
+                </div>
+                <div class="report-actions">
+                    <button id="stem-mixdown">⬇ Download Mixdown</button>
+                    <button id="stem-zip">🗜️ Download All (ZIP)</button>
+                </div>
+            </div>
+        `;
+        parent.appendChild(mixerWindow);
+
+        const rows = document.getElementById('stem-rows');
+        rows.addEventListener('input', (e) => {
+            const stem = e.target.dataset.stem;
+            if (e.target.classList.contains('stem-volume')) {
+                this.stemMixer.setStem(stem, { volume: parseFloat(e.target.value) });
+                e.target.nextElementSibling.textContent = `${parseFloat(e.target.value).toFixed(1)} dB`;
+            } else if (e.target.classList.contains('stem-pan')) {
+                this.stemMixer.setStem(stem, { pan: parseFloat(e.target.value) });
+            }
+        });
+        rows.addEventListener('change', (e) => {
+            if (e.target.classList.contains('stem-mute')) {
+                this.stemMixer.setStem(e.target.dataset.stem, { mute: e.target.checked });
+            }
+        });
+        rows.addEventListener('click', (e) => {
+            const soloButton = e.target.closest('[data-solo]');
+            if (soloButton) {
+                const stem = soloButton.dataset.solo;
+                this.stemMixer.setStem(stem, { solo: !this.stemMixer.stems[stem].solo });
+                soloButton.classList.toggle('active', this.stemMixer.stems[stem].solo);
+            }
+            const downloadButton = e.target.closest('[data-download]');
+            if (downloadButton) this.downloadStem(downloadButton.dataset.download);
+        });
+
+        document.getElementById('stem-play').addEventListener('click', () => this.toggleStemPlayback());
+        document.getElementById('stem-stop').addEventListener('click', () => {
+            this.stemMixer.stop();
+            this.updateStemTransport();
+        });
+        document.getElementById('stem-seek').addEventListener('input', (e) => {
+            this.stemMixer.seek(parseFloat(e.target.value) * this.stemMixer.duration);
+            this.updateStemTransport();
+        });
+        document.getElementById('stem-mixdown').addEventListener('click', () => this.downloadStemMixdown());
+        document.getElementById('stem-zip').addEventListener('click', () => this.downloadStemZip());
+        document.getElementById('stem-mixer-close').addEventListener('click', () => {
+            this.stemMixer.stop();
+            this.updateStemTransport();
+            mixerWindow.style.display = 'none';
+        });
+        this.stemMixer.onEnded = () => this.updateStemTransport();
+
+        this.makeDraggable(mixerWindow, mixerWindow.querySelector('.title-bar'));
+        mixerWindow.addEventListener('mousedown', () => this.bringToFront(mixerWindow));
+    }
+
+    renderStemMixer() {
+        const rows = document.getElementById('stem-rows');
+        if (!rows) return;
+
+        document.getElementById('stem-mixer-source').textContent =
+            `${this.stemSourceName} - ${this.formatDuration(this.stemMixer.duration)}`;
+
+        rows.innerHTML = '';
+        for (const [name, stem] of Object.entries(this.stemMixer.stems)) {
+            const row = document.createElement('tr');
+            row.innerHTML = `
+                <td>${STEM_TYPES[name] || name}</td>
+                <td><button data-solo="${name}" class="${stem.solo ? 'active' : ''}" title="Solo">S</button></td>
+                <td><input type="checkbox" class="stem-mute" data-stem="${name}" ${stem.mute ? 'checked' : ''} title="Mute"></td>
+                <td>
+                    <input type="range" class="stem-volume" data-stem="${name}" min="-24" max="6" step="0.5" value="${stem.volume}">
+                    <span class="stem-volume-value">${stem.volume.toFixed(1)} dB</span>
+                </td>
+                <td><input type="range" class="stem-pan" data-stem="${name}" min="-1" max="1" step="0.05" value="${stem.pan}" title="Left - Right"></td>
+                <td><button data-download="${name}" title="Download ${STEM_TYPES[name] || name}">⬇</button></td>
+            `;
+            rows.appendChild(row);
+        }
+        this.updateStemTransport();
+    }
+
+    async toggleStemPlayback() {
+        if (this.stemMixer.playing) {
+            this.stemMixer.pause();
+        } else {
+            await this.stemMixer.play();
+        }
+        this.updateStemTransport();
+
+        const tick = () => {
+            this.updateStemTransport();
+            if (this.stemMixer.playing) requestAnimationFrame(tick);
+        };
+        if (this.stemMixer.playing) requestAnimationFrame(tick);
+    }
+
+    updateStemTransport() {
+        const position = document.getElementById('stem-position');
+        if (!position) return;
+
+        const duration = this.stemMixer.duration;
+        position.textContent = `${this.formatDuration(this.stemMixer.position)} / ${this.formatDuration(duration)}`;
+        document.getElementById('stem-seek').value = duration > 0 ? this.stemMixer.position / duration : 0;
+        document.getElementById('stem-play').textContent = this.stemMixer.playing ? '⏸ Pause' : '▶ Play';
+    }
+
+    getStemFilename(stem) {
+        const base = (this.stemSourceName || 'audio').replace(/\.[^/.]+$/, '').replace(/[^\w\-]+/g, '_');
+        return `${base}_${stem}.wav`;
+    }
+
+    async encodeStem(buffer) {
+        // Stems are intermediate material, so 24-bit WAV without dither
+        const exported = await this.masteringClient.exportAudio(buffer, { format: 'wav', bitDepth: '24', dither: 'none' });
+        return exported.data;
+    }
+
+    downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
+    async downloadStem(stem) {
+        try {
+            const data = await this.encodeStem(this.stemMixer.stems[stem].buffer);
+            this.downloadBlob(new Blob([data], { type: 'audio/wav' }), this.getStemFilename(stem));
+        } catch (error) {
+            console.error('Error exporting stem:', error);
+            alert('Error creating the stem download.');
+        }
+    }
+
+    async downloadStemMixdown() {
+        const button = document.getElementById('stem-mixdown');
+        button.disabled = true;
+        try {
+            const data = await this.encodeStem(await this.stemMixer.mixdown());
+            this.downloadBlob(new Blob([data], { type: 'audio/wav' }), this.getStemFilename('mixdown'));
+        } catch (error) {
+            console.error('Error rendering mixdown:', error);
+            alert('Error creating the mixdown.');
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    async downloadStemZip() {
+        // Every stem as separated (mixer settings aside) plus the current mixdown
+        const button = document.getElementById('stem-zip');
+        button.disabled = true;
+        button.textContent = '⏳ Encoding...';
+        try {
+            const zip = new ZipWriter();
+            for (const [name, stem] of Object.entries(this.stemMixer.stems)) {
+                zip.addFile(this.getStemFilename(name), await this.encodeStem(stem.buffer));
+            }
+            zip.addFile(this.getStemFilename('mixdown'), await this.encodeStem(await this.stemMixer.mixdown()));
+
+            const base = (this.stemSourceName || 'audio').replace(/\.[^/.]+$/, '').replace(/[^\w\-]+/g, '_');
+            this.downloadBlob(zip.toBlob(), `${base}_stems.zip`);
+        } catch (error) {
+            console.error('Error creating stems zip:', error);
+            alert('Error creating the zip download.');
+        } finally {
+            button.disabled = false;
+            button.textContent = '🗜️ Download All (ZIP)';
+        }
+    }
     
     // Lyrics generation methods
     async generateLyrics(prompt, length, style, mood, structure) {
@@ -0,0 +1,199 @@
+// Stem Mixer for Studio Buddy Web
+// Plays separated stems together with per-stem volume, mute, solo and pan. Every stem
+// starts at the same context time so they stay sample-locked, and the mixdown renders
+// the same graph offline so the bounce matches what was heard.
+
+const STEM_TYPES = {
+    vocals: 'Vocals',
+    drums: 'Drums',
+    bass: 'Bass',
+    other: 'Other'
+};
+
+class StemMixer {
+    constructor(audioContext) {
+        this.audioContext = audioContext;
+        this.stems = {};            // stem -> { buffer, volume (dB), pan (-1..1), mute, solo }
+        this.crossfade = 0.01;      // s, so mute/solo changes don't click
+
+        this.output = audioContext.createGain();
+        this.output.connect(audioContext.destination);
+
+        this.nodes = {};            // stem -> { source, gain, panner } while playing
+        this.playing = false;
+        this.startTime = 0;
+        this.startOffset = 0;
+        this.pausedAt = 0;
+        this.playToken = 0;
+        this.onEnded = null;
+    }
+
+    get duration() {
+        return Object.values(this.stems).reduce((longest, stem) => Math.max(longest, stem.buffer.duration), 0);
+    }
+
+    get position() {
+        if (!this.playing) return this.pausedAt;
+        return Math.min(this.startOffset + Math.max(0, this.audioContext.currentTime - this.startTime), this.duration);
+    }
+
+    hasStems() {
+        return Object.keys(this.stems).length > 0;
+    }
+
+    setStems(buffers) {
+        // buffers: { stem: AudioBuffer }; mixer settings start flat
+        this.stop();
+        this.stems = {};
+        for (const [name, buffer] of Object.entries(buffers)) {
+            this.stems[name] = { buffer: buffer, volume: 0, pan: 0, mute: false, solo: false };
+        }
+    }
+
+    setStem(name, changes) {
+        // changes: any of { volume, pan, mute, solo }; applied live while playing
+        const stem = this.stems[name];
+        if (!stem) return;
+        Object.assign(stem, changes);
+
+        const now = this.audioContext.currentTime;
+        for (const [stemName, nodes] of Object.entries(this.nodes)) {
+            nodes.gain.gain.cancelScheduledValues(now);
+            nodes.gain.gain.setValueAtTime(nodes.gain.gain.value, now);
+            nodes.gain.gain.linearRampToValueAtTime(this.getStemGain(stemName), now + this.crossfade);
+            nodes.panner.pan.setTargetAtTime(this.stems[stemName].pan, now, this.crossfade / 3);
+        }
+    }
+
+    getStemGain(name) {
+        // Any soloed stem silences every stem that isn't soloed; mute always wins
+        const stem = this.stems[name];
+        const soloing = Object.values(this.stems).some(candidate => candidate.solo);
+        if (stem.mute || (soloing && !stem.solo)) return 0;
+        return Math.pow(10, stem.volume / 20);
+    }
+
+    connectStem(context, name, destination) {
+        const stem = this.stems[name];
+        const source = context.createBufferSource();
+        source.buffer = stem.buffer;
+
+        const gain = context.createGain();
+        gain.gain.value = this.getStemGain(name);
+        const panner = context.createStereoPanner();
+        panner.pan.value = stem.pan;
+
+        source.connect(gain);
+        gain.connect(panner);
+        panner.connect(destination);
+        return { source: source, gain: gain, panner: panner };
+    }
+
+    async play(offset = this.position) {
+        if (!this.hasStems()) return;
+        if (this.audioContext.state === 'suspended') {
+            await this.audioContext.resume();
+        }
+
+        this.stopSources();
+        if (offset >= this.duration) offset = 0;
+
+        const token = ++this.playToken;
+        const when = this.audioContext.currentTime + 0.02;
+        for (const name of Object.keys(this.stems)) {
+            const nodes = this.connectStem(this.audioContext, name, this.output);
+            if (offset < nodes.source.buffer.duration) {
+                nodes.source.start(when, offset);
+            }
+            this.nodes[name] = nodes;
+        }
+
+        // Stems can differ by a few samples; playback ends with the longest
+        const longest = Object.keys(this.stems).reduce((a, b) =>
+            (this.stems[b].buffer.duration > this.stems[a].buffer.duration ? b : a));
+        this.nodes[longest].source.onended = () => {
+            if (token === this.playToken) this.finish();
+        };
+
+        this.startTime = when;
+        this.startOffset = offset;
+        this.playing = true;
+    }
+
+    finish() {
+        this.playing = false;
+        this.playToken++;
+        this.pausedAt = 0;
+        this.stopSources();
+        if (this.onEnded) this.onEnded();
+    }
+
+    pause() {
+        if (!this.playing) return;
+        this.pausedAt = this.position;
+        this.playing = false;
+        this.playToken++;
+        this.stopSources();
+    }
+
+    stop() {
+        this.pause();
+        this.pausedAt = 0;
+    }
+
+    seek(position) {
+        const clamped = Math.max(0, Math.min(position, this.duration));
+        if (this.playing) {
+            this.play(clamped);
+        } else {
+            this.pausedAt = clamped;
+        }
+    }
+
+    stopSources() {
+        for (const nodes of Object.values(this.nodes)) {
+            nodes.source.onended = null;
+            try {
+                nodes.source.stop();
+            } catch (error) {
+                // Never started (offset past this stem's end) or already stopped
+            }
+            nodes.source.disconnect();
+            nodes.panner.disconnect();
+        }
+        this.nodes = {};
+    }
+
+    async mixdown() {
+        // Stereo bounce of the current mix (volume, pan, mute and solo) at the stems' rate
+        const buffers = Object.values(this.stems).map(stem => stem.buffer);
+        const sampleRate = buffers[0].sampleRate;
+        const length = Math.max(...buffers.map(buffer => buffer.length));
+        const context = new OfflineAudioContext(2, length, sampleRate);
+
+        for (const name of Object.keys(this.stems)) {
+            this.connectStem(context, name, context.destination).source.start(0);
+        }
+        return context.startRendering();
+    }
+
+    createResidualStem(mix, stems) {
+        // mix minus the other stems - what a separator puts in "other" when it isn't returned
+        const buffers = Object.values(stems);
+        const channels = mix.numberOfChannels;
+        const length = Math.min(mix.length, ...buffers.map(buffer => buffer.length));
+        const residual = this.audioContext.createBuffer(channels, length, mix.sampleRate);
+
+        for (let channel = 0; channel < channels; channel++) {
+            const output = residual.getChannelData(channel);
+            output.set(mix.getChannelData(channel).subarray(0, length));
+            for (const buffer of buffers) {
+                const data = buffer.getChannelData(Math.min(channel, buffer.numberOfChannels - 1));
+                for (let i = 0; i < length; i++) {
+                    output[i] -= data[i];
+                }
+            }
+        }
+        return residual;
+    }
+}
@@ -0,0 +1,170 @@
+// True-Peak Limiter for Studio Buddy Web
+// Lookahead brickwall limiter with linked-channel gain reduction and an
+// oversampled (BS.1770-4 style) true-peak detector
+
+class TruePeakLimiter {
+    constructor(sampleRate, options = {}) {
+        this.sampleRate = sampleRate;
+        this.ceiling = options.ceiling !== undefined ? options.ceiling : -1.0;       // dBTP
+        this.attack = options.attack !== undefined ? options.attack : 5;             // ms
+        this.release = options.release !== undefined ? options.release : 80;         // ms
+        this.lookahead = options.lookahead !== undefined ? options.lookahead : 5;    // ms
+        this.traceResolution = options.traceResolution || 0.01;                      // seconds per trace point
+
+        // Reuse the meter's interpolation filter so limiting and measurement agree
+        this.meter = new LoudnessMeter(sampleRate);
+    }
+
+    process(channels) {
+        const length = channels[0].length;
+        const ceilingLinear = Math.pow(10, this.ceiling / 20);
+
+        const lookaheadSamples = Math.max(1, Math.round(this.lookahead * this.sampleRate / 1000));
+        const attackSamples = Math.max(1, Math.min(
+            Math.round(this.attack * this.sampleRate / 1000),
+            lookaheadSamples
+        ));
+        const releaseCoeff = Math.exp(-1 / (Math.max(this.release, 1) * this.sampleRate / 1000));
+
+        // Step 1: linked true-peak envelope and the gain each sample needs
+        const peaks = this.detectLinkedPeaks(channels);
+        const required = new Float32Array(length);
+        for (let i = 0; i < length; i++) {
+            required[i] = peaks[i] > ceilingLinear ? ceilingLinear / peaks[i] : 1.0;
+        }
+
+        // Step 2: hold the lowest gain over the lookahead window, then ramp into it
+        const held = this.slidingMinimum(required, lookaheadSamples);
+        const smoothed = this.movingAverage(held, attackSamples);
+
+        // Step 3: instant attack (already ramped), exponential release
+        const gain = new Float32Array(length);
+        let current = 1.0;
+        for (let i = 0; i < length; i++) {
+            const target = smoothed[i];
+            current = target < current ? target : target + (current - target) * releaseCoeff;
+            gain[i] = current;
+        }
+
+        for (const channelData of channels) {
+            for (let i = 0; i < length; i++) {
+                channelData[i] *= gain[i];
+            }
+        }
+
+        // Interpolated peaks of the gain-modulated signal can land a hair over the ceiling
+        const safetyGain = this.applySafetyTrim(channels, ceilingLinear);
+        if (safetyGain < 1.0) {
+            for (let i = 0; i < length; i++) {
+                gain[i] *= safetyGain;
+            }
+        }
+
+        return this.createGainReductionTrace(gain);
+    }
+
+    detectLinkedPeaks(channels) {
+        const length = channels[0].length;
+        const { factor, tapsPerPhase, phases } = this.meter.truePeakFilter;
+        const delay = Math.floor(tapsPerPhase / 2);
+        const peaks = new Float32Array(length);
+
+        for (const channelData of channels) {
+            for (let i = 0; i < length; i++) {
+                const abs = Math.abs(channelData[i]);
+                if (abs > peaks[i]) peaks[i] = abs;
+            }
+
+            if (factor === 1) continue;
+
+            const padded = new Float32Array(length + tapsPerPhase - 1);
+            padded.set(channelData, tapsPerPhase - 1);
+
+            for (let phase = 0; phase < factor; phase++) {
+                const taps = phases[phase];
+                for (let i = tapsPerPhase - 1; i < padded.length; i++) {
+                    let sum = 0;
+                    for (let tap = 0; tap < tapsPerPhase; tap++) {
+                        sum += padded[i - tap] * taps[tap];
+                    }
+                    // Compensate the interpolator's group delay
+                    const index = Math.max(0, i - (tapsPerPhase - 1) - delay);
+                    const abs = sum < 0 ? -sum : sum;
+                    if (abs > peaks[index]) peaks[index] = abs;
+                }
+            }
+        }
+
+        return peaks;
+    }
+
+    slidingMinimum(values, windowSize) {
+        // Minimum of values[i .. i + windowSize] using a monotonic deque
+        const length = values.length;
+        const output = new Float32Array(length);
+        const deque = new Int32Array(length);
+        let head = 0;
+        let tail = 0;
+
+        for (let i = length - 1; i >= 0; i--) {
+            while (tail > head && values[deque[tail - 1]] >= values[i]) tail--;
+            deque[tail++] = i;
+            while (deque[head] > i + windowSize) head++;
+            output[i] = values[deque[head]];
+        }
+
+        return output;
+    }
+
+    movingAverage(values, windowSize) {
+        // Mean of values[i - windowSize .. i], padded with unity gain before the start
+        const length = values.length;
+        const output = new Float32Array(length);
+        let sum = windowSize + 1;
+
+        for (let i = 0; i < length; i++) {
+            sum += values[i] - (i - windowSize - 1 >= 0 ? values[i - windowSize - 1] : 1.0);
+            output[i] = Math.min(sum / (windowSize + 1), values[i]);
+        }
+
+        return output;
+    }
+
+    applySafetyTrim(channels, ceilingLinear) {
+        const truePeak = this.meter.measureTruePeak(channels);
+        if (truePeak <= ceilingLinear) return 1.0;
+
+        const trim = ceilingLinear / truePeak;
+        for (const channelData of channels) {
+            for (let i = 0; i < channelData.length; i++) {
+                channelData[i] *= trim;
+            }
+        }
+        return trim;
+    }
+
+    createGainReductionTrace(gain) {
+        const blockSize = Math.max(1, Math.round(this.traceResolution * this.sampleRate));
+        const points = Math.ceil(gain.length / blockSize);
+        const trace = new Float32Array(points);
+        let maxReduction = 0;
+
+        for (let point = 0; point < points; point++) {
+            let minGain = 1.0;
+            const end = Math.min(gain.length, (point + 1) * blockSize);
+            for (let i = point * blockSize; i < end; i++) {
+                if (gain[i] < minGain) minGain = gain[i];
+            }
+            // Positive dB of gain reduction, like a hardware GR meter
+            trace[point] = -20 * Math.log10(minGain);
+            if (trace[point] > maxReduction) maxReduction = trace[point];
+        }
+
+        return {
+            gainReduction: trace,
+            interval: blockSize / this.sampleRate,
+            maxGainReduction: maxReduction,
+            ceiling: this.ceiling
+        };
+    }
+}
@@ -0,0 +1,56 @@
+// User Collection for Studio Buddy Web
+// Where a user's named items (mastering presets, reference profiles) are saved: the
+// signed-in account's Firestore collection (users/{uid}/{collection}) or, for guests, this
+// browser. Also reads the JSON files the items move between machines in.
+
+class UserCollection {
+    constructor(collectionName) {
+        this.collectionName = collectionName;
+    }
+
+    get storageLocation() {
+        return this.getUser() ? 'account' : 'browser';
+    }
+
+    getUser() {
+        if (!window.authManager || !window.firebaseDB || !window.authManager.isAuthenticated()) {
+            return null;
+        }
+        return window.authManager.getCurrentUser();
+    }
+
+    getCollection(user) {
+        return window.firebaseDB.collection('users').doc(user.uid).collection(this.collectionName);
+    }
+
+    createId(name) {
+        // One item per name (case-insensitive), so saving under an existing name overwrites it.
+        // Firestore can't store documents called "." or "..", or any id of the form __x__
+        const id = encodeURIComponent(name.trim().toLowerCase());
+        if (id === '.' || id === '..' || /^__.*__$/.test(id)) {
+            throw new Error(`"${name.trim()}" can't be used as a name - please choose another`);
+        }
+        return id;
+    }
+
+    parseFile(text, format) {
+        // format: { type, version, key (the file's list), label ('presets'), isItem(data) for a
+        // bare single item }. Resolves the file to its list of items, still unsanitized
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error('The file is not valid JSON');
+        }
+
+        const items = data && data.type === format.type ? data[format.key] :
+            (data && format.isItem(data) ? [data] : null);
+        if (!Array.isArray(items)) {
+            throw new Error(`The file does not contain Studio Buddy ${format.label}`);
+        }
+        if (data.version > format.version) {
+            throw new Error(`The ${format.label} were saved by a newer version of Studio Buddy`);
+        }
+        return items;
+    }
+}
@@ -0,0 +1,98 @@
+// Zip Writer for Studio Buddy Web
+// Minimal store-only (uncompressed) zip archive builder for batch downloads -
+// encoded audio barely deflates, so skipping compression keeps it fast
+
+class ZipWriter {
+    constructor() {
+        this.files = [];
+        this.crcTable = this.createCRCTable();
+    }
+
+    addFile(name, data, date = new Date()) {
+        const bytes = typeof data === 'string' ? new TextEncoder().encode(data) :
+            (data instanceof Uint8Array ? data : new Uint8Array(data));
+
+        this.files.push({
+            name: new TextEncoder().encode(name),
+            data: bytes,
+            crc: this.crc32(bytes),
+            time: this.toDosTime(date),
+            date: this.toDosDate(date)
+        });
+    }
+
+    toBlob() {
+        // Local headers and file data, then the central directory and its end record
+        const parts = [];
+        const central = [];
+        let offset = 0;
+
+        for (const file of this.files) {
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034B50, true);
+            this.writeEntryFields(local, 4, file);
+            parts.push(new Uint8Array(local.buffer), file.name, file.data);
+
+            const entry = new DataView(new ArrayBuffer(46));
+            entry.setUint32(0, 0x02014B50, true);
+            entry.setUint16(4, 20, true);                      // made by: zip 2.0
+            this.writeEntryFields(entry, 6, file);
+            entry.setUint32(42, offset, true);                 // local header offset
+            central.push(new Uint8Array(entry.buffer), file.name);
+
+            offset += 30 + file.name.length + file.data.length;
+        }
+
+        const centralSize = central.reduce((total, part) => total + part.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054B50, true);
+        end.setUint16(8, this.files.length, true);
+        end.setUint16(10, this.files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        return new Blob([...parts, ...central, new Uint8Array(end.buffer)], { type: 'application/zip' });
+    }
+
+    writeEntryFields(view, offset, file) {
+        // Shared by local and central headers: version, flags, method, time, date, CRC, sizes, name length
+        view.setUint16(offset, 20, true);
+        view.setUint16(offset + 2, 0x0800, true);              // UTF-8 file names
+        view.setUint16(offset + 4, 0, true);                   // stored
+        view.setUint16(offset + 6, file.time, true);
+        view.setUint16(offset + 8, file.date, true);
+        view.setUint32(offset + 10, file.crc, true);
+        view.setUint32(offset + 14, file.data.length, true);
+        view.setUint32(offset + 18, file.data.length, true);
+        view.setUint16(offset + 22, file.name.length, true);
+    }
+
+    toDosTime(date) {
+        return (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+    }
+
+    toDosDate(date) {
+        return ((Math.max(1980, date.getFullYear()) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+    }
+
+    createCRCTable() {
+        const table = new Uint32Array(256);
+        for (let byte = 0; byte < 256; byte++) {
+            let crc = byte;
+            for (let bit = 0; bit < 8; bit++) {
+                crc = crc & 1 ? (crc >>> 1) ^ 0xEDB88320 : crc >>> 1;
+            }
+            table[byte] = crc;
+        }
+        return table;
+    }
+
+    crc32(bytes) {
+        const table = this.crcTable;
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = (crc >>> 8) ^ table[(crc ^ bytes[i]) & 0xFF];
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+}